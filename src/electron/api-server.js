@@ -0,0 +1,371 @@
+const http = require('http');
+const crypto = require('crypto');
+const { toBusiness } = require('./result-reader');
+
+// Opt-in HTTP API on localhost so scripts and automation tools can drive searches.
+//
+// Searches started here go through the same SearchQueue as the GUI, so they wait
+// their turn instead of running alongside a GUI search, and they use the same
+// settings, active profile and history. Every request needs the token from the
+// settings, sent as "Authorization: Bearer <token>" or "X-API-Token: <token>".
+//
+//   GET    /api/v1/status                  queue state
+//   POST   /api/v1/searches                start a search (same fields as the search form)
+//   GET    /api/v1/searches                searches started through the API
+//   GET    /api/v1/searches/:id            one search's status
+//   GET    /api/v1/searches/:id/events     status and progress as server-sent events
+//   GET    /api/v1/searches/:id/results    results as JSON once the search is done
+//   DELETE /api/v1/searches/:id            cancel a queued or running search
+//   GET    /api/v1/history                 saved searches, newest first
+//   GET    /api/v1/history/:id             one saved search with its results
+
+const API_PREFIX = '/api/v1';
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_TRACKED_JOBS = 100;
+const OUTPUT_FORMATS = ['csv', 'json', 'yaml', 'xml'];
+const ALLOWED_HOSTS = ['127.0.0.1', 'localhost'];
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+function sendJSON(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+function tokensMatch(expected, provided) {
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided || '');
+    return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'Request body is too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+// Fills in missing search fields from the settings the GUI's search form starts with
+function resolveSearchParams(body, settings) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(400, 'Request body must be a JSON object');
+    }
+
+    const keyword = typeof body.keyword === 'string' ? body.keyword.trim() : '';
+    const location = typeof body.location === 'string' ? body.location.trim() : '';
+    if (!keyword || !location) {
+        throw new ApiError(400, '"keyword" and "location" are required');
+    }
+
+    const maxResults = body.maxResults === undefined ? settings.search.maxResults : Number(body.maxResults);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > settings.limits.maxResultsLimit) {
+        throw new ApiError(400, `"maxResults" must be a whole number between 1 and ${settings.limits.maxResultsLimit}`);
+    }
+
+    const outputFormat = body.outputFormat === undefined ? settings.search.outputFormat : String(body.outputFormat).toLowerCase();
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new ApiError(400, `"outputFormat" must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    if (body.enableWebScraping !== undefined && typeof body.enableWebScraping !== 'boolean') {
+        throw new ApiError(400, '"enableWebScraping" must be true or false');
+    }
+    if (body.outputDirectory !== undefined && typeof body.outputDirectory !== 'string') {
+        throw new ApiError(400, '"outputDirectory" must be a path');
+    }
+
+    return {
+        keyword: keyword,
+        location: location,
+        maxResults: maxResults,
+        outputFormat: outputFormat,
+        // Empty falls through to the settings' directory when the search runs
+        outputDirectory: body.outputDirectory || '',
+        enableWebScraping: body.enableWebScraping === undefined ? settings.search.enableWebScraping : body.enableWebScraping
+    };
+}
+
+function summarizeJob(job) {
+    const result = job.result || {};
+    return {
+        id: job.id,
+        status: job.status,
+        params: job.searchParams,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        resultCount: result.csvData ? result.csvData.length : null,
+        outputFile: result.outputFile || null,
+        historyId: result.historyId || null,
+        error: job.status === 'failed' ? (result.error || 'Search failed') : null
+    };
+}
+
+class ApiServer {
+    // queue: the app's SearchQueue; history: SearchHistory; getSettings: () => effective settings
+    constructor({ queue, history, getSettings }) {
+        this.queue = queue;
+        this.history = history;
+        this.getSettings = getSettings;
+        this.server = null;
+        this.config = null;
+        this.jobs = new Map();
+        this.lastError = null;
+    }
+
+    getStatus() {
+        return {
+            running: this.server !== null && this.server.listening,
+            port: this.config ? this.config.port : null,
+            url: this.server && this.server.listening ? `http://127.0.0.1:${this.config.port}${API_PREFIX}` : null,
+            error: this.lastError
+        };
+    }
+
+    // Starts, stops or restarts the server to match the settings; resolves with getStatus()
+    async apply({ enabled, port, token }) {
+        const unchanged = this.config && this.server
+            && this.config.port === port && this.config.token === token;
+        if (enabled && unchanged) {
+            return this.getStatus();
+        }
+
+        await this.stop();
+        this.lastError = null;
+        if (!enabled) {
+            return this.getStatus();
+        }
+
+        this.config = { port, token };
+        try {
+            await this.listen(port);
+            console.log(`Local API listening on http://127.0.0.1:${port}${API_PREFIX}`);
+        } catch (error) {
+            this.lastError = error.code === 'EADDRINUSE'
+                ? `Port ${port} is already in use`
+                : error.message;
+            console.warn('Local API could not start:', this.lastError);
+            this.server = null;
+        }
+        return this.getStatus();
+    }
+
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((request, response) => this.handleRequest(request, response));
+            server.once('error', reject);
+            // Only reachable from this machine
+            server.listen(port, '127.0.0.1', () => {
+                server.off('error', reject);
+                server.on('error', (error) => console.warn('Local API error:', error.message));
+                this.server = server;
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        const server = this.server;
+        this.server = null;
+        return new Promise((resolve) => {
+            server.close(() => resolve());
+            // Event streams would otherwise keep close() waiting
+            server.closeAllConnections();
+        });
+    }
+
+    async handleRequest(request, response) {
+        try {
+            // Browsers send the page's host; refusing other hosts stops DNS rebinding
+            const host = (request.headers.host || '').replace(/:\d+$/, '');
+            if (!ALLOWED_HOSTS.includes(host)) {
+                throw new ApiError(403, 'Requests must be addressed to localhost');
+            }
+
+            const authorization = request.headers.authorization || '';
+            const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : request.headers['x-api-token'];
+            if (!tokensMatch(this.config.token, token)) {
+                throw new ApiError(401, 'Missing or invalid API token');
+            }
+
+            const url = new URL(request.url, 'http://127.0.0.1');
+            if (!url.pathname.startsWith(API_PREFIX)) {
+                throw new ApiError(404, 'Not found');
+            }
+            await this.route(request, response, url.pathname.slice(API_PREFIX.length).split('/').filter(Boolean));
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                console.error('Local API request failed:', error);
+            }
+            if (!response.headersSent) {
+                sendJSON(response, error.status || 500, { error: error instanceof ApiError ? error.message : 'Internal error' });
+            } else {
+                response.end();
+            }
+        }
+    }
+
+    async route(request, response, segments) {
+        const [resource, id, action] = segments;
+        const method = request.method;
+
+        if (resource === 'status' && !id && method === 'GET') {
+            return sendJSON(response, 200, {
+                busy: this.queue.isBusy(),
+                running: this.queue.activeJob ? summarizeJob(this.queue.activeJob) : null,
+                queued: this.queue.pending.length
+            });
+        }
+
+        if (resource === 'searches') {
+            if (!id && method === 'POST') {
+                return this.startSearch(request, response);
+            }
+            if (!id && method === 'GET') {
+                const jobs = Array.from(this.jobs.values()).reverse().map(summarizeJob);
+                return sendJSON(response, 200, { searches: jobs });
+            }
+
+            const job = this.jobs.get(id);
+            if (!job) {
+                throw new ApiError(404, `No search with id ${id}`);
+            }
+            if (!action && method === 'GET') {
+                return sendJSON(response, 200, summarizeJob(job));
+            }
+            if (!action && method === 'DELETE') {
+                const cancelled = this.queue.cancel(candidate => candidate === job);
+                if (cancelled === 0) {
+                    throw new ApiError(409, `Search is already ${job.status}`);
+                }
+                return sendJSON(response, 202, summarizeJob(job));
+            }
+            if (action === 'events' && method === 'GET') {
+                return this.streamEvents(request, response, job);
+            }
+            if (action === 'results' && method === 'GET') {
+                if (job.status !== 'done') {
+                    throw new ApiError(409, `Search is ${job.status}; results are available once it is done`);
+                }
+                return sendJSON(response, 200, {
+                    search: summarizeJob(job),
+                    businesses: (job.result.csvData || []).map(toBusiness)
+                });
+            }
+        }
+
+        if (resource === 'history' && method === 'GET') {
+            if (!id) {
+                return sendJSON(response, 200, { entries: this.history.list() });
+            }
+            const entry = this.history.get(id);
+            if (!entry) {
+                throw new ApiError(404, `No history entry with id ${id}`);
+            }
+            const { rows, ...summary } = entry;
+            return sendJSON(response, 200, { ...summary, businesses: rows.map(toBusiness) });
+        }
+
+        throw new ApiError(404, 'Not found');
+    }
+
+    async startSearch(request, response) {
+        let body;
+        try {
+            const text = await readBody(request);
+            body = text ? JSON.parse(text) : {};
+        } catch (error) {
+            throw error instanceof ApiError ? error : new ApiError(400, 'Request body is not valid JSON');
+        }
+
+        const searchParams = resolveSearchParams(body, this.getSettings());
+        const job = this.queue.enqueue(searchParams, { source: 'api' });
+        this.trackJob(job);
+        sendJSON(response, 202, summarizeJob(job));
+    }
+
+    trackJob(job) {
+        this.jobs.set(job.id, job);
+        // Only finished searches are forgotten, oldest first
+        for (const [id, tracked] of this.jobs) {
+            if (this.jobs.size <= MAX_TRACKED_JOBS) {
+                break;
+            }
+            if (tracked.finishedAt) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    // Sends "status" events when the search starts and finishes and "progress" events
+    // in between, then closes the stream
+    streamEvents(request, response, job) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+
+        const send = (event, data) => {
+            response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const isFinished = () => ['done', 'failed', 'cancelled'].includes(job.status);
+        send('status', summarizeJob(job));
+        if (isFinished()) {
+            response.end();
+            return;
+        }
+
+        const onStarted = (startedJob) => {
+            if (startedJob === job) {
+                send('status', summarizeJob(job));
+            }
+        };
+        const onProgress = (progressJob, progressEvent) => {
+            if (progressJob === job) {
+                send('progress', progressEvent);
+            }
+        };
+        const onFinished = (finishedJob) => {
+            if (finishedJob === job) {
+                send('status', summarizeJob(job));
+                response.end();
+            }
+        };
+        const cleanup = () => {
+            this.queue.off('job-started', onStarted);
+            this.queue.off('job-progress', onProgress);
+            this.queue.off('job-finished', onFinished);
+        };
+
+        this.queue.on('job-started', onStarted);
+        this.queue.on('job-progress', onProgress);
+        this.queue.on('job-finished', onFinished);
+        response.on('close', cleanup);
+    }
+}
+
+module.exports = ApiServer;
+module.exports.resolveSearchParams = resolveSearchParams;
@@ -0,0 +1,274 @@
+const fs = require('fs');
+
+// RFC 4180 CSV parsing shared by the stdout extraction and the file reader.
+//
+// CSVParser is a streaming state machine: feed it chunks with write() and call
+// end() once; every complete record is handed to onRecord as it is found, so
+// quoted fields may span chunks and lines. Lenient where the RFC is strict
+// (stray quotes are kept as text) but every such case is reported as an issue.
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+class CSVParser {
+    constructor({ onRecord, delimiter = ',' } = {}) {
+        this.onRecord = onRecord || (() => {});
+        this.delimiter = delimiter;
+        this.started = false;
+        this.state = FIELD_START;
+        this.skipLineFeed = false;
+        this.line = 1;
+        this.resetRecord();
+    }
+
+    resetRecord() {
+        this.field = '';
+        this.fieldWasQuoted = false;
+        this.fields = [];
+        this.recordIssues = [];
+        this.recordLine = this.line;
+    }
+
+    write(chunk) {
+        let text = chunk;
+        if (!this.started) {
+            this.started = true;
+            // Strip a UTF-8 byte order mark
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+            }
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            this.consume(text[i]);
+        }
+    }
+
+    consume(char) {
+        // CRLF: the CR already ended the record
+        if (this.skipLineFeed) {
+            this.skipLineFeed = false;
+            if (char === '\n') {
+                return;
+            }
+        }
+
+        const isNewline = char === '\n' || char === '\r';
+
+        switch (this.state) {
+            case FIELD_START:
+                if (char === '"') {
+                    this.state = QUOTED;
+                    this.fieldWasQuoted = true;
+                } else if (char === this.delimiter) {
+                    this.endField();
+                } else if (isNewline) {
+                    this.endField();
+                    this.endRecord(char);
+                } else {
+                    this.field += char;
+                    this.state = UNQUOTED;
+                }
+                break;
+
+            case UNQUOTED:
+                if (char === this.delimiter) {
+                    this.endField();
+                } else if (isNewline) {
+                    this.endField();
+                    this.endRecord(char);
+                } else {
+                    if (char === '"') {
+                        this.addIssue('stray-quote', 'Quote inside an unquoted field');
+                    }
+                    this.field += char;
+                }
+                break;
+
+            case QUOTED:
+                if (char === '"') {
+                    this.state = QUOTE_IN_QUOTED;
+                } else {
+                    if (char === '\n') {
+                        this.line++;
+                    }
+                    this.field += char;
+                }
+                break;
+
+            case QUOTE_IN_QUOTED:
+                if (char === '"') {
+                    // Escaped quote ("")
+                    this.field += '"';
+                    this.state = QUOTED;
+                } else if (char === this.delimiter) {
+                    this.endField();
+                } else if (isNewline) {
+                    this.endField();
+                    this.endRecord(char);
+                } else {
+                    this.addIssue('stray-quote', 'Text after the closing quote of a field');
+                    this.field += char;
+                    this.state = UNQUOTED;
+                }
+                break;
+        }
+    }
+
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.fieldWasQuoted = false;
+        this.state = FIELD_START;
+    }
+
+    endRecord(newlineChar) {
+        if (newlineChar === '\r') {
+            this.skipLineFeed = true;
+        }
+
+        this.emitRecord();
+        this.line++;
+        this.resetRecord();
+    }
+
+    emitRecord() {
+        // Blank lines are not records
+        const isBlank = this.fields.length === 1 && this.fields[0] === '' && this.recordIssues.length === 0;
+        if (!isBlank) {
+            this.onRecord({
+                fields: this.fields,
+                line: this.recordLine,
+                issues: this.recordIssues
+            });
+        }
+    }
+
+    end() {
+        if (this.state === QUOTED) {
+            this.addIssue('unterminated-quote', 'Quoted field is never closed');
+        }
+
+        if (this.state !== FIELD_START || this.fields.length > 0 || this.fieldWasQuoted) {
+            this.endField();
+            this.emitRecord();
+        }
+
+        this.resetRecord();
+        this.state = FIELD_START;
+    }
+
+    addIssue(type, message) {
+        if (!this.recordIssues.some(issue => issue.type === type)) {
+            this.recordIssues.push({ type, message });
+        }
+    }
+}
+
+// Turns a header like "Phone Number" into the row key "phone_number"
+function normalizeHeader(header) {
+    return header.trim().toLowerCase()
+        .replace(/\s+/g, '_')
+        .replace(/[^a-z0-9_]/g, '');
+}
+
+// Collects parsed records into row objects keyed by the normalized header.
+// Records whose column count does not match the header are left out of the
+// rows and reported instead, so values never end up under the wrong column.
+class CSVTableBuilder {
+    constructor() {
+        this.headers = null;
+        this.keys = null;
+        this.rows = [];
+        this.issues = [];
+    }
+
+    addRecord(record) {
+        if (!this.headers) {
+            this.headers = record.fields.map(header => header.trim());
+            this.keys = this.headers.map(normalizeHeader);
+            return;
+        }
+
+        const issues = [...record.issues];
+        const expected = this.headers.length;
+        const actual = record.fields.length;
+        if (actual > expected) {
+            issues.push({ type: 'too-many-columns', message: `Expected ${expected} columns but found ${actual}` });
+        } else if (actual < expected) {
+            issues.push({ type: 'too-few-columns', message: `Expected ${expected} columns but found ${actual}` });
+        }
+
+        const skipped = issues.some(issue => issue.type !== 'stray-quote');
+        issues.forEach(issue => {
+            this.issues.push({
+                line: record.line,
+                type: issue.type,
+                message: issue.message,
+                skipped: skipped,
+                fields: record.fields
+            });
+        });
+
+        if (skipped) {
+            return;
+        }
+
+        const row = {};
+        this.keys.forEach((key, index) => {
+            row[key] = (record.fields[index] || '').trim();
+        });
+        this.rows.push(row);
+    }
+
+    result() {
+        return {
+            headers: this.headers || [],
+            rows: this.rows,
+            issues: this.issues
+        };
+    }
+}
+
+function parseCSV(text) {
+    const builder = new CSVTableBuilder();
+    const parser = new CSVParser({ onRecord: (record) => builder.addRecord(record) });
+    parser.write(text);
+    parser.end();
+    return builder.result();
+}
+
+function parseCSVFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const builder = new CSVTableBuilder();
+        const parser = new CSVParser({ onRecord: (record) => builder.addRecord(record) });
+
+        fs.createReadStream(filePath, { encoding: 'utf8' })
+            .on('data', (chunk) => parser.write(chunk))
+            .on('end', () => {
+                parser.end();
+                resolve(builder.result());
+            })
+            .on('error', reject);
+    });
+}
+
+// Plain records without header handling, e.g. for importing simple lists
+function parseCSVRecords(text) {
+    const records = [];
+    const parser = new CSVParser({ onRecord: (record) => records.push(record.fields) });
+    parser.write(text);
+    parser.end();
+    return records;
+}
+
+module.exports = {
+    CSVParser,
+    CSVTableBuilder,
+    normalizeHeader,
+    parseCSV,
+    parseCSVFile,
+    parseCSVRecords
+};
@@ -0,0 +1,302 @@
+const { splitMultiValue } = require('./exporters');
+
+// Finds businesses that appear more than once across result sets and merges them.
+//
+// Rows use the renderer's business shape. Two rows are treated as the same
+// business when they share a normalized phone number or website domain, or when
+// both their names and addresses are close enough. Matches are transitive, so
+// each proposal is a group of two or more rows.
+
+const NAME_SIMILARITY = 0.85;
+const ADDRESS_SIMILARITY = 0.8;
+
+// Sites many businesses list instead of their own website; sharing one says nothing
+const SHARED_DOMAINS = [
+    'facebook.com', 'instagram.com', 'twitter.com', 'x.com', 'linkedin.com', 'youtube.com',
+    'tiktok.com', 'yelp.com', 'google.com', 'goo.gl', 'business.site', 'linktr.ee',
+    'wixsite.com', 'squarespace.com', 'tripadvisor.com'
+];
+
+// Country calling codes are 1 or 7, one of these two-digit codes, or three digits long
+const TWO_DIGIT_COUNTRY_CODES = [
+    '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47',
+    '48', '49', '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65',
+    '66', '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+];
+
+function countryCodeLength(digits) {
+    if (digits.startsWith('1') || digits.startsWith('7')) {
+        return 1;
+    }
+    return TWO_DIGIT_COUNTRY_CODES.includes(digits.slice(0, 2)) ? 2 : 3;
+}
+
+// The national number as digits: the country code of an international number and the
+// trunk "0" of a national one are dropped, so "+49 30 1234567" matches "030 1234567"
+// and "+1 (555) 123-4567" matches "555-123-4567". The rest has to match exactly.
+function normalizePhone(phone) {
+    const value = String(phone || '').trim();
+    let digits = value.replace(/\D/g, '');
+    if (value.startsWith('+') || digits.startsWith('00')) {
+        digits = digits.replace(/^00/, '');
+        digits = digits.slice(countryCodeLength(digits));
+    }
+    digits = digits.replace(/^0+/, '');
+    return digits.length < 7 ? '' : digits;
+}
+
+function websiteDomain(website) {
+    const value = String(website || '').trim().toLowerCase();
+    if (!value) {
+        return '';
+    }
+
+    const match = value.match(/^(?:[a-z]+:\/\/)?(?:www\.)?([^/?#:]+)/);
+    if (!match) {
+        return '';
+    }
+
+    const domain = match[1];
+    if (SHARED_DOMAINS.some(shared => domain === shared || domain.endsWith(`.${shared}`))) {
+        return '';
+    }
+    return domain;
+}
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function bigrams(text) {
+    const compact = normalizeText(text).replace(/ /g, '');
+    const pairs = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const pair = compact.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    return pairs;
+}
+
+// Dice coefficient over character bigrams: 1 for identical text, 0 for nothing shared
+function diceSimilarity(a, b) {
+    let total = 0;
+    let shared = 0;
+    a.forEach((count, pair) => {
+        total += count;
+        shared += Math.min(count, b.get(pair) || 0);
+    });
+    b.forEach(count => {
+        total += count;
+    });
+    return total === 0 ? 0 : (2 * shared) / total;
+}
+
+function similarity(textA, textB) {
+    return diceSimilarity(bigrams(textA), bigrams(textB));
+}
+
+// Identity keys for one row, shared with anything else that needs to match businesses
+function identityKeys(row) {
+    return {
+        phone: normalizePhone(row.phone),
+        domain: websiteDomain(row.website),
+        name: bigrams(row.name),
+        address: bigrams(row.address),
+        hasAddress: normalizeText(row.address) !== ''
+    };
+}
+
+// Why two rows look like the same business, or an empty list if they do not
+function matchReasons(keysA, keysB) {
+    const reasons = [];
+
+    if (keysA.phone && keysA.phone === keysB.phone) {
+        reasons.push({ type: 'phone', message: 'Same phone number' });
+    }
+    if (keysA.domain && keysA.domain === keysB.domain) {
+        reasons.push({ type: 'website', message: `Same website (${keysA.domain})` });
+    }
+    if (keysA.hasAddress && keysB.hasAddress) {
+        const nameScore = diceSimilarity(keysA.name, keysB.name);
+        if (nameScore >= NAME_SIMILARITY) {
+            const addressScore = diceSimilarity(keysA.address, keysB.address);
+            if (addressScore >= ADDRESS_SIMILARITY) {
+                reasons.push({
+                    type: 'name-address',
+                    message: `Similar name and address (${Math.round(nameScore * 100)}% / ${Math.round(addressScore * 100)}%)`
+                });
+            }
+        }
+    }
+
+    return reasons;
+}
+
+function uniqueBy(values, keyFn) {
+    const seen = new Set();
+    return values.filter(value => {
+        const key = keyFn(value);
+        if (!key || seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+function filledFieldCount(row) {
+    return ['name', 'address', 'phone', 'email', 'website', 'rating', 'reviews']
+        .filter(field => row[field] !== undefined && String(row[field]).trim() !== '')
+        .length;
+}
+
+// Combines duplicate rows into one. The most complete row supplies the main fields;
+// every other phone number, email and link is kept in the multi-value fields.
+function mergeRows(rows) {
+    const ranked = [...rows].sort((a, b) => {
+        const filledDiff = filledFieldCount(b) - filledFieldCount(a);
+        if (filledDiff !== 0) {
+            return filledDiff;
+        }
+        return (parseInt(b.reviews, 10) || 0) - (parseInt(a.reviews, 10) || 0);
+    });
+    const primary = ranked[0];
+
+    const merged = { ...primary };
+    ['name', 'address', 'phone', 'email', 'website'].forEach(field => {
+        if (!merged[field]) {
+            const donor = ranked.find(row => row[field]);
+            merged[field] = donor ? donor[field] : '';
+        }
+    });
+
+    // Rating and review count belong together, so take both from the most reviewed row
+    const mostReviewed = [...rows].sort((a, b) => (parseInt(b.reviews, 10) || 0) - (parseInt(a.reviews, 10) || 0))[0];
+    merged.rating = mostReviewed.rating || merged.rating || '';
+    merged.reviews = mostReviewed.reviews || merged.reviews || '';
+
+    const numbers = [];
+    const emails = [];
+    const links = [];
+    ranked.forEach(row => {
+        numbers.push(row.phone, ...splitMultiValue(row.additional_numbers));
+        emails.push(row.email, ...splitMultiValue(row.additional_emails));
+        links.push(...splitMultiValue(row.social_media_links));
+    });
+
+    const mergedPhone = normalizePhone(merged.phone);
+    const mergedEmail = String(merged.email || '').toLowerCase();
+    merged.additional_numbers = uniqueBy(numbers.filter(Boolean), number => normalizePhone(number) || number)
+        .filter(number => !mergedPhone || normalizePhone(number) !== mergedPhone)
+        .join(', ');
+    merged.additional_emails = uniqueBy(emails.filter(Boolean), email => email.toLowerCase())
+        .filter(email => email.toLowerCase() !== mergedEmail)
+        .join(', ');
+    merged.social_media_links = uniqueBy(links, link => link.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, ''))
+        .join(', ');
+
+    return merged;
+}
+
+// Returns merge proposals: { id, indices, reasons, merged } for every group of duplicates
+function findDuplicates(rows) {
+    const keys = rows.map(identityKeys);
+    const parent = rows.map((row, index) => index);
+    const pairReasons = new Map();
+
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    for (let i = 0; i < rows.length; i++) {
+        for (let j = i + 1; j < rows.length; j++) {
+            const reasons = matchReasons(keys[i], keys[j]);
+            if (reasons.length === 0) {
+                continue;
+            }
+
+            const rootI = find(i);
+            const rootJ = find(j);
+            if (rootI !== rootJ) {
+                parent[rootJ] = rootI;
+            }
+            pairReasons.set(`${i}:${j}`, reasons);
+        }
+    }
+
+    const groups = new Map();
+    rows.forEach((row, index) => {
+        const root = find(index);
+        if (!groups.has(root)) {
+            groups.set(root, []);
+        }
+        groups.get(root).push(index);
+    });
+
+    const proposals = [];
+    groups.forEach(indices => {
+        if (indices.length < 2) {
+            return;
+        }
+
+        const reasons = [];
+        pairReasons.forEach((pair, key) => {
+            const [i] = key.split(':').map(Number);
+            if (indices.includes(i)) {
+                reasons.push(...pair);
+            }
+        });
+
+        proposals.push({
+            id: `merge-${proposals.length + 1}`,
+            indices: indices,
+            reasons: uniqueBy(reasons, reason => reason.message),
+            merged: mergeRows(indices.map(index => rows[index]))
+        });
+    });
+
+    return proposals;
+}
+
+// Replaces each accepted group with its merged row, kept at the position of the group's first row
+function applyMerges(rows, groups) {
+    const mergedAt = new Map();
+    const removed = new Set();
+
+    groups.forEach(indices => {
+        const sorted = [...indices].sort((a, b) => a - b);
+        mergedAt.set(sorted[0], mergeRows(sorted.map(index => rows[index])));
+        sorted.slice(1).forEach(index => removed.add(index));
+    });
+
+    const result = [];
+    rows.forEach((row, index) => {
+        if (removed.has(index)) {
+            return;
+        }
+        result.push(mergedAt.has(index) ? mergedAt.get(index) : row);
+    });
+    return result;
+}
+
+module.exports = {
+    applyMerges,
+    findDuplicates,
+    identityKeys,
+    matchReasons,
+    mergeRows,
+    normalizePhone,
+    normalizeText,
+    similarity,
+    websiteDomain
+};
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { escapeCSVField, splitMultiValue } = require('./exporters');
+const ValidationError = require('./validation-error');
+
+// Named export layouts for importing into a CRM: which business field goes to
+// which column, in what order, under what header.
+//
+// A column is { header, source, field, value, split }:
+//   source 'field'     copies a business field (see TEMPLATE_FIELDS)
+//   source 'constant'  writes the same value on every row, e.g. Lead Source
+//   split              for multi-value fields, the number of numbered columns
+//                      ("Email 1", "Email 2", ...); 0 joins the values in one cell
+//
+// A "{n}" in a split column's header is replaced by the number, otherwise it is appended.
+
+const TEMPLATES_KEY = 'exportTemplates';
+const TEMPLATE_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv' },
+    xlsx: { label: 'Excel Workbook', extension: 'xlsx' },
+    json: { label: 'JSON', extension: 'json' }
+};
+const MAX_SPLIT_COLUMNS = 20;
+
+const TEMPLATE_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'address', label: 'Address' },
+    { key: 'phone', label: 'Phone Number', text: true },
+    { key: 'email', label: 'Email' },
+    { key: 'website', label: 'Website' },
+    { key: 'rating', label: 'Rating' },
+    { key: 'reviews', label: 'Total Ratings' },
+    { key: 'additional_numbers', label: 'Additional Numbers', multi: true, text: true },
+    { key: 'additional_emails', label: 'Additional Emails', multi: true },
+    { key: 'social_media_links', label: 'Social Media Links', multi: true },
+    { key: 'all_phones', label: 'All Phone Numbers (main first)', multi: true, text: true },
+    { key: 'all_emails', label: 'All Emails (main first)', multi: true },
+    { key: 'status', label: 'Lead Status' },
+    { key: 'tags', label: 'Tags', multi: true },
+    { key: 'notes', label: 'Notes' }
+];
+
+const field = (header, key, split = 0) => ({ header, source: 'field', field: key, value: '', split });
+const constant = (header, value) => ({ header, source: 'constant', field: '', value, split: 0 });
+
+// Starting points matching the CRMs' import screens; read-only, but can be duplicated
+const BUILT_IN_TEMPLATES = [
+    {
+        id: 'builtin-hubspot-companies',
+        name: 'HubSpot companies',
+        format: 'csv',
+        builtIn: true,
+        columns: [
+            field('Company name', 'name'),
+            field('Phone Number', 'phone'),
+            field('Website URL', 'website'),
+            field('Street Address', 'address'),
+            field('Email', 'email'),
+            constant('Lead Source', 'Business Scraper')
+        ]
+    },
+    {
+        id: 'builtin-salesforce-accounts',
+        name: 'Salesforce accounts',
+        format: 'csv',
+        builtIn: true,
+        columns: [
+            field('Account Name', 'name'),
+            field('Phone', 'phone'),
+            field('Website', 'website'),
+            field('Billing Street', 'address'),
+            field('Rating', 'rating'),
+            constant('Account Source', 'Business Scraper')
+        ]
+    },
+    {
+        id: 'builtin-pipedrive-organizations',
+        name: 'Pipedrive organizations',
+        format: 'csv',
+        builtIn: true,
+        columns: [
+            field('Organization - Name', 'name'),
+            field('Organization - Address', 'address'),
+            field('Person - Phone {n}', 'all_phones', 2),
+            field('Person - Email {n}', 'all_emails', 2),
+            field('Organization - Website', 'website')
+        ]
+    }
+];
+
+function fieldDefinition(key) {
+    return TEMPLATE_FIELDS.find(candidate => candidate.key === key) || null;
+}
+
+function cleanColumn(column) {
+    const definition = column.source === 'field' ? fieldDefinition(column.field) : null;
+    const split = Number(column.split) || 0;
+    return {
+        header: String(column.header || '').trim(),
+        source: column.source === 'constant' ? 'constant' : 'field',
+        field: column.source === 'constant' ? '' : String(column.field || ''),
+        value: column.source === 'constant' ? String(column.value || '') : '',
+        split: definition && definition.multi ? split : 0
+    };
+}
+
+function validateTemplate(template, templates) {
+    const errors = {};
+    if (!template.name) {
+        errors.name = 'Template name cannot be empty';
+    } else if (templates.some(other => other.id !== template.id && other.name.toLowerCase() === template.name.toLowerCase())) {
+        errors.name = `A template named "${template.name}" already exists`;
+    }
+    if (!TEMPLATE_FORMATS[template.format]) {
+        errors.format = `Format must be one of ${Object.keys(TEMPLATE_FORMATS).join(', ')}`;
+    }
+    if (template.columns.length === 0) {
+        errors.columns = 'Add at least one column';
+    }
+
+    template.columns.forEach((column, index) => {
+        if (!column.header) {
+            errors[`columns.${index}`] = 'Column header cannot be empty';
+        } else if (column.source === 'field' && !fieldDefinition(column.field)) {
+            errors[`columns.${index}`] = 'Choose a business field';
+        } else if (!Number.isInteger(column.split) || column.split < 0 || column.split > MAX_SPLIT_COLUMNS) {
+            errors[`columns.${index}`] = `Split into 0 to ${MAX_SPLIT_COLUMNS} columns`;
+        }
+    });
+
+    const headers = new Set();
+    expandColumns(template.columns).forEach(({ header }) => {
+        const key = header.toLowerCase();
+        if (key && headers.has(key) && !errors.columns) {
+            errors.columns = `The header "${header}" is used twice`;
+        }
+        headers.add(key);
+    });
+
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError(errors);
+    }
+}
+
+// One output column per template column, or several for split ones
+function expandColumns(columns) {
+    const expanded = [];
+    columns.forEach(column => {
+        if (!column.split) {
+            expanded.push({ header: column.header, column: column, index: null });
+            return;
+        }
+        for (let i = 0; i < column.split; i++) {
+            const header = column.header.includes('{n}')
+                ? column.header.replace(/\{n\}/g, String(i + 1))
+                : `${column.header} ${i + 1}`;
+            expanded.push({ header: header, column: column, index: i });
+        }
+    });
+    return expanded;
+}
+
+function fieldValues(business, key) {
+    if (key === 'all_phones') {
+        return [business.phone, ...splitMultiValue(business.additional_numbers)]
+            .filter((value, index, values) => value && values.indexOf(value) === index);
+    }
+    if (key === 'all_emails') {
+        const seen = new Set();
+        return [business.email, ...splitMultiValue(business.additional_emails)].filter(value => {
+            const key = String(value || '').toLowerCase();
+            if (!key || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+    return splitMultiValue(business[key]);
+}
+
+// { headers, rows } with one array of cell strings per business
+function applyTemplate(businesses, template) {
+    const columns = expandColumns(template.columns);
+    const rows = businesses.map(business => columns.map(({ column, index }) => {
+        if (column.source === 'constant') {
+            return column.value;
+        }
+        const definition = fieldDefinition(column.field);
+        if (!definition.multi) {
+            return business[column.field] !== undefined && business[column.field] !== null ? String(business[column.field]) : '';
+        }
+        const values = fieldValues(business, column.field);
+        return index === null ? values.join(', ') : values[index] || '';
+    }));
+    return { headers: columns.map(({ header }) => header), columns: columns, rows: rows };
+}
+
+function formatTemplateAsCSV(table) {
+    const lines = [table.headers.map(escapeCSVField).join(',')];
+    table.rows.forEach(row => lines.push(row.map(escapeCSVField).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+function formatTemplateAsJSON(table) {
+    return JSON.stringify(table.rows.map(row => {
+        const record = {};
+        table.headers.forEach((header, index) => {
+            record[header] = row[index];
+        });
+        return record;
+    }), null, 2);
+}
+
+async function formatTemplateAsXLSX(table) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Business Scraper';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Businesses', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = table.columns.map(({ header, column }) => {
+        const definition = column.source === 'field' ? fieldDefinition(column.field) : null;
+        return {
+            header: header,
+            width: Math.min(Math.max(header.length + 2, 14), 40),
+            // Phone numbers stay text so leading zeros and "+" survive
+            style: definition && definition.text ? { numFmt: '@' } : {}
+        };
+    });
+    table.rows.forEach(row => sheet.addRow(row));
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEDF2F7' } };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Returns the file contents (string or Buffer) in the template's format
+async function renderTemplateExport(businesses, template) {
+    const table = applyTemplate(businesses, template);
+    if (template.format === 'xlsx') {
+        return formatTemplateAsXLSX(table);
+    }
+    if (template.format === 'json') {
+        return formatTemplateAsJSON(table);
+    }
+    return formatTemplateAsCSV(table);
+}
+
+// The built-in templates followed by the user's own, which are kept in electron-store
+class ExportTemplateStore {
+    constructor(store) {
+        this.store = store;
+    }
+
+    listCustom() {
+        return this.store.get(TEMPLATES_KEY, []);
+    }
+
+    list() {
+        return [...BUILT_IN_TEMPLATES, ...this.listCustom()];
+    }
+
+    get(id) {
+        return this.list().find(template => template.id === id) || null;
+    }
+
+    build(fields, existing = {}) {
+        return {
+            ...existing,
+            name: String(fields.name !== undefined ? fields.name : existing.name || '').trim(),
+            format: fields.format !== undefined ? fields.format : existing.format || 'csv',
+            columns: (Array.isArray(fields.columns) ? fields.columns : existing.columns || []).map(cleanColumn)
+        };
+    }
+
+    create(fields) {
+        const template = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            ...this.build(fields)
+        };
+        validateTemplate(template, this.list());
+        this.store.set(TEMPLATES_KEY, [...this.listCustom(), template]);
+        return template;
+    }
+
+    update(id, fields) {
+        const templates = this.listCustom();
+        const index = templates.findIndex(template => template.id === id);
+        if (index === -1) {
+            throw new Error(this.get(id) ? 'Built-in templates cannot be changed; duplicate it instead' : 'Template not found');
+        }
+
+        const template = this.build(fields, templates[index]);
+        validateTemplate(template, this.list());
+        templates[index] = template;
+        this.store.set(TEMPLATES_KEY, templates);
+        return template;
+    }
+
+    remove(id) {
+        const templates = this.listCustom();
+        const remaining = templates.filter(template => template.id !== id);
+        this.store.set(TEMPLATES_KEY, remaining);
+        return remaining.length !== templates.length;
+    }
+}
+
+module.exports = ExportTemplateStore;
+module.exports.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+module.exports.TEMPLATE_FORMATS = TEMPLATE_FORMATS;
+module.exports.applyTemplate = applyTemplate;
+module.exports.renderTemplateExport = renderTemplateExport;
@@ -0,0 +1,403 @@
+const ExcelJS = require('exceljs');
+
+// Writes business rows held by the renderer back out to a file.
+//
+// Rows use the renderer's business shape (name, address, phone, email, website,
+// rating, reviews, additional_numbers, additional_emails, social_media_links).
+// Field names, ordering and the multi-value ", " separator follow the C++
+// Formatter so exported files can be read like the ones the CLI writes. The
+// lead status, tags and notes come after the Formatter's fields.
+
+const CSV_HEADERS = [
+    'Name', 'Address', 'Phone Number', 'Email', 'Website', 'Rating', 'Total Ratings',
+    'Additional Numbers', 'Additional Emails', 'Social Media Links',
+    'Status', 'Tags', 'Notes'
+];
+
+const MULTI_VALUE_SEPARATOR = ', ';
+
+function splitMultiValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => String(item).trim()).filter(item => item);
+    }
+    if (!value) {
+        return [];
+    }
+    return String(value).split(/\s*,\s*/).filter(item => item);
+}
+
+// Converts a renderer row into the Formatter's record layout
+function toFormatterRecord(business) {
+    const rating = parseFloat(business.rating);
+    const totalRatings = parseInt(business.reviews, 10);
+
+    return {
+        name: business.name || '',
+        address: business.address || '',
+        phone_number: business.phone || '',
+        email: business.email || '',
+        website: business.website || '',
+        rating: isNaN(rating) ? 0 : rating,
+        total_ratings: isNaN(totalRatings) ? 0 : totalRatings,
+        additional_numbers: splitMultiValue(business.additional_numbers),
+        additional_emails: splitMultiValue(business.additional_emails),
+        social_media_links: splitMultiValue(business.social_media_links),
+        status: business.status || 'new',
+        tags: splitMultiValue(business.tags),
+        notes: business.notes || ''
+    };
+}
+
+function escapeCSVField(value) {
+    const field = String(value);
+    if (!/[",\r\n]/.test(field)) {
+        return field;
+    }
+    return `"${field.replace(/"/g, '""')}"`;
+}
+
+function formatAsCSV(businesses) {
+    const lines = [CSV_HEADERS.join(',')];
+
+    businesses.map(toFormatterRecord).forEach(record => {
+        lines.push([
+            record.name,
+            record.address,
+            record.phone_number,
+            record.email,
+            record.website,
+            record.rating.toFixed(1),
+            record.total_ratings,
+            record.additional_numbers.join(MULTI_VALUE_SEPARATOR),
+            record.additional_emails.join(MULTI_VALUE_SEPARATOR),
+            record.social_media_links.join(MULTI_VALUE_SEPARATOR),
+            record.status,
+            record.tags.join(MULTI_VALUE_SEPARATOR),
+            record.notes
+        ].map(escapeCSVField).join(','));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function formatAsJSON(businesses) {
+    return JSON.stringify({ businesses: businesses.map(toFormatterRecord) }, null, 2);
+}
+
+// Double-quoted JSON strings are valid YAML scalars and handle every escape we need
+function yamlString(value) {
+    return JSON.stringify(String(value));
+}
+
+function yamlList(key, items) {
+    if (items.length === 0) {
+        return `    ${key}: []\n`;
+    }
+    return `    ${key}:\n` + items.map(item => `      - ${yamlString(item)}\n`).join('');
+}
+
+function formatAsYAML(businesses) {
+    let output = 'businesses:\n';
+
+    businesses.map(toFormatterRecord).forEach(record => {
+        output += `  - name: ${yamlString(record.name)}\n`
+            + `    address: ${yamlString(record.address)}\n`
+            + `    phone_number: ${yamlString(record.phone_number)}\n`
+            + `    email: ${yamlString(record.email)}\n`
+            + `    website: ${yamlString(record.website)}\n`
+            + `    rating: ${record.rating.toFixed(1)}\n`
+            + `    total_ratings: ${record.total_ratings}\n`;
+
+        ['additional_numbers', 'additional_emails', 'social_media_links'].forEach(key => {
+            output += yamlList(key, record[key]);
+        });
+
+        output += `    status: ${yamlString(record.status)}\n`
+            + yamlList('tags', record.tags)
+            + `    notes: ${yamlString(record.notes)}\n`;
+
+        output += '\n';
+    });
+
+    return output;
+}
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function formatAsXML(businesses) {
+    let output = '<?xml version="1.0" encoding="UTF-8"?>\n<businesses>\n';
+
+    businesses.map(toFormatterRecord).forEach(record => {
+        output += '  <business>\n'
+            + `    <name>${escapeXML(record.name)}</name>\n`
+            + `    <address>${escapeXML(record.address)}</address>\n`
+            + `    <phone_number>${escapeXML(record.phone_number)}</phone_number>\n`
+            + `    <email>${escapeXML(record.email)}</email>\n`
+            + `    <website>${escapeXML(record.website)}</website>\n`
+            + `    <rating>${record.rating.toFixed(1)}</rating>\n`
+            + `    <total_ratings>${record.total_ratings}</total_ratings>\n`;
+
+        // Same child element names as the Formatter
+        [
+            ['additional_numbers', 'number'],
+            ['additional_emails', 'email'],
+            ['social_media_links', 'link'],
+            ['tags', 'tag']
+        ].forEach(([key, childTag]) => {
+            output += `    <${key}>\n`;
+            record[key].forEach(item => {
+                output += `      <${childTag}>${escapeXML(item)}</${childTag}>\n`;
+            });
+            output += `    </${key}>\n`;
+        });
+
+        output += `    <status>${escapeXML(record.status)}</status>\n`
+            + `    <notes>${escapeXML(record.notes)}</notes>\n`;
+
+        output += '  </business>\n';
+    });
+
+    output += '</businesses>';
+    return output;
+}
+
+function hyperlinkCell(text, href) {
+    return href ? { text: text, hyperlink: href } : text;
+}
+
+function websiteHref(url) {
+    if (/^https?:\/\//i.test(url)) {
+        return url;
+    }
+    return url ? `https://${url}` : null;
+}
+
+// Typed Excel workbook. Multi-value fields are either joined into one cell
+// (multiValue: 'join') or spread across numbered columns (multiValue: 'split').
+async function formatAsXLSX(businesses, options = {}) {
+    const splitValues = options.multiValue === 'split';
+    const records = businesses.map(toFormatterRecord);
+
+    const multiValueFields = [
+        { key: 'additional_numbers', header: 'Additional Numbers', singular: 'Additional Number', link: null, isPhone: true },
+        { key: 'additional_emails', header: 'Additional Emails', singular: 'Additional Email', link: (v) => `mailto:${v}` },
+        { key: 'social_media_links', header: 'Social Media Links', singular: 'Social Media Link', link: websiteHref },
+        { key: 'tags', header: 'Tags', singular: 'Tag', link: null }
+    ];
+
+    const columns = [
+        { header: 'Name', width: 32, value: (r) => r.name },
+        { header: 'Address', width: 40, value: (r) => r.address },
+        { header: 'Phone Number', width: 18, text: true, value: (r) => r.phone_number },
+        { header: 'Email', width: 28, value: (r) => hyperlinkCell(r.email, r.email ? `mailto:${r.email}` : null) },
+        { header: 'Website', width: 32, value: (r) => hyperlinkCell(r.website, websiteHref(r.website)) },
+        { header: 'Rating', width: 10, numFmt: '0.0', value: (r, b) => (b.rating === '' || b.rating === undefined ? null : r.rating) },
+        { header: 'Total Ratings', width: 14, numFmt: '0', value: (r, b) => (b.reviews === '' || b.reviews === undefined ? null : r.total_ratings) }
+    ];
+
+    multiValueFields.forEach(field => {
+        // Status sits right before the tags, notes after them
+        if (field.key === 'tags') {
+            columns.push({ header: 'Status', width: 12, value: (r) => r.status });
+        }
+
+        if (!splitValues) {
+            columns.push({
+                header: field.header,
+                width: 36,
+                text: field.isPhone,
+                value: (r) => r[field.key].join(MULTI_VALUE_SEPARATOR)
+            });
+            return;
+        }
+
+        const maxCount = Math.max(0, ...records.map(r => r[field.key].length));
+        for (let i = 0; i < maxCount; i++) {
+            columns.push({
+                header: `${field.singular} ${i + 1}`,
+                width: field.isPhone ? 18 : 30,
+                text: field.isPhone,
+                value: (r) => {
+                    const item = r[field.key][i];
+                    if (!item) {
+                        return null;
+                    }
+                    return field.link ? hyperlinkCell(item, field.link(item)) : item;
+                }
+            });
+        }
+    });
+    columns.push({ header: 'Notes', width: 48, value: (r) => r.notes });
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Business Scraper';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Businesses', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        width: column.width,
+        // Phone numbers stay text so leading zeros and "+" survive
+        style: column.text ? { numFmt: '@' } : (column.numFmt ? { numFmt: column.numFmt } : {})
+    }));
+
+    records.forEach((record, index) => {
+        const row = sheet.addRow(columns.map(column => column.value(record, businesses[index])));
+        row.eachCell((cell) => {
+            if (cell.value && cell.value.hyperlink) {
+                cell.font = { color: { argb: 'FF2B6CB0' }, underline: true };
+            }
+        });
+    });
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEDF2F7' } };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Escapes a vCard text value (RFC 6350 section 3.4)
+function escapeVCardText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
+}
+
+// Folds content lines longer than 75 octets without splitting multi-byte characters
+function foldVCardLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+            // Continuation lines start with a space, which counts towards the limit
+            limit = 74;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+// Labels social links with the service name so contact apps can show them
+function socialProfileType(url) {
+    const match = url.match(/^(?:https?:\/\/)?(?:www\.)?([^./]+)\./i);
+    return match ? match[1].toLowerCase() : 'social';
+}
+
+// One vCard 3.0 contact per business; 3.0 is what phones and mail clients import most reliably
+function formatAsVCard(businesses) {
+    const cards = businesses.map(toFormatterRecord).map((record, index) => {
+        const business = businesses[index];
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${escapeVCardText(record.name)}`,
+            'N:;;;;',
+            `ORG:${escapeVCardText(record.name)}`,
+            // Apple Contacts otherwise files the card under an empty person name
+            'X-ABShowAs:COMPANY'
+        ];
+
+        if (record.address) {
+            // The address is a single formatted string, so it goes in the street component
+            lines.push(`ADR;TYPE=WORK:;;${escapeVCardText(record.address)};;;;`);
+            lines.push(`LABEL;TYPE=WORK:${escapeVCardText(record.address)}`);
+        }
+
+        if (record.phone_number) {
+            lines.push(`TEL;TYPE=WORK,VOICE,PREF:${escapeVCardText(record.phone_number)}`);
+        }
+        record.additional_numbers
+            .filter(number => number !== record.phone_number)
+            .forEach(number => lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCardText(number)}`));
+
+        if (record.email) {
+            lines.push(`EMAIL;TYPE=INTERNET,WORK,PREF:${escapeVCardText(record.email)}`);
+        }
+        record.additional_emails
+            .filter(email => email !== record.email)
+            .forEach(email => lines.push(`EMAIL;TYPE=INTERNET,WORK:${escapeVCardText(email)}`));
+
+        if (record.website) {
+            lines.push(`URL;TYPE=WORK:${websiteHref(record.website)}`);
+        }
+        record.social_media_links.forEach(link => {
+            const url = websiteHref(link);
+            const type = socialProfileType(url);
+            lines.push(`URL;TYPE=${type}:${url}`);
+            lines.push(`X-SOCIALPROFILE;TYPE=${type}:${url}`);
+        });
+
+        if (record.tags.length > 0) {
+            lines.push(`CATEGORIES:${record.tags.map(escapeVCardText).join(',')}`);
+        }
+
+        const notes = [`Status: ${record.status}`];
+        if (business.rating || business.reviews) {
+            notes.push(`Google rating ${record.rating.toFixed(1)} (${record.total_ratings} reviews)`);
+        }
+        if (record.notes) {
+            notes.push(record.notes);
+        }
+        lines.push(`NOTE:${escapeVCardText(notes.join('\n'))}`);
+
+        lines.push('END:VCARD');
+        return lines.map(foldVCardLine).join('\r\n');
+    });
+
+    return cards.join('\r\n') + '\r\n';
+}
+
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', render: formatAsCSV },
+    json: { label: 'JSON', extension: 'json', render: formatAsJSON },
+    yaml: { label: 'YAML', extension: 'yaml', render: formatAsYAML },
+    xml: { label: 'XML', extension: 'xml', render: formatAsXML },
+    xlsx: { label: 'Excel Workbook', extension: 'xlsx', render: formatAsXLSX },
+    vcf: { label: 'vCard Contacts', extension: 'vcf', render: formatAsVCard }
+};
+
+function getExportFormat(format) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+    return exportFormat;
+}
+
+// Returns the file contents (string or Buffer) for the given rows and format
+async function renderExport(businesses, format, options = {}) {
+    return getExportFormat(format).render(businesses, options);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    escapeCSVField,
+    getExportFormat,
+    renderExport,
+    splitMultiValue,
+    toFormatterRecord
+};
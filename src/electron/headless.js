@@ -0,0 +1,473 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { parseCSVRecords } = require('./csv-parser');
+const { EXPORT_FORMATS, getExportFormat, renderExport } = require('./exporters');
+const { toBusiness } = require('./result-reader');
+const { applyMerges, findDuplicates } = require('./dedupe');
+
+// Runs searches from the command line without opening a window, e.g. from cron:
+//
+//   business-scraper --headless -k restaurants -l Berlin --export xlsx
+//
+// Searches go through the app's queue, settings, active (or --profile) API key,
+// history and lead database exactly like GUI searches. Progress goes to stderr
+// and the summary to stdout, as JSON with --json.
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1, // no search succeeded, or exporting failed
+    USAGE: 2,
+    CONFIG: 3, // no usable API key or profile
+    PARTIAL: 4, // some searches failed
+    CANCELLED: 130
+};
+
+const OUTPUT_FORMATS = ['csv', 'json', 'yaml', 'xml'];
+
+const STAGE_LABELS = {
+    'map-search': 'Searching Google Maps...',
+    'web-scraping': 'Visiting business websites...',
+    saving: 'Saving results...'
+};
+
+const OPTIONS = {
+    '--keyword': { name: 'keywords', value: true, multiple: true },
+    '-k': { name: 'keywords', value: true, multiple: true },
+    '--location': { name: 'locations', value: true, multiple: true },
+    '-l': { name: 'locations', value: true, multiple: true },
+    '--batch': { name: 'batchFile', value: true },
+    '-b': { name: 'batchFile', value: true },
+    '--max-results': { name: 'maxResults', value: true },
+    '-r': { name: 'maxResults', value: true },
+    '--format': { name: 'outputFormat', value: true },
+    '-f': { name: 'outputFormat', value: true },
+    '--output-dir': { name: 'outputDirectory', value: true },
+    '-o': { name: 'outputDirectory', value: true },
+    '--no-web-scraping': { name: 'noWebScraping' },
+    '--profile': { name: 'profile', value: true },
+    '--export': { name: 'exportFormat', value: true },
+    '--export-file': { name: 'exportFile', value: true },
+    '--dedupe': { name: 'dedupe' },
+    '--json': { name: 'json' },
+    '--quiet': { name: 'quiet' },
+    '-q': { name: 'quiet' },
+    '--verbose': { name: 'verbose' },
+    '--help': { name: 'help' },
+    '-h': { name: 'help' }
+};
+
+const USAGE = `Usage: business-scraper --headless [options]
+
+Searches:
+  -k, --keyword <text>      Keyword to search for (repeatable)
+  -l, --location <text>     Location to search in (repeatable; every keyword is
+                            searched in every location)
+  -b, --batch <file>        CSV with "keyword,location" rows; rows with only a
+                            keyword are searched in every --location
+  -r, --max-results <n>     Results per search (default: app settings)
+  -f, --format <format>     File the CLI writes: ${OUTPUT_FORMATS.join(', ')}
+  -o, --output-dir <dir>    Where result files go (default: app settings)
+      --no-web-scraping     Skip visiting business websites
+      --profile <name>      API key profile to use (default: the active one)
+
+After the searches:
+      --dedupe              Merge duplicate businesses across all searches
+      --export <format>     Export all results as ${Object.keys(EXPORT_FORMATS).join(', ')}
+      --export-file <path>  Export file (default: output directory)
+
+Output:
+      --json                Print the summary as JSON
+  -q, --quiet               Do not print progress
+      --verbose             Print the app's diagnostic logging to stderr
+  -h, --help                Show this help
+
+Exit codes: 0 success, 1 all searches failed, 2 invalid arguments,
+3 no usable API key, 4 some searches failed, 130 interrupted.`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+function isHeadless(argv) {
+    return argv.includes('--headless');
+}
+
+// args: the command line without the executable (and app path in development)
+function parseHeadlessArgs(args) {
+    const options = { keywords: [], locations: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        // Both "--flag value" and "--flag=value"
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+        const option = OPTIONS[flag];
+        // Other long flags are left to Electron and Chromium (e.g. --ozone-platform=headless
+        // on a machine without a display), or are the app's own, like --headless and --dev
+        if (!option && flag.startsWith('--')) {
+            continue;
+        }
+        if (!option) {
+            throw new UsageError(arg.startsWith('-')
+                ? `Unknown option: ${arg}`
+                : `Unexpected argument: "${arg}" (quote values that contain spaces)`);
+        }
+
+        if (!option.value) {
+            options[option.name] = true;
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : args[++i];
+        if (value === undefined || (inlineValue === undefined && value.startsWith('-') && OPTIONS[value])) {
+            throw new UsageError(`${flag} needs a value`);
+        }
+        if (option.multiple) {
+            options[option.name].push(value);
+        } else {
+            options[option.name] = value;
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+
+    if (options.maxResults !== undefined) {
+        const maxResults = Number(options.maxResults);
+        if (!Number.isInteger(maxResults) || maxResults < 1) {
+            throw new UsageError('--max-results must be a whole number of at least 1');
+        }
+        options.maxResults = maxResults;
+    }
+    if (options.outputFormat !== undefined) {
+        options.outputFormat = options.outputFormat.toLowerCase();
+        if (!OUTPUT_FORMATS.includes(options.outputFormat)) {
+            throw new UsageError(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+        }
+    }
+    if (options.exportFormat !== undefined) {
+        options.exportFormat = options.exportFormat.toLowerCase();
+        if (!EXPORT_FORMATS[options.exportFormat]) {
+            throw new UsageError(`--export must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+    }
+    if (options.exportFile && !options.exportFormat) {
+        throw new UsageError('--export-file needs --export');
+    }
+    if (options.keywords.length === 0 && !options.batchFile) {
+        throw new UsageError('Give at least one --keyword, or a --batch file');
+    }
+
+    return options;
+}
+
+// Keyword/location pairs from the flags and the batch file, without duplicates
+function buildSearchList(options) {
+    const pairs = [];
+    options.keywords.forEach(keyword => {
+        options.locations.forEach(location => pairs.push({ keyword, location }));
+    });
+
+    if (options.batchFile) {
+        let content;
+        try {
+            content = fs.readFileSync(options.batchFile, 'utf8');
+        } catch (error) {
+            throw new UsageError(`Cannot read batch file: ${error.message}`);
+        }
+
+        const records = parseCSVRecords(content)
+            .map(fields => fields.map(field => (field || '').trim()))
+            .filter(fields => fields[0]);
+        if (records.length > 0 && records[0][0].toLowerCase() === 'keyword') {
+            records.shift();
+        }
+
+        records.forEach(([keyword, location]) => {
+            if (location) {
+                pairs.push({ keyword, location });
+            } else if (options.locations.length > 0) {
+                options.locations.forEach(fallback => pairs.push({ keyword, location: fallback }));
+            } else {
+                throw new UsageError(`Batch row "${keyword}" has no location; add one or pass --location`);
+            }
+        });
+    }
+
+    const seen = new Set();
+    const unique = pairs.filter(({ keyword, location }) => {
+        const key = `${keyword.trim().toLowerCase()}|${location.trim().toLowerCase()}`;
+        if (!keyword.trim() || !location.trim() || seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+
+    if (unique.length === 0) {
+        throw new UsageError('No searches to run: every keyword needs a location');
+    }
+    return unique;
+}
+
+class HeadlessRunner {
+    // scraperApp: the BusinessScraperApp, for its queue, settings and profiles
+    constructor(scraperApp, options) {
+        this.scraperApp = scraperApp;
+        this.options = options;
+        this.interrupted = false;
+    }
+
+    log(message) {
+        if (!this.options.quiet) {
+            process.stderr.write(`${message}\n`);
+        }
+    }
+
+    resolveProfile() {
+        const { profiles } = this.scraperApp;
+        if (!this.options.profile) {
+            return profiles.getActive();
+        }
+
+        const wanted = this.options.profile.toLowerCase();
+        const profile = profiles.list().find(candidate => candidate.name.toLowerCase() === wanted);
+        if (!profile) {
+            const names = profiles.list().map(candidate => candidate.name).join(', ');
+            throw new UsageError(`No profile named "${this.options.profile}" (profiles: ${names})`);
+        }
+        return profile;
+    }
+
+    async run() {
+        if (this.options.help) {
+            process.stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.OK;
+        }
+
+        let searches;
+        let profile;
+        try {
+            searches = buildSearchList(this.options);
+            profile = this.resolveProfile();
+        } catch (error) {
+            process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return EXIT_CODES.USAGE;
+        }
+
+        // Fail before queueing anything when there is no key to search with
+        try {
+            if (!profile || !this.scraperApp.profiles.getApiKey(profile)) {
+                process.stderr.write(`No API key is set for the profile "${profile ? profile.name : 'Default'}". Set one in the app's settings.\n`);
+                return EXIT_CODES.CONFIG;
+            }
+        } catch (error) {
+            process.stderr.write(`${error.message}\n`);
+            return EXIT_CODES.CONFIG;
+        }
+
+        const settings = this.scraperApp.getEffectiveSettings(profile);
+        const jobs = await this.runSearches(searches, profile, settings);
+        return this.finish(jobs, settings);
+    }
+
+    // Queues every search; resolves with the finished jobs in the order given
+    async runSearches(searches, profile, settings) {
+        const queue = this.scraperApp.searchQueue;
+        const positions = new Map();
+        const position = (job) => `[${positions.get(job)}/${searches.length}]`;
+
+        const listeners = {
+            // Queued before it starts, so every job has its position when the first one runs
+            'job-queued': (job) => {
+                positions.set(job, positions.size + 1);
+            },
+            'job-started': (job) => {
+                this.log(`${position(job)} Searching "${job.searchParams.keyword}" in "${job.searchParams.location}"...`);
+            },
+            'job-progress': (job, progressEvent) => {
+                const label = progressEvent.type === 'stage-change' ? STAGE_LABELS[progressEvent.stage] : null;
+                if (label) {
+                    this.log(`${position(job)}   ${label}`);
+                } else if (progressEvent.type === 'warning' || progressEvent.type === 'error') {
+                    this.log(`${position(job)}   ${progressEvent.type}: ${progressEvent.message}`);
+                }
+            },
+            'job-finished': (job) => {
+                if (job.status === 'done') {
+                    const count = (job.result.csvData || []).length;
+                    this.log(`${position(job)} ${plural(count, 'result')}${job.result.outputFile ? ` -> ${job.result.outputFile}` : ''}`);
+                } else if (job.status === 'failed') {
+                    this.log(`${position(job)} Failed: ${job.result.error}`);
+                }
+            }
+        };
+        const handlers = {};
+        Object.keys(listeners).forEach(event => {
+            handlers[event] = (job, ...rest) => {
+                if (job.source === 'cli') {
+                    listeners[event](job, ...rest);
+                }
+            };
+            queue.on(event, handlers[event]);
+        });
+
+        const onInterrupt = () => {
+            this.log('Interrupted, stopping searches...');
+            this.interrupted = true;
+            queue.cancel(job => job.source === 'cli');
+        };
+        process.once('SIGINT', onInterrupt);
+        process.once('SIGTERM', onInterrupt);
+
+        try {
+            const jobs = searches.map(({ keyword, location }) => queue.enqueue({
+                keyword: keyword,
+                location: location,
+                maxResults: Math.min(this.options.maxResults || settings.search.maxResults, settings.limits.maxResultsLimit),
+                outputFormat: this.options.outputFormat || settings.search.outputFormat,
+                outputDirectory: this.options.outputDirectory ? path.resolve(this.options.outputDirectory) : settings.output.directory,
+                enableWebScraping: this.options.noWebScraping ? false : settings.search.enableWebScraping
+            }, { source: 'cli', profileId: profile.id }));
+            await Promise.all(jobs.map(job => job.done));
+            return jobs;
+        } finally {
+            process.off('SIGINT', onInterrupt);
+            process.off('SIGTERM', onInterrupt);
+            Object.keys(handlers).forEach(event => queue.off(event, handlers[event]));
+        }
+    }
+
+    async finish(jobs, settings) {
+        const searches = jobs.map(job => ({
+            keyword: job.searchParams.keyword,
+            location: job.searchParams.location,
+            status: job.status,
+            resultCount: job.status === 'done' ? (job.result.csvData || []).length : 0,
+            outputFile: job.status === 'done' ? job.result.outputFile || null : null,
+            error: job.status === 'failed' ? job.result.error : null
+        }));
+
+        const done = jobs.filter(job => job.status === 'done');
+        let businesses = done.flatMap(job => (job.result.csvData || []).map(toBusiness));
+
+        const summary = { searches, totalResults: businesses.length, merged: 0, exportFile: null, error: null };
+
+        if (this.options.dedupe && businesses.length > 1) {
+            const proposals = findDuplicates(businesses);
+            const before = businesses.length;
+            businesses = applyMerges(businesses, proposals.map(proposal => proposal.indices));
+            summary.merged = before - businesses.length;
+            summary.totalResults = businesses.length;
+            this.log(`Merged ${plural(summary.merged, 'duplicate result')}`);
+        }
+
+        if (this.options.exportFormat && businesses.length > 0) {
+            try {
+                summary.exportFile = await this.exportResults(businesses, settings);
+                this.log(`Exported ${plural(businesses.length, 'result')} to ${summary.exportFile}`);
+            } catch (error) {
+                summary.error = `Export failed: ${error.message}`;
+            }
+        }
+
+        this.printSummary(summary);
+
+        if (summary.error) {
+            return EXIT_CODES.FAILED;
+        }
+        if (this.interrupted) {
+            return EXIT_CODES.CANCELLED;
+        }
+        if (done.length === 0) {
+            return EXIT_CODES.FAILED;
+        }
+        return done.length < jobs.length ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    }
+
+    async exportResults(businesses, settings) {
+        const exportFormat = getExportFormat(this.options.exportFormat);
+        let filePath = this.options.exportFile;
+        if (!filePath) {
+            const directory = this.options.outputDirectory || settings.output.directory || app.getPath('documents');
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            filePath = path.join(directory, `business-results-export-${timestamp}.${exportFormat.extension}`);
+        }
+
+        filePath = path.resolve(filePath);
+        const content = await renderExport(businesses, this.options.exportFormat);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    printSummary(summary) {
+        if (this.options.json) {
+            process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+            return;
+        }
+
+        summary.searches.forEach(search => {
+            const label = `${search.keyword} · ${search.location}`;
+            if (search.status === 'done') {
+                process.stdout.write(`ok      ${label}: ${plural(search.resultCount, 'result')}${search.outputFile ? ` (${search.outputFile})` : ''}\n`);
+            } else {
+                process.stdout.write(`${search.status.padEnd(8)}${label}${search.error ? `: ${search.error}` : ''}\n`);
+            }
+        });
+        if (summary.exportFile) {
+            process.stdout.write(`Exported ${plural(summary.totalResults, 'result')} to ${summary.exportFile}\n`);
+        }
+        if (summary.error) {
+            process.stderr.write(`${summary.error}\n`);
+        }
+    }
+}
+
+// Entry point from main.js; resolves with the process exit code
+async function runHeadless(scraperApp, args) {
+    let options;
+    try {
+        options = parseHeadlessArgs(args);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    // stdout is for the summary: the app's diagnostics go to stderr with --verbose, otherwise nowhere
+    scraperApp.logger = {
+        log: options.verbose ? (...args) => console.error(...args) : () => {},
+        warn: (...args) => console.warn(...args),
+        error: (...args) => console.error(...args)
+    };
+
+    try {
+        scraperApp.migrateStoredKeys();
+        return await new HeadlessRunner(scraperApp, options).run();
+    } catch (error) {
+        process.stderr.write(`Headless run failed: ${error.message}\n`);
+        return EXIT_CODES.FAILED;
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    HeadlessRunner,
+    USAGE,
+    UsageError,
+    buildSearchList,
+    isHeadless,
+    parseHeadlessArgs,
+    runHeadless
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { mergeRows, normalizePhone, normalizeText, websiteDomain } = require('./dedupe');
+const { UNKNOWN_BUSINESS_NAME } = require('../shared/business');
+
+const DATABASE_VERSION = 1;
+const MAX_SEARCHES_PER_LEAD = 50;
+
+const LEAD_STATUSES = ['new', 'contacted', 'interested', 'rejected'];
+const BUSINESS_FIELDS = [
+    'name', 'address', 'phone', 'email', 'website', 'rating', 'reviews',
+    'additional_numbers', 'additional_emails', 'social_media_links'
+];
+
+function pickBusinessFields(business) {
+    const picked = {};
+    BUSINESS_FIELDS.forEach(field => {
+        picked[field] = business[field] !== undefined && business[field] !== null ? String(business[field]) : '';
+    });
+    return picked;
+}
+
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const seen = new Set();
+    return list
+        .map(tag => String(tag).trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+}
+
+// The placeholder given to listings without a name counts as no name
+function businessName(business) {
+    return business.name === UNKNOWN_BUSINESS_NAME ? '' : normalizeText(business.name);
+}
+
+// Exact keys a business is recognised by when it is found again
+function identityKeys(business) {
+    const keys = [];
+    const phone = normalizePhone(business.phone);
+    const name = businessName(business);
+    const address = normalizeText(business.address);
+    const domain = websiteDomain(business.website);
+
+    if (phone) {
+        keys.push(`phone:${phone}`);
+    }
+    if (name && address) {
+        keys.push(`name-address:${name}|${address}`);
+    }
+    if (name && domain) {
+        keys.push(`domain-name:${domain}|${name}`);
+    }
+    return keys;
+}
+
+// Every business any search has found, kept in one JSON file in the user data folder.
+//
+// Leads are looked up through in-memory indexes on their identity keys: normalized
+// phone number, normalized name + address, and website domain + name (a domain on
+// its own is shared by chain branches). A business found again is merged into the
+// lead it matches instead of being added twice. Listings with none of these are
+// recognised by their name within the location they were searched in; searches skip
+// the ones that have no name either, as they could never be matched again.
+//
+// Each lead also carries what the reps record about it: a status, tags and notes.
+class LeadDatabase {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.leads = null;
+        this.index = new Map();
+    }
+
+    load() {
+        if (this.leads) {
+            return;
+        }
+
+        this.leads = new Map();
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                (data.leads || []).forEach(lead => this.leads.set(lead.id, lead));
+            }
+        } catch (error) {
+            // Keep the unreadable file for inspection instead of overwriting it
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            console.warn(`Lead database could not be read (${error.message}); moving it to ${backupPath}`);
+            try {
+                fs.renameSync(this.filePath, backupPath);
+            } catch (renameError) {
+                console.warn('Failed to move unreadable lead database:', renameError.message);
+            }
+        }
+
+        this.leads.forEach(lead => {
+            // Leads saved before status tracking existed
+            lead.status = LEAD_STATUSES.includes(lead.status) ? lead.status : 'new';
+            lead.tags = normalizeTags(lead.tags);
+            lead.notes = lead.notes || '';
+            this.indexLead(lead);
+        });
+    }
+
+    save() {
+        const data = {
+            version: DATABASE_VERSION,
+            savedAt: new Date().toISOString(),
+            leads: Array.from(this.leads.values())
+        };
+
+        // Write to a temporary file first so a crash never leaves half a database
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // locations: where the business was searched for, used only when it has no identity key
+    leadKeys(business, locations) {
+        const keys = identityKeys(business);
+        const name = businessName(business);
+        if (keys.length > 0 || !name) {
+            return keys;
+        }
+        return [...new Set(locations.map(location => normalizeText(location)).filter(city => city))]
+            .map(city => `name-city:${name}|${city}`);
+    }
+
+    indexLead(lead) {
+        this.leadKeys(lead.business, lead.searches.map(search => search.location)).forEach(key => {
+            if (!this.index.has(key)) {
+                this.index.set(key, lead.id);
+            }
+        });
+    }
+
+    findLead(business, location = '') {
+        for (const key of this.leadKeys(business, [location])) {
+            const id = this.index.get(key);
+            if (id && this.leads.has(id)) {
+                return this.leads.get(id);
+            }
+        }
+        return null;
+    }
+
+    // Adds or updates a lead for every business in a completed search.
+    // search: { historyId, keyword, location, source, timestamp }
+    recordSearch(businesses, search) {
+        this.load();
+
+        const timestamp = search.timestamp || new Date().toISOString();
+        const searchRef = {
+            historyId: search.historyId || null,
+            keyword: search.keyword || '',
+            location: search.location || '',
+            source: search.source || 'gui',
+            timestamp: timestamp
+        };
+
+        let added = 0;
+        let updated = 0;
+        let skipped = 0;
+
+        businesses.forEach(business => {
+            if (this.leadKeys(business, [searchRef.location]).length === 0) {
+                skipped++;
+                return;
+            }
+
+            const existing = this.findLead(business, searchRef.location);
+            if (existing) {
+                // The fresh record goes first so its values win over older ones of equal quality
+                existing.business = pickBusinessFields(mergeRows([business, existing.business]));
+                existing.lastSeen = timestamp;
+                existing.timesSeen = (existing.timesSeen || 1) + 1;
+                existing.searches = [searchRef, ...existing.searches].slice(0, MAX_SEARCHES_PER_LEAD);
+                this.indexLead(existing);
+                updated++;
+                return;
+            }
+
+            this.addLead(business, { timestamp: timestamp, searches: [searchRef] });
+            added++;
+        });
+
+        this.save();
+        return { added, updated, skipped, total: this.leads.size };
+    }
+
+    addLead(business, { timestamp, searches }) {
+        const lead = {
+            id: crypto.randomUUID(),
+            business: pickBusinessFields(business),
+            firstSeen: timestamp,
+            lastSeen: timestamp,
+            timesSeen: searches.length,
+            searches: searches,
+            status: 'new',
+            tags: [],
+            notes: ''
+        };
+        this.leads.set(lead.id, lead);
+        this.indexLead(lead);
+        return lead;
+    }
+
+    // Status, tags and notes for each business, or null for businesses not in the database
+    getAnnotations(businesses) {
+        this.load();
+        return businesses.map(business => {
+            const lead = (business.leadId && this.leads.get(business.leadId)) || this.findLead(business);
+            return lead ? { leadId: lead.id, status: lead.status, tags: lead.tags, notes: lead.notes } : null;
+        });
+    }
+
+    // Updates status, tags and/or notes. Businesses that are not in the database yet,
+    // e.g. from an opened file, are added so the annotation has somewhere to live.
+    annotate(business, changes) {
+        this.load();
+
+        let lead = (business.leadId && this.leads.get(business.leadId)) || this.findLead(business);
+        if (!lead) {
+            lead = this.addLead(business, { timestamp: new Date().toISOString(), searches: [] });
+        }
+
+        if (changes.status !== undefined) {
+            if (!LEAD_STATUSES.includes(changes.status)) {
+                throw new Error(`Unknown lead status: ${changes.status}`);
+            }
+            lead.status = changes.status;
+        }
+        if (changes.tags !== undefined) {
+            lead.tags = normalizeTags(changes.tags);
+        }
+        if (changes.notes !== undefined) {
+            lead.notes = String(changes.notes);
+        }
+        lead.updatedAt = new Date().toISOString();
+
+        this.save();
+        return lead;
+    }
+
+    list() {
+        this.load();
+        return Array.from(this.leads.values())
+            .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    }
+
+    get(id) {
+        this.load();
+        return this.leads.get(id) || null;
+    }
+
+    remove(id) {
+        this.load();
+        if (!this.leads.delete(id)) {
+            return false;
+        }
+
+        // Rebuild so no key points at the deleted lead
+        this.index.clear();
+        this.leads.forEach(lead => this.indexLead(lead));
+        this.save();
+        return true;
+    }
+
+    count() {
+        this.load();
+        return this.leads.size;
+    }
+}
+
+module.exports = LeadDatabase;
+module.exports.LEAD_STATUSES = LEAD_STATUSES;
+module.exports.identityKeys = identityKeys;
@@ -1,8 +1,33 @@
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Notification } = require('electron');
 const path = require('path');
+const os = require('os');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const Store = require('electron-store');
+const SearchQueue = require('./search-queue');
+const SearchHistory = require('./search-history');
+const ProgressParser = require('./progress-parser');
+const { parseCSV, parseCSVRecords } = require('./csv-parser');
+const { getExportFormat, renderExport } = require('./exporters');
+const { RESULT_EXTENSIONS, readResultFile, toBusiness } = require('./result-reader');
+const { applyMerges, findDuplicates } = require('./dedupe');
+const LeadDatabase = require('./lead-database');
+const Settings = require('./settings');
+const { generateApiToken } = require('./settings');
+const ApiServer = require('./api-server');
+const ProfileStore = require('./profiles');
+const { applyProfileSettings, describeProfile } = require('./profiles');
+const { decryptSecret, encryptSecret, getEncryptionStatus } = require('./secret-store');
+const { finalizeOutputFile, outputDirectoryFor, temporaryOutputFile } = require('./output-naming');
+const { isHeadless, runHeadless } = require('./headless');
+const { DIFF_EXPORT_FORMATS, DIFF_FIELDS, compareResultSets } = require('./result-diff');
+const Scheduler = require('./scheduler');
+const Webhooks = require('./webhooks');
+const { generateSigningSecret } = require('./webhooks');
+const { describeSchedule } = require('./scheduler');
+const ExportTemplateStore = require('./export-templates');
+const { TEMPLATE_FIELDS, TEMPLATE_FORMATS, renderTemplateExport } = require('./export-templates');
+const TableLayoutStore = require('./table-layouts');
 
 // Initialize electron-store for persistent settings
 const store = new Store();
@@ -10,24 +35,81 @@ const store = new Store();
 class BusinessScraperApp {
     constructor() {
         this.mainWindow = null;
+        // Diagnostics; headless runs swap in their own so stdout only carries the summary
+        this.logger = console;
+        this.activeSearch = null; // { process, outputFile, cancelled }
+        this.batches = new Map();
+        this.nextBatchId = 1;
+        this.searchQueue = new SearchQueue({
+            run: (job) => this.runSearch(job.searchParams, {
+                profileId: job.profileId,
+                onProgress: (progressEvent) => this.sendSearchProgress(job, progressEvent)
+            }),
+            cancel: () => this.cancelActiveSearch()
+        });
+        this.settings = new Settings(store);
+        this.searchHistory = new SearchHistory(store, {
+            limit: this.settings.get().limits.historyLimit,
+            directory: path.join(app.getPath('userData'), 'history')
+        });
+        this.settings.on('changed', (settings) => {
+            this.searchHistory.limit = settings.limits.historyLimit;
+        });
+        this.profiles = new ProfileStore(store, { encryptSecret, decryptSecret });
+        this.exportTemplates = new ExportTemplateStore(store);
+        this.tableLayouts = new TableLayoutStore(store);
+        this.apiServer = new ApiServer({
+            queue: this.searchQueue,
+            history: this.searchHistory,
+            getSettings: () => this.getEffectiveSettings()
+        });
+        this.leadDatabase = new LeadDatabase(path.join(app.getPath('userData'), 'leads.json'));
+        // History first: the lead database links back to the history entry
+        this.searchQueue.on('job-finished', (job) => this.recordHistory(job));
+        this.searchQueue.on('job-finished', (job) => this.recordLeads(job));
+        // Also after history, so deliveries include the history entry's id
+        this.webhooks = new Webhooks(store, { encryptSecret, decryptSecret }, { userAgent: `BusinessScraper/${app.getVersion()}` });
+        this.webhooks.markInterruptedDeliveries();
+        this.webhooks.on('deliveries-changed', () => this.sendToRenderer('webhook-deliveries-changed'));
+        this.searchQueue.on('job-finished', (job) => this.webhooks.searchFinished(job));
+        this.scheduler = new Scheduler(store, { queue: this.searchQueue });
+        this.scheduler.on('run-finished', (schedule, run) => this.notifyScheduleRun(schedule, run));
+        this.scheduler.on('changed', () => this.sendToRenderer('schedules-changed'));
         this.isDev = process.argv.includes('--dev');
         this.showDevTools = process.argv.includes('--devtools');
+        this.headless = isHeadless(process.argv);
 
         // Fix GPU process issues on Windows
         if (process.platform === 'win32') {
             app.disableHardwareAcceleration();
+            // Windows only shows notifications for the id the installer registers
+            app.setAppUserModelId('com.danielstanev.business-scraper');
         }
 
         this.setupApp();
     }
 
     setupApp() {
+        if (this.headless) {
+            this.setupHeadless();
+            return;
+        }
+
         // Handle app ready
         app.whenReady().then(() => {
-            // Initialize config handling before creating the window
-            this.initializeConfig();
             this.createMainWindow();
             this.setupIpcHandlers();
+            this.apiServer.apply(this.settings.get().api);
+            // After the key migration in setupIpcHandlers, so missed runs can use the keys
+            this.scheduler.start();
+        });
+
+        // Make sure queued and running searches do not outlive the app
+        app.on('before-quit', () => {
+            this.apiServer.stop();
+            this.scheduler.stop();
+            this.webhooks.stop();
+            this.searchQueue.cancel();
         });
 
         // Quit when all windows are closed (except on macOS)
@@ -40,12 +122,28 @@ class BusinessScraperApp {
         // Handle app activation (macOS)
         app.on('activate', () => {
             if (BrowserWindow.getAllWindows().length === 0) {
-                this.initializeConfig();
                 this.createMainWindow();
             }
         });
     }
 
+    // Command-line mode: runs the searches given as arguments without a window, then exits
+    setupHeadless() {
+        if (process.platform === 'darwin') {
+            app.dock.hide();
+        }
+
+        app.whenReady().then(async () => {
+            // Packaged apps get their arguments right after the executable
+            const exitCode = await runHeadless(this, process.argv.slice(app.isPackaged ? 1 : 2));
+            // Give webhook deliveries a chance to finish; unfinished ones show as failed in the log
+            await this.webhooks.settle(30 * 1000);
+            this.webhooks.stop();
+            this.searchQueue.cancel();
+            app.exit(exitCode);
+        });
+    }
+
     createMainWindow() {
         this.mainWindow = new BrowserWindow({
             width: 1200,
@@ -86,103 +184,17 @@ class BusinessScraperApp {
             shell.openExternal(url);
             return { action: 'deny' };
         });
-    }
-
-    initializeConfig() {
-        try {
-            // Determine paths for config files
-            const templatePath = this.isDev
-                ? path.join(__dirname, '../../config.template.ini')
-                : path.join(process.resourcesPath, 'config.template.ini');
-
-            // Check for existing config in stored location first
-            const storedConfigPath = store.get('configPath', null);
-            
-            // Always use user data directory for the actual config file
-            // This ensures it's writable even in AppImage environments
-            const userDataPath = app.getPath('userData');
-            const userConfigPath = path.join(userDataPath, 'config.ini');
-
-            // Ensure userData directory exists and is writable
-            let primaryConfigPath = userConfigPath;
-            try {
-                this.ensureDirectoryWritable(userDataPath);
-            } catch (userDataError) {
-                console.warn('UserData directory not writable, will use fallback location');
-                // Set up fallback location
-                const documentsPath = app.getPath('documents');
-                const appDocumentsPath = path.join(documentsPath, 'BusinessScraper');
-                primaryConfigPath = path.join(appDocumentsPath, 'config.ini');
-                
-                try {
-                    this.ensureDirectoryWritable(appDocumentsPath);
-                } catch (fallbackError) {
-                    console.error('Neither userData nor Documents directory is writable');
-                }
-            }
-
-            // For C++ backend, determine where it should look for config
-            let appConfigPath;
-            if (this.isDev) {
-                appConfigPath = path.join(__dirname, '../../config.ini');
-            } else {
-                // In production, try resources first, but fall back to stored or primary config
-                const resourcesConfigPath = path.join(process.resourcesPath, 'config.ini');
-                if (fs.existsSync(resourcesConfigPath)) {
-                    appConfigPath = resourcesConfigPath;
-                } else if (storedConfigPath && fs.existsSync(storedConfigPath)) {
-                    appConfigPath = storedConfigPath;
-                } else {
-                    appConfigPath = primaryConfigPath;
-                }
-            }
 
-            console.log('Initializing config...');
-            console.log('  Template path:', templatePath);
-            console.log('  Primary config path:', primaryConfigPath);
-            console.log('  Stored config path:', storedConfigPath);
-            console.log('  App config path:', appConfigPath);
-
-            // If no config exists anywhere but template does, create initial config
-            const configExists = (storedConfigPath && fs.existsSync(storedConfigPath)) || 
-                                fs.existsSync(primaryConfigPath) || 
-                                fs.existsSync(appConfigPath);
-                                
-            if (!configExists && fs.existsSync(templatePath)) {
-                console.log('Creating initial config from template...');
-                this.safeWriteFile(primaryConfigPath, fs.readFileSync(templatePath, 'utf8'));
-                store.set('configPath', primaryConfigPath);
-            }
-
-            // If we're in development and app config doesn't exist, copy from the primary location
-            if (this.isDev && !fs.existsSync(appConfigPath)) {
-                const sourceConfig = storedConfigPath || primaryConfigPath;
-                if (fs.existsSync(sourceConfig)) {
-                    console.log('Creating app config from primary config...');
-                    fs.copyFileSync(sourceConfig, appConfigPath);
-                }
-            }
-        } catch (error) {
-            console.warn('Failed to initialize config:', error.message);
-        }
+        // On macOS the app keeps running, and searching, after its window closes
+        this.mainWindow.on('closed', () => {
+            this.mainWindow = null;
+        });
     }
 
-    ensureDirectoryWritable(dirPath) {
-        try {
-            // Create directory if it doesn't exist
-            if (!fs.existsSync(dirPath)) {
-                fs.mkdirSync(dirPath, { recursive: true });
-            }
-
-            // Test write access by creating a temporary file
-            const testFile = path.join(dirPath, '.write-test');
-            fs.writeFileSync(testFile, 'test');
-            fs.unlinkSync(testFile);
-            
-            console.log('Directory is writable:', dirPath);
-        } catch (error) {
-            console.error('Directory is not writable:', dirPath, error.message);
-            throw new Error(`Cannot write to directory: ${dirPath}. Please check permissions.`);
+    // Sends to the window if there is one; events raised while it is closed are dropped
+    sendToRenderer(channel, ...args) {
+        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+            this.mainWindow.webContents.send(channel, ...args);
         }
     }
 
@@ -196,16 +208,194 @@ class BusinessScraperApp {
 
             // Write the file
             fs.writeFileSync(filePath, content);
-            console.log('Successfully wrote file:', filePath);
+            this.logger.log('Successfully wrote file:', filePath);
         } catch (error) {
             console.error('Failed to write file:', filePath, error.message);
             throw error;
         }
     }
 
+    // The CLI reads its key from config.ini in its working directory. Each search gets a
+    // private temporary folder holding that file, removed again once the CLI exits.
+    createRunConfig(apiKey) {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'business-scraper-'));
+        const configContent = `# Business Scraper Configuration
+[API]
+google_maps_api_key=${apiKey}
+`;
+        fs.writeFileSync(path.join(directory, 'config.ini'), configContent, { mode: 0o600 });
+        return directory;
+    }
+
+    removeRunConfig(directory) {
+        if (!directory) {
+            return;
+        }
+        try {
+            fs.rmSync(directory, { recursive: true, force: true });
+        } catch (error) {
+            console.warn('Could not remove temporary config:', directory, error.message);
+        }
+    }
+
+    // Files earlier versions kept the plain-text key in
+    legacyConfigPaths() {
+        const paths = [
+            store.get('configPath', null),
+            path.join(app.getPath('userData'), 'config.ini'),
+            path.join(app.getPath('documents'), 'BusinessScraper', 'config.ini'),
+            // Development builds also wrote the key next to package.json
+            this.isDev ? path.join(__dirname, '../../config.ini') : null
+        ];
+        return paths.filter((configPath, index) => configPath && paths.indexOf(configPath) === index);
+    }
+
+    // The single key stored before profiles existed, from electron-store or config.ini
+    readLegacyApiKey() {
+        const storedConfig = store.get('config', {});
+        if (storedConfig.apiKey) {
+            return storedConfig.apiKey;
+        }
+
+        for (const configPath of this.legacyConfigPaths()) {
+            try {
+                if (fs.existsSync(configPath)) {
+                    const apiKeyMatch = fs.readFileSync(configPath, 'utf8').match(/google_maps_api_key=(.+)/);
+                    const apiKey = apiKeyMatch ? apiKeyMatch[1].trim() : '';
+                    if (apiKey && apiKey !== 'YOUR_API_KEY_HERE') {
+                        return apiKey;
+                    }
+                }
+            } catch (readError) {
+                console.warn('Failed to read config file:', configPath, readError.message);
+            }
+        }
+        return '';
+    }
+
+    // Moves plain-text keys from older versions into the encrypted profiles and deletes
+    // every copy left on disk
+    migrateStoredKeys() {
+        if (this.profiles.migrate(this.readLegacyApiKey())) {
+            this.logger.log('Created default API key profile');
+        }
+        const encrypted = this.profiles.encryptStoredKeys();
+        if (encrypted > 0) {
+            this.logger.log(`Encrypted ${encrypted} stored API key(s)`);
+        }
+
+        store.delete('config');
+        this.legacyConfigPaths().forEach(configPath => {
+            try {
+                if (fs.existsSync(configPath)) {
+                    fs.unlinkSync(configPath);
+                    this.logger.log('Removed plain-text config:', configPath);
+                }
+            } catch (error) {
+                console.warn('Could not remove plain-text config:', configPath, error.message);
+            }
+        });
+        store.delete('configPath');
+
+        const encryption = getEncryptionStatus();
+        if (!encryption.available) {
+            console.warn(`API keys are stored without encryption: ${encryption.reason}`);
+        }
+    }
+
+    // Settings with the given (by default the active) profile's overrides applied
+    getEffectiveSettings(profile = this.profiles.getActive()) {
+        return applyProfileSettings(this.settings.get(), profile);
+    }
+
+    profilesResponse() {
+        const active = this.profiles.getActive();
+        return {
+            success: true,
+            profiles: this.profiles.list().map(profile => describeProfile(profile, active.id)),
+            activeId: active.id,
+            effective: this.getEffectiveSettings()
+        };
+    }
+
+    webhooksResponse() {
+        return {
+            success: true,
+            webhooks: this.webhooks.list().map(webhook => this.webhooks.describe(webhook)),
+            deliveries: this.webhooks.listDeliveries()
+        };
+    }
+
+    tableLayoutsResponse() {
+        return {
+            success: true,
+            layouts: this.tableLayouts.list(),
+            activeId: this.tableLayouts.getActive().id
+        };
+    }
+
+    exportTemplatesResponse() {
+        return {
+            success: true,
+            templates: this.exportTemplates.list(),
+            fields: TEMPLATE_FIELDS,
+            formats: TEMPLATE_FORMATS
+        };
+    }
+
+    schedulesResponse() {
+        return this.scheduler.list().map(schedule => describeSchedule(schedule, this.scheduler.isRunning(schedule.id)));
+    }
+
+    // Desktop notification when a scheduled search found new businesses, lost some, or failed
+    notifyScheduleRun(schedule, run) {
+        if (!Notification.isSupported()) {
+            return;
+        }
+
+        const names = (businesses) => {
+            const shown = businesses.slice(0, 3).map(business => business.name).join(', ');
+            return businesses.length > 3 ? `${shown} and ${businesses.length - 3} more` : shown;
+        };
+
+        let title;
+        const lines = [];
+        if (run.status === 'failed') {
+            title = `Scheduled search failed: ${schedule.name}`;
+            lines.push(run.error || 'Search failed');
+        } else if (run.added.length > 0 || run.removed.length > 0) {
+            const counts = [];
+            if (run.added.length > 0) {
+                counts.push(`${run.added.length} new`);
+                lines.push(`New: ${names(run.added)}`);
+            }
+            if (run.removed.length > 0) {
+                counts.push(`${run.removed.length} gone`);
+                lines.push(`Gone: ${names(run.removed)}`);
+            }
+            title = `${schedule.name}: ${counts.join(', ')}`;
+        } else {
+            // Nothing to report for a first run or an unchanged one
+            return;
+        }
+
+        const notification = new Notification({ title: title, body: lines.join('\n') });
+        notification.on('click', () => {
+            if (!this.mainWindow || this.mainWindow.isDestroyed()) {
+                this.createMainWindow();
+                return;
+            }
+            if (this.mainWindow.isMinimized()) {
+                this.mainWindow.restore();
+            }
+            this.mainWindow.focus();
+            this.mainWindow.webContents.send('schedule-notification-clicked', { scheduleId: schedule.id, historyId: run.historyId });
+        });
+        notification.show();
+    }
+
     setupIpcHandlers() {
-        // Initialize configuration on startup
-        this.initializeConfig();
+        this.migrateStoredKeys();
 
         // Get application paths
         ipcMain.handle('get-app-paths', () => {
@@ -220,61 +410,9 @@ class BusinessScraperApp {
         // Configuration management
         ipcMain.handle('save-config', async (event, config) => {
             try {
-                const configContent = `# Business Scraper Configuration
-[API]
-google_maps_api_key=${config.apiKey}
-`;
-
-                // Save to user data directory (for persistence)
-                const userDataPath = app.getPath('userData');
-                const userConfigPath = path.join(userDataPath, 'config.ini');
-                
-                let configSaved = false;
-                let actualConfigPath = userConfigPath;
-                
-                // Ensure directory is writable before attempting to save
-                try {
-                    this.ensureDirectoryWritable(userDataPath);
-                    this.safeWriteFile(userConfigPath, configContent);
-                    configSaved = true;
-                    console.log('Config saved to primary location:', userConfigPath);
-                } catch (dirError) {
-                    // If userData directory is not writable, try alternative locations
-                    console.error('Cannot write to userData directory:', dirError.message);
-                    
-                    // Try Documents folder as fallback
-                    const documentsPath = app.getPath('documents');
-                    const appDocumentsPath = path.join(documentsPath, 'BusinessScraper');
-                    const fallbackConfigPath = path.join(appDocumentsPath, 'config.ini');
-                    
-                    try {
-                        this.ensureDirectoryWritable(appDocumentsPath);
-                        this.safeWriteFile(fallbackConfigPath, configContent);
-                        console.log('Saved config to fallback location:', fallbackConfigPath);
-                        actualConfigPath = fallbackConfigPath;
-                        configSaved = true;
-                    } catch (fallbackError) {
-                        throw new Error(`Failed to save configuration. Cannot write to userData (${dirError.message}) or Documents folder (${fallbackError.message}). Please run as administrator or check folder permissions.`);
-                    }
-                }
-                
-                if (configSaved) {
-                    // Always store the actual config path that was used
-                    store.set('configPath', actualConfigPath);
-                    store.set('config', config);
-                }
-
-                // Also try to save to application directory if writable (development mode)
-                if (this.isDev) {
-                    const appConfigPath = path.join(__dirname, '../../config.ini');
-                    try {
-                        fs.writeFileSync(appConfigPath, configContent);
-                    } catch (appError) {
-                        console.warn('Could not write to app directory:', appError.message);
-                    }
-                }
-
-                return { success: true };
+                // The key always belongs to the active profile
+                const profile = this.profiles.update(this.profiles.getActive().id, { apiKey: config.apiKey });
+                return { success: true, profile: describeProfile(profile, profile.id) };
             } catch (error) {
                 console.error('Failed to save configuration:', error.message);
                 return { 
@@ -286,393 +424,1142 @@ google_maps_api_key=${config.apiKey}
 
         ipcMain.handle('load-config', async () => {
             try {
-                const storedConfig = store.get('config', {});
-                
-                // Get the stored config path (this will be the actual path that was successfully used)
-                const storedConfigPath = store.get('configPath', null);
-                const userConfigPath = path.join(app.getPath('userData'), 'config.ini');
-                
-                // Determine which config file to read from
-                let configPathsToTry = [];
-                
-                if (storedConfigPath) {
-                    // If we have a stored config path, try it first
-                    configPathsToTry.push(storedConfigPath);
-                }
-                
-                // Always try the default user config path as fallback
-                if (storedConfigPath !== userConfigPath) {
-                    configPathsToTry.push(userConfigPath);
-                }
-                
-                // Try to load from each path until one succeeds
-                let configLoaded = false;
-                for (const configPath of configPathsToTry) {
-                    if (fs.existsSync(configPath)) {
-                        try {
-                            console.log('Attempting to load config from:', configPath);
-                            const configContent = fs.readFileSync(configPath, 'utf8');
-                            const apiKeyMatch = configContent.match(/google_maps_api_key=(.+)/);
-                            if (apiKeyMatch) {
-                                storedConfig.apiKey = apiKeyMatch[1].trim();
-                                configLoaded = true;
-                                console.log('Successfully loaded config from:', configPath);
-                                
-                                // Update the stored path if this is a different location
-                                if (configPath !== storedConfigPath) {
-                                    store.set('configPath', configPath);
-                                }
-                                break;
-                            }
-                        } catch (readError) {
-                            console.warn('Failed to read config file:', configPath, readError.message);
-                        }
-                    }
-                }
-
-                return { success: true, config: storedConfig };
+                // The key itself never leaves the main process
+                const profile = this.profiles.getActive();
+                const description = profile ? describeProfile(profile, profile.id) : null;
+                return {
+                    success: true,
+                    config: {
+                        hasApiKey: description ? description.hasApiKey : false,
+                        keyHint: description ? description.keyHint : ''
+                    },
+                    profile: description,
+                    encryption: getEncryptionStatus()
+                };
             } catch (error) {
                 console.error('Failed to load configuration:', error.message);
                 return { success: false, error: error.message };
             }
         });
 
-        // Business search
-        ipcMain.handle('search-businesses', async (event, searchParams) => {
-            return new Promise((resolve) => {
-                try {
-                    console.log('Starting search with params:', searchParams);
-
-                    let executablePath;
-                    try {
-                        executablePath = this.getExecutablePath();
-                        console.log('Using executable at:', executablePath);
-                    } catch (pathError) {
-                        console.error('Failed to get executable path:', pathError.message);
-                        resolve({
-                            success: false,
-                            error: `Executable not found: ${pathError.message}`
-                        });
-                        return;
-                    }
+        // API key profiles
+        ipcMain.handle('list-profiles', async () => {
+            try {
+                return this.profilesResponse();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
 
-                    // Check if config exists - use the stored config path
-                    let appConfigPath;
-                    if (this.isDev) {
-                        appConfigPath = path.join(__dirname, '../../config.ini');
-                    } else {
-                        // In production, use the stored config path (which could be fallback location)
-                        const storedConfigPath = store.get('configPath', null);
-                        const defaultConfigPath = path.join(app.getPath('userData'), 'config.ini');
-                        
-                        if (storedConfigPath && fs.existsSync(storedConfigPath)) {
-                            appConfigPath = storedConfigPath;
-                        } else if (fs.existsSync(defaultConfigPath)) {
-                            appConfigPath = defaultConfigPath;
-                        } else {
-                            appConfigPath = defaultConfigPath; // Will fail later with proper error
-                        }
-                    }
+        ipcMain.handle('create-profile', async (event, fields) => {
+            try {
+                const profile = this.profiles.create(fields || {});
+                return { ...this.profilesResponse(), profileId: profile.id };
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
 
-                    console.log('Checking config at:', appConfigPath);
+        ipcMain.handle('update-profile', async (event, { id, changes }) => {
+            try {
+                this.profiles.update(id, changes || {});
+                return this.profilesResponse();
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
 
-                    if (!fs.existsSync(appConfigPath)) {
-                        resolve({
-                            success: false,
-                            error: 'Configuration file not found. Please set up your Google Maps API key first.'
-                        });
-                        return;
-                    }
+        ipcMain.handle('delete-profile', async (event, id) => {
+            try {
+                this.profiles.remove(id);
+                return this.profilesResponse();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
 
-                    // Build command arguments
-                    const args = [
-                        '-k', searchParams.keyword,
-                        '-l', searchParams.location,
-                        '-r', searchParams.maxResults.toString(),
-                        '-f', searchParams.outputFormat
-                    ];
+        ipcMain.handle('switch-profile', async (event, id) => {
+            try {
+                this.profiles.activate(id);
+                return this.profilesResponse();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
 
-                    if (!searchParams.enableWebScraping) {
-                        args.push('--no-web-scraping');
-                    }
+        // Application settings
+        ipcMain.handle('get-settings', async () => {
+            try {
+                return {
+                    success: true,
+                    settings: this.settings.get(),
+                    defaults: this.settings.getDefaults(),
+                    effective: this.getEffectiveSettings(),
+                    apiStatus: this.apiServer.getStatus()
+                };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
 
-                    // Set output file
-                    const outputDir = searchParams.outputDirectory || app.getPath('documents');
-                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-                    const outputFile = path.join(outputDir, `business-results-${timestamp}.${searchParams.outputFormat}`);
-                    args.push('-o', outputFile);
+        ipcMain.handle('save-settings', async (event, changes) => {
+            try {
+                const settings = this.settings.update(changes || {});
+                const apiStatus = await this.apiServer.apply(settings.api);
+                return { success: true, settings: settings, effective: this.getEffectiveSettings(), apiStatus };
+            } catch (error) {
+                console.error('Failed to save settings:', error.message);
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
 
-                    // Determine working directory and ensure config is available there
-                    let cwd;
-                    if (this.isDev) {
-                        cwd = path.join(__dirname, '../..'); // Development: project root
-                    } else {
-                        // Production: determine working directory based on config location
-                        const configDir = path.dirname(appConfigPath);
-                        const defaultUserDataDir = app.getPath('userData');
-                        
-                        // If config is in userData, use userData as working directory
-                        if (configDir === defaultUserDataDir) {
-                            cwd = defaultUserDataDir;
-                        } else {
-                            // If config is in fallback location, we need to copy it to a writable working directory
-                            // or use the config's directory as working directory
-                            try {
-                                // Try to use userData as working directory and copy config there
-                                this.ensureDirectoryWritable(defaultUserDataDir);
-                                const workingConfigPath = path.join(defaultUserDataDir, 'config.ini');
-                                if (!fs.existsSync(workingConfigPath)) {
-                                    fs.copyFileSync(appConfigPath, workingConfigPath);
-                                    console.log('Copied config from fallback to working directory');
-                                }
-                                cwd = defaultUserDataDir;
-                            } catch (copyError) {
-                                console.warn('Could not copy config to userData directory:', copyError.message);
-                                // Use the config's directory as working directory
-                                cwd = configDir;
-                                console.log('Using config directory as working directory:', cwd);
-                            }
-                        }
-                    }
+        ipcMain.handle('reset-settings', async () => {
+            try {
+                const settings = this.settings.reset();
+                const apiStatus = await this.apiServer.apply(settings.api);
+                return { success: true, settings: settings, effective: this.getEffectiveSettings(), apiStatus };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
 
-                    console.log('Spawn configuration:');
-                    console.log('  Executable:', executablePath);
-                    console.log('  Arguments:', args);
-                    console.log('  Working directory:', cwd);
-                    console.log('  Output file:', outputFile);
+        ipcMain.handle('regenerate-api-token', async () => {
+            try {
+                const settings = this.settings.update({ api: { token: generateApiToken() } });
+                const apiStatus = await this.apiServer.apply(settings.api);
+                return { success: true, settings: settings, apiStatus };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
 
-                    // Spawn the CLI process
-                    const cliProcess = spawn(executablePath, args, {
-                        cwd: cwd,
-                        env: { ...process.env }
-                    });
+        // Business search
+        ipcMain.handle('search-businesses', async (event, searchParams) => {
+            const job = this.searchQueue.enqueue(searchParams, { source: 'gui' });
+            return job.done;
+        });
 
-                    let stdout = '';
-                    let stderr = '';
+        ipcMain.handle('cancel-search', async () => {
+            try {
+                const cancelledCount = this.searchQueue.cancel(job => job.source === 'gui');
+                if (cancelledCount === 0) {
+                    return { success: false, error: 'No search is currently running' };
+                }
+                return { success: true };
+            } catch (error) {
+                console.error('Failed to cancel search:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
 
-                    cliProcess.stdout.on('data', (data) => {
-                        const message = data.toString();
-                        console.log('STDOUT:', message);
-                        stdout += message;
-                        // Send real-time status updates
-                        this.mainWindow?.webContents.send('search-status', message.trim());
-                    });
+        // Batch search
+        ipcMain.handle('start-batch', async (event, batchParams) => {
+            try {
+                const batch = this.createBatch(batchParams);
+                return await this.runBatchJobs(batch, batch.jobs);
+            } catch (error) {
+                console.error('Failed to run batch:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
 
-                    cliProcess.stderr.on('data', (data) => {
-                        const errorMessage = data.toString();
-                        console.log('STDERR:', errorMessage);
-                        stderr += errorMessage;
-                    });
+        ipcMain.handle('retry-batch', async (event, batchId) => {
+            const batch = this.batches.get(batchId);
+            if (!batch) {
+                return { success: false, error: 'Batch not found' };
+            }
 
-                    cliProcess.on('close', (code) => {
-                        console.log('Process closed with code:', code);
-                        console.log('Final stdout:', stdout);
-                        console.log('Final stderr:', stderr);
-
-                        if (code === 0) {
-                            // Extract CSV data from stdout
-                            const csvData = this.extractCSVData(stdout);
-
-                            resolve({
-                                success: true,
-                                outputFile: outputFile,
-                                output: stdout,
-                                csvData: csvData
-                            });
-                        } else {
-                            resolve({
-                                success: false,
-                                error: stderr || 'Unknown error occurred',
-                                output: stdout
-                            });
-                        }
-                    });
+            const retryJobs = batch.jobs.filter(job => job.status === 'failed' || job.status === 'cancelled');
+            if (retryJobs.length === 0) {
+                return { success: false, error: 'No failed jobs to retry' };
+            }
 
-                    cliProcess.on('error', (error) => {
-                        resolve({
-                            success: false,
-                            error: `Failed to start search process: ${error.message}`
-                        });
-                    });
+            try {
+                return await this.runBatchJobs(batch, retryJobs);
+            } catch (error) {
+                console.error('Failed to retry batch:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
 
-                } catch (error) {
-                    resolve({
-                        success: false,
-                        error: error.message
-                    });
-                }
-            });
+        ipcMain.handle('cancel-batch', async (event, batchId) => {
+            const cancelledCount = this.searchQueue.cancel(job => job.batchId === batchId);
+            if (cancelledCount === 0) {
+                return { success: false, error: 'No batch jobs are running' };
+            }
+            return { success: true };
         });
 
-        // File operations
-        ipcMain.handle('select-directory', async () => {
+        ipcMain.handle('import-list-file', async () => {
             try {
                 const result = await dialog.showOpenDialog(this.mainWindow, {
-                    properties: ['openDirectory'],
-                    defaultPath: app.getPath('documents')
+                    properties: ['openFile'],
+                    filters: [
+                        { name: 'Lists', extensions: ['txt', 'csv'] },
+                        { name: 'All Files', extensions: ['*'] }
+                    ]
                 });
 
-                if (!result.canceled && result.filePaths.length > 0) {
-                    return { success: true, path: result.filePaths[0] };
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: false, error: 'No file selected' };
                 }
 
-                return { success: false, error: 'No directory selected' };
+                const content = fs.readFileSync(result.filePaths[0], 'utf8');
+                // One entry per line; for CSV files only the first column is used
+                const items = parseCSVRecords(content)
+                    .map(fields => (fields[0] || '').trim())
+                    .filter(item => item);
+
+                return { success: true, items: items };
             } catch (error) {
                 return { success: false, error: error.message };
             }
         });
 
-        ipcMain.handle('read-csv-file', async (event, filePath) => {
+        // Search history
+        ipcMain.handle('list-history', async () => {
             try {
-                console.log('Reading CSV file:', filePath);
-
-                if (!fs.existsSync(filePath)) {
-                    console.error('CSV file not found:', filePath);
-                    return { success: false, error: 'File not found' };
-                }
-
-                const content = fs.readFileSync(filePath, 'utf8');
-                console.log('CSV file content length:', content.length);
-                console.log('CSV file first 200 chars:', content.substring(0, 200));
-
-                const lines = content.split('\n').filter(line => line.trim());
-                console.log('CSV lines count:', lines.length);
-
-                if (lines.length < 2) {
-                    console.error('Invalid CSV file - not enough lines');
-                    return { success: false, error: 'Invalid CSV file - no data rows found' };
-                }
-
-                // Parse CSV header - C++ format: Name,Address,Phone Number,Email,Website,Rating,Total Ratings,Additional Numbers,Additional Emails,Social Media Links
-                const headerLine = lines[0];
-                console.log('CSV header line:', headerLine);
-
-                const headers = this.parseCSVLine(headerLine).map(h => h.trim());
-                console.log('CSV headers:', headers);
-
-                const rows = [];
-
-                for (let i = 1; i < lines.length; i++) {
-                    const values = this.parseCSVLine(lines[i]);
-                    if (values.length > 0) {
-                        const row = {};
-                        headers.forEach((header, index) => {
-                            // Create standardized property names from headers
-                            const propName = header.toLowerCase()
-                                .replace(/\s+/g, '_')
-                                .replace(/[^a-z0-9_]/g, '');
-                            row[propName] = (values[index] || '').trim();
-                        });
-                        rows.push(row);
-                    }
-                }
+                return { success: true, entries: this.searchHistory.list() };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
 
-                console.log('Parsed CSV rows:', rows.length);
-                if (rows.length > 0) {
-                    console.log('First row:', rows[0]);
+        ipcMain.handle('get-history-entry', async (event, id) => {
+            try {
+                const entry = this.searchHistory.get(id);
+                if (!entry) {
+                    return { success: false, error: 'History entry not found' };
                 }
-
-                return { success: true, data: rows };
+                return {
+                    success: true,
+                    entry: entry,
+                    outputFileExists: !!entry.outputFile && fs.existsSync(entry.outputFile)
+                };
             } catch (error) {
-                console.error('Error reading CSV file:', error);
                 return { success: false, error: error.message };
             }
         });
 
-        ipcMain.handle('open-file', async (event, filePath) => {
+        ipcMain.handle('delete-history-entry', async (event, id) => {
             try {
-                await shell.openPath(filePath);
-                return { success: true };
+                const removed = this.searchHistory.remove(id);
+                return removed ? { success: true } : { success: false, error: 'History entry not found' };
             } catch (error) {
                 return { success: false, error: error.message };
             }
         });
 
-        ipcMain.handle('show-item-in-folder', async (event, filePath) => {
+        ipcMain.handle('clear-history', async () => {
             try {
-                shell.showItemInFolder(filePath);
+                this.searchHistory.clear();
                 return { success: true };
             } catch (error) {
                 return { success: false, error: error.message };
             }
         });
-    }
-
-    extractCSVData(stdout) {
-        try {
-            const startMarker = '--- CSV_DATA_START ---';
-            const endMarker = '--- CSV_DATA_END ---';
-
-            const startIndex = stdout.indexOf(startMarker);
-            const endIndex = stdout.indexOf(endMarker);
 
-            if (startIndex === -1 || endIndex === -1) {
-                console.log('CSV data markers not found in output');
-                return null;
+        // Scheduled searches
+        ipcMain.handle('list-schedules', async () => {
+            try {
+                return { success: true, schedules: this.schedulesResponse() };
+            } catch (error) {
+                return { success: false, error: error.message };
             }
+        });
 
-            const csvContent = stdout.substring(startIndex + startMarker.length, endIndex).trim();
-            console.log('Extracted CSV content length:', csvContent.length);
+        ipcMain.handle('create-schedule', async (event, fields) => {
+            try {
+                const schedule = this.scheduler.create(fields || {});
+                return { success: true, schedules: this.schedulesResponse(), scheduleId: schedule.id };
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
 
-            if (!csvContent) {
-                return null;
+        ipcMain.handle('update-schedule', async (event, { id, changes }) => {
+            try {
+                this.scheduler.update(id, changes || {});
+                return { success: true, schedules: this.schedulesResponse() };
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
             }
+        });
 
-            // Parse the CSV content
-            const lines = csvContent.split('\n').filter(line => line.trim());
+        ipcMain.handle('delete-schedule', async (event, id) => {
+            try {
+                const removed = this.scheduler.remove(id);
+                return removed ? { success: true, schedules: this.schedulesResponse() } : { success: false, error: 'Schedule not found' };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
 
-            if (lines.length < 2) {
-                console.log('Not enough CSV lines found');
-                return null;
+        ipcMain.handle('run-schedule', async (event, id) => {
+            try {
+                const schedule = this.scheduler.get(id);
+                if (!schedule) {
+                    return { success: false, error: 'Schedule not found' };
+                }
+                if (this.scheduler.isRunning(id)) {
+                    return { success: false, error: `"${schedule.name}" is already running` };
+                }
+                // Returns once queued; the list updates through 'schedules-changed' when it finishes
+                this.scheduler.run(id, 'manual').catch(error => {
+                    console.warn('Scheduled search failed:', error.message);
+                });
+                return { success: true, schedules: this.schedulesResponse() };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        // File operations
+        ipcMain.handle('select-directory', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    properties: ['openDirectory'],
+                    defaultPath: app.getPath('documents')
+                });
+
+                if (!result.canceled && result.filePaths.length > 0) {
+                    return { success: true, path: result.filePaths[0] };
+                }
+
+                return { success: false, error: 'No directory selected' };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('select-results-file', async (event, defaultDirectory, options = {}) => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    title: 'Open Results',
+                    defaultPath: defaultDirectory || app.getPath('documents'),
+                    properties: options.multiple ? ['openFile', 'multiSelections'] : ['openFile'],
+                    filters: [
+                        { name: 'Result Files', extensions: RESULT_EXTENSIONS },
+                        { name: 'All Files', extensions: ['*'] }
+                    ]
+                });
+
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: false, canceled: true };
+                }
+
+                return { success: true, filePath: result.filePaths[0], filePaths: result.filePaths };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Loads a CSV, JSON, YAML or XML results file into CSV-style rows
+        ipcMain.handle('read-results-file', async (event, filePath) => {
+            try {
+                if (!filePath || !fs.existsSync(filePath)) {
+                    return { success: false, error: 'File not found' };
+                }
+
+                const { format, rows, issues } = await readResultFile(filePath);
+                this.logger.log(`Read ${rows.length} rows from ${format.toUpperCase()} file:`, filePath);
+
+                return { success: true, filePath: filePath, format: format, data: rows, issues: issues };
+            } catch (error) {
+                console.error('Error reading results file:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Lead database
+        ipcMain.handle('list-leads', async () => {
+            try {
+                return { success: true, leads: this.leadDatabase.list() };
+            } catch (error) {
+                console.error('Failed to read lead database:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-lead-annotations', async (event, businesses) => {
+            try {
+                return { success: true, annotations: this.leadDatabase.getAnnotations(businesses || []) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('update-lead-annotation', async (event, { business, changes }) => {
+            try {
+                const lead = this.leadDatabase.annotate(business, changes || {});
+                return {
+                    success: true,
+                    annotation: { leadId: lead.id, status: lead.status, tags: lead.tags, notes: lead.notes }
+                };
+            } catch (error) {
+                console.error('Failed to update lead:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('delete-lead', async (event, id) => {
+            try {
+                return { success: this.leadDatabase.remove(id) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Merging result sets
+        ipcMain.handle('find-duplicates', async (event, rows) => {
+            try {
+                return { success: true, proposals: findDuplicates(rows || []) };
+            } catch (error) {
+                console.error('Failed to find duplicates:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('apply-merges', async (event, { rows, groups }) => {
+            try {
+                const valid = (groups || []).filter(indices =>
+                    Array.isArray(indices) && indices.length > 1 && indices.every(index => Number.isInteger(index) && index >= 0 && index < rows.length));
+                return { success: true, rows: applyMerges(rows, valid) };
+            } catch (error) {
+                console.error('Failed to merge results:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Webhooks
+        ipcMain.handle('list-webhooks', async () => {
+            try {
+                return this.webhooksResponse();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('create-webhook', async (event, fields) => {
+            try {
+                this.webhooks.create(fields || {});
+                return this.webhooksResponse();
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
+
+        ipcMain.handle('update-webhook', async (event, { id, changes }) => {
+            try {
+                this.webhooks.update(id, changes || {});
+                return this.webhooksResponse();
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
+
+        ipcMain.handle('delete-webhook', async (event, id) => {
+            try {
+                const removed = this.webhooks.remove(id);
+                return removed ? this.webhooksResponse() : { success: false, error: 'Webhook not found' };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Sends a sample delivery and resolves once it is done (no retries)
+        ipcMain.handle('test-webhook', async (event, id) => {
+            try {
+                const delivery = await this.webhooks.sendTest(id);
+                return { ...this.webhooksResponse(), delivery: delivery };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('generate-webhook-secret', async () => {
+            return { success: true, secret: generateSigningSecret() };
+        });
+
+        ipcMain.handle('clear-webhook-deliveries', async () => {
+            try {
+                this.webhooks.clearDeliveries();
+                return this.webhooksResponse();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Results table layouts
+        ipcMain.handle('list-table-layouts', async () => {
+            try {
+                this.tableLayouts.ensureDefault();
+                return this.tableLayoutsResponse();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('create-table-layout', async (event, fields) => {
+            try {
+                this.tableLayouts.create(fields || {});
+                return this.tableLayoutsResponse();
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
+
+        ipcMain.handle('update-table-layout', async (event, { id, changes }) => {
+            try {
+                this.tableLayouts.update(id, changes || {});
+                return this.tableLayoutsResponse();
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
+
+        ipcMain.handle('delete-table-layout', async (event, id) => {
+            try {
+                const removed = this.tableLayouts.remove(id);
+                return removed ? this.tableLayoutsResponse() : { success: false, error: 'Layout not found' };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('switch-table-layout', async (event, id) => {
+            try {
+                this.tableLayouts.activate(id);
+                return this.tableLayoutsResponse();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Export templates (column mappings for CRM imports)
+        ipcMain.handle('list-export-templates', async () => {
+            try {
+                return this.exportTemplatesResponse();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('create-export-template', async (event, fields) => {
+            try {
+                const template = this.exportTemplates.create(fields || {});
+                return { ...this.exportTemplatesResponse(), template: template };
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
+
+        ipcMain.handle('update-export-template', async (event, { id, changes }) => {
+            try {
+                const template = this.exportTemplates.update(id, changes || {});
+                return { ...this.exportTemplatesResponse(), template: template };
+            } catch (error) {
+                return { success: false, error: error.message, errors: error.errors || null };
+            }
+        });
+
+        ipcMain.handle('delete-export-template', async (event, id) => {
+            try {
+                const removed = this.exportTemplates.remove(id);
+                return removed ? this.exportTemplatesResponse() : { success: false, error: 'Template not found' };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Comparing two result sets
+        ipcMain.handle('compare-results', async (event, { before, after }) => {
+            try {
+                return { success: true, comparison: compareResultSets(before || [], after || []), fields: DIFF_FIELDS };
+            } catch (error) {
+                console.error('Failed to compare results:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('export-comparison', async (event, { before, after, format, sources, defaultDirectory }) => {
+            try {
+                const exportFormat = DIFF_EXPORT_FORMATS[format];
+                if (!exportFormat) {
+                    return { success: false, error: `Unsupported export format: ${format}` };
+                }
+
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Export Comparison',
+                    defaultPath: path.join(defaultDirectory || app.getPath('documents'), `business-results-comparison-${timestamp}.${exportFormat.extension}`),
+                    filters: [
+                        { name: exportFormat.label, extensions: [exportFormat.extension] },
+                        { name: 'All Files', extensions: ['*'] }
+                    ]
+                });
+
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true };
+                }
+
+                const comparison = compareResultSets(before || [], after || []);
+                this.safeWriteFile(result.filePath, exportFormat.render(comparison, sources));
+                return { success: true, filePath: result.filePath };
+            } catch (error) {
+                console.error('Failed to export comparison:', error.message);
+                return { success: false, error: error.message };
             }
+        });
 
-            const headers = this.parseCSVLine(lines[0]).map(h => h.trim());
-            console.log('CSV headers from stdout:', headers);
+        // Export the rows currently shown in the renderer
+        // options.templateId exports through a column mapping template, in the template's format
+        ipcMain.handle('export-results', async (event, { rows, format, options, defaultDirectory }) => {
+            try {
+                if (!Array.isArray(rows) || rows.length === 0) {
+                    return { success: false, error: 'There are no results to export' };
+                }
+
+                const template = options && options.templateId ? this.exportTemplates.get(options.templateId) : null;
+                if (options && options.templateId && !template) {
+                    return { success: false, error: 'Export template not found' };
+                }
+
+                const exportFormat = template ? TEMPLATE_FORMATS[template.format] : getExportFormat(format);
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+                const slug = template ? template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : 'export';
+                const defaultName = `business-results-${slug || 'export'}-${timestamp}.${exportFormat.extension}`;
+
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Export Results',
+                    defaultPath: path.join(defaultDirectory || app.getPath('documents'), defaultName),
+                    filters: [
+                        { name: exportFormat.label, extensions: [exportFormat.extension] },
+                        { name: 'All Files', extensions: ['*'] }
+                    ]
+                });
+
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true };
+                }
 
-            const rows = [];
-            for (let i = 1; i < lines.length; i++) {
-                const values = this.parseCSVLine(lines[i]);
-                if (values.length > 0) {
-                    const row = {};
-                    headers.forEach((header, index) => {
-                        const propName = header.toLowerCase()
-                            .replace(/\s+/g, '_')
-                            .replace(/[^a-z0-9_]/g, '');
-                        row[propName] = (values[index] || '').trim();
+                const content = template
+                    ? await renderTemplateExport(rows, template)
+                    : await renderExport(rows, format, options);
+                this.safeWriteFile(result.filePath, content);
+
+                return { success: true, filePath: result.filePath, count: rows.length };
+            } catch (error) {
+                console.error('Failed to export results:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('open-file', async (event, filePath) => {
+            try {
+                await shell.openPath(filePath);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('show-item-in-folder', async (event, filePath) => {
+            try {
+                shell.showItemInFolder(filePath);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+    }
+
+    createBatch(batchParams) {
+        const keywords = [...new Set((batchParams.keywords || []).map(k => k.trim()).filter(k => k))];
+        const locations = [...new Set((batchParams.locations || []).map(l => l.trim()).filter(l => l))];
+
+        if (keywords.length === 0 || locations.length === 0) {
+            throw new Error('At least one keyword and one location are required');
+        }
+
+        const batch = {
+            id: `batch-${this.nextBatchId++}`,
+            createdAt: new Date().toISOString(),
+            jobs: []
+        };
+
+        keywords.forEach(keyword => {
+            locations.forEach(location => {
+                batch.jobs.push({
+                    index: batch.jobs.length,
+                    keyword: keyword,
+                    location: location,
+                    status: 'queued', // queued, running, done, failed, cancelled
+                    resultCount: 0,
+                    outputFile: null,
+                    error: null,
+                    csvData: null,
+                    csvIssues: null,
+                    searchParams: {
+                        keyword: keyword,
+                        location: location,
+                        maxResults: batchParams.maxResults,
+                        outputFormat: batchParams.outputFormat,
+                        outputDirectory: batchParams.outputDirectory,
+                        enableWebScraping: batchParams.enableWebScraping
+                    }
+                });
+            });
+        });
+
+        this.batches.set(batch.id, batch);
+        this.logger.log(`Created ${batch.id} with ${batch.jobs.length} jobs`);
+        return batch;
+    }
+
+    async runBatchJobs(batch, jobs) {
+        jobs.forEach(batchJob => {
+            batchJob.status = 'queued';
+            batchJob.error = null;
+        });
+        this.sendBatchProgress(batch);
+
+        // Reflect queue state changes in the batch as they happen
+        const onStarted = (queueJob) => {
+            const batchJob = jobs.find(job => job.searchParams === queueJob.searchParams);
+            if (batchJob) {
+                batchJob.status = 'running';
+                this.sendBatchProgress(batch, batchJob);
+            }
+        };
+        this.searchQueue.on('job-started', onStarted);
+
+        const runs = jobs.map(batchJob => {
+            const queueJob = this.searchQueue.enqueue(batchJob.searchParams, {
+                source: 'batch',
+                batchId: batch.id
+            });
+            return { batchJob, queueJob };
+        });
+
+        try {
+            for (const { batchJob, queueJob } of runs) {
+                const result = await queueJob.done;
+
+                batchJob.status = queueJob.status;
+                if (result.success) {
+                    batchJob.csvData = result.csvData || [];
+                    batchJob.resultCount = batchJob.csvData.length;
+                    batchJob.outputFile = result.outputFile;
+                    batchJob.csvIssues = result.csvIssues || [];
+                } else if (!result.cancelled) {
+                    batchJob.error = result.error || 'Unknown error occurred';
+                }
+
+                this.sendBatchProgress(batch, batchJob);
+            }
+        } finally {
+            this.searchQueue.removeListener('job-started', onStarted);
+        }
+
+        const summary = this.summarizeBatch(batch);
+        const doneJobs = batch.jobs.filter(batchJob => batchJob.status === 'done');
+        const csvData = doneJobs.flatMap(batchJob => batchJob.csvData || []);
+        const csvIssues = doneJobs.flatMap(batchJob => batchJob.csvIssues || []);
+
+        return {
+            success: summary.done > 0,
+            batch: summary,
+            csvData: csvData,
+            csvIssues: csvIssues,
+            error: summary.done > 0 ? null : 'None of the batch searches completed'
+        };
+    }
+
+    summarizeBatch(batch) {
+        const count = (status) => batch.jobs.filter(job => job.status === status).length;
+
+        return {
+            id: batch.id,
+            createdAt: batch.createdAt,
+            total: batch.jobs.length,
+            queued: count('queued'),
+            running: count('running'),
+            done: count('done'),
+            failed: count('failed'),
+            cancelled: count('cancelled'),
+            jobs: batch.jobs.map(job => ({
+                index: job.index,
+                keyword: job.keyword,
+                location: job.location,
+                status: job.status,
+                resultCount: job.resultCount,
+                outputFile: job.outputFile,
+                error: job.error
+            }))
+        };
+    }
+
+    sendBatchProgress(batch, changedJob = null) {
+        this.sendToRenderer('batch-progress', {
+            batch: this.summarizeBatch(batch),
+            changedJobIndex: changedJob ? changedJob.index : null
+        });
+    }
+
+    recordHistory(job) {
+        if (job.status !== 'done' || !this.settings.get().behavior.recordHistory) {
+            return;
+        }
+
+        try {
+            const entry = this.searchHistory.add({
+                params: job.searchParams,
+                outputFile: job.result.outputFile,
+                rows: job.result.csvData,
+                source: job.source,
+                profile: job.result.profile
+            });
+            job.result.historyId = entry.id;
+        } catch (error) {
+            // History is a convenience; never fail the search over it
+            console.warn('Failed to record search history:', error.message);
+        }
+    }
+
+    recordLeads(job) {
+        if (job.status !== 'done' || !job.result.csvData || job.result.csvData.length === 0) {
+            return;
+        }
+        if (!this.settings.get().behavior.addToLeadDatabase) {
+            return;
+        }
+
+        try {
+            const { added, updated, skipped, total } = this.leadDatabase.recordSearch(job.result.csvData.map(toBusiness), {
+                historyId: job.result.historyId,
+                keyword: job.searchParams.keyword,
+                location: job.searchParams.location,
+                source: job.source,
+                timestamp: job.finishedAt
+            });
+            this.logger.log(`Lead database: ${added} new, ${updated} updated, ${skipped} unidentifiable skipped, ${total} total`);
+        } catch (error) {
+            console.warn('Failed to update lead database:', error.message);
+        }
+    }
+
+    sendSearchProgress(job, progressEvent) {
+        const payload = {
+            ...progressEvent,
+            jobId: job.id,
+            batchId: job.batchId,
+            source: job.source,
+            timestamp: new Date().toISOString()
+        };
+
+        this.searchQueue.emit('job-progress', job, payload);
+        // API and scheduled searches run in the background; the search panel only follows its own
+        if (job.source !== 'api' && job.source !== 'schedule') {
+            this.sendToRenderer('search-progress', payload);
+        }
+    }
+
+    cancelActiveSearch() {
+        if (!this.activeSearch) {
+            return;
+        }
+
+        this.logger.log('Cancelling search, pid:', this.activeSearch.process.pid);
+        this.activeSearch.cancelled = true;
+        this.killProcessTree(this.activeSearch.process);
+    }
+
+    runSearch(searchParams, options = {}) {
+        return new Promise((resolve) => {
+            let runConfigDir = null;
+            try {
+                this.logger.log('Starting search with params:', searchParams);
+
+                let executablePath;
+                try {
+                    executablePath = this.getExecutablePath();
+                    this.logger.log('Using executable at:', executablePath);
+                } catch (pathError) {
+                    console.error('Failed to get executable path:', pathError.message);
+                    resolve({
+                        success: false,
+                        error: `Executable not found: ${pathError.message}`
                     });
-                    rows.push(row);
+                    return;
                 }
+
+                const profile = (options.profileId && this.profiles.get(options.profileId)) || this.profiles.getActive();
+                const apiKey = profile ? this.profiles.getApiKey(profile) : '';
+                if (!apiKey) {
+                    resolve({
+                        success: false,
+                        error: `No API key is set for the profile "${profile ? profile.name : 'Default'}". Add one in Settings.`
+                    });
+                    return;
+                }
+
+                const settings = applyProfileSettings(this.settings.get(), profile);
+                const maxResults = Math.min(parseInt(searchParams.maxResults, 10) || settings.search.maxResults, settings.limits.maxResultsLimit);
+
+                // Build command arguments
+                const args = [
+                    '-k', searchParams.keyword,
+                    '-l', searchParams.location,
+                    '-r', maxResults.toString(),
+                    '-f', searchParams.outputFormat
+                ];
+
+                if (!searchParams.enableWebScraping) {
+                    args.push('--no-web-scraping');
+                }
+
+                // The CLI writes to a temporary file that gets its templated name once the result count is known
+                const naming = {
+                    template: settings.output.filenamePattern,
+                    context: {
+                        keyword: searchParams.keyword,
+                        location: searchParams.location,
+                        format: searchParams.outputFormat,
+                        startedAt: new Date()
+                    }
+                };
+                const baseDir = searchParams.outputDirectory || settings.output.directory || app.getPath('documents');
+                const outputDir = outputDirectoryFor(baseDir, settings.output.subfolder, naming.context);
+                const outputFile = temporaryOutputFile(outputDir, searchParams.outputFormat);
+                args.push('-o', outputFile);
+
+                // Only this run's private folder holds the plain-text key
+                runConfigDir = this.createRunConfig(apiKey);
+
+                this.logger.log('Spawn configuration:');
+                this.logger.log('  Executable:', executablePath);
+                this.logger.log('  Arguments:', args);
+                this.logger.log('  Working directory:', runConfigDir);
+                this.logger.log('  Output file:', outputFile);
+
+                // Spawn the CLI process
+                // On POSIX the CLI gets its own process group so cancelling can take down
+                // anything it started along with it
+                const cliProcess = spawn(executablePath, args, {
+                    cwd: runConfigDir,
+                    env: { ...process.env },
+                    detached: process.platform !== 'win32'
+                });
+
+                const activeSearch = { process: cliProcess, outputFile: outputFile, cancelled: false, timedOut: false };
+                this.activeSearch = activeSearch;
+
+                const timeoutMinutes = settings.limits.searchTimeoutMinutes;
+                const timeoutTimer = timeoutMinutes > 0 ? setTimeout(() => {
+                    console.warn(`Search timed out after ${timeoutMinutes} minute(s), stopping CLI`);
+                    activeSearch.timedOut = true;
+                    this.killProcessTree(cliProcess);
+                }, timeoutMinutes * 60 * 1000) : null;
+
+                let stdout = '';
+                let stderr = '';
+                const progressParser = new ProgressParser();
+                const emitProgress = (progressEvents) => {
+                    if (options.onProgress) {
+                        progressEvents.forEach(progressEvent => options.onProgress(progressEvent));
+                    }
+                };
+
+                cliProcess.stdout.on('data', (data) => {
+                    const message = data.toString();
+                    this.logger.log('STDOUT:', message);
+                    stdout += message;
+                    // Send real-time progress updates
+                    emitProgress(progressParser.parseStdout(message));
+                });
+
+                cliProcess.stderr.on('data', (data) => {
+                    const errorMessage = data.toString();
+                    this.logger.log('STDERR:', errorMessage);
+                    stderr += errorMessage;
+                    emitProgress(progressParser.parseStderr(errorMessage));
+                });
+
+                cliProcess.on('close', (code) => {
+                    clearTimeout(timeoutTimer);
+                    this.removeRunConfig(runConfigDir);
+                    this.logger.log('Process closed with code:', code);
+                    this.logger.log('Final stdout:', stdout);
+                    this.logger.log('Final stderr:', stderr);
+
+                    if (this.activeSearch === activeSearch) {
+                        this.activeSearch = null;
+                    }
+
+                    const stopped = activeSearch.cancelled || activeSearch.timedOut;
+                    const extracted = code === 0 && !stopped ? this.extractCSVData(stdout) : null;
+                    const csvData = extracted ? extracted.rows : null;
+                    emitProgress(progressParser.finish({
+                        exitCode: code,
+                        cancelled: activeSearch.cancelled,
+                        count: csvData ? csvData.length : null
+                    }));
+
+                    if (activeSearch.cancelled) {
+                        this.removePartialOutput(outputFile);
+                        resolve({
+                            success: false,
+                            cancelled: true,
+                            output: stdout
+                        });
+                    } else if (activeSearch.timedOut) {
+                        this.removePartialOutput(outputFile);
+                        resolve({
+                            success: false,
+                            error: `Search timed out after ${timeoutMinutes} minute${timeoutMinutes !== 1 ? 's' : ''}`,
+                            output: stdout
+                        });
+                    } else if (code === 0) {
+                        resolve({
+                            success: true,
+                            outputFile: this.finalizeSearchOutput(outputFile, naming, csvData),
+                            profile: profile ? { id: profile.id, name: profile.name } : null,
+                            output: stdout,
+                            csvData: csvData,
+                            csvIssues: extracted ? extracted.issues : []
+                        });
+                    } else {
+                        this.removePartialOutput(outputFile);
+                        resolve({
+                            success: false,
+                            error: stderr || 'Unknown error occurred',
+                            output: stdout
+                        });
+                    }
+                });
+
+                cliProcess.on('error', (error) => {
+                    clearTimeout(timeoutTimer);
+                    this.removeRunConfig(runConfigDir);
+                    if (this.activeSearch === activeSearch) {
+                        this.activeSearch = null;
+                    }
+                    emitProgress([{ type: 'error', message: `Failed to start search process: ${error.message}` }]);
+                    resolve({
+                        success: false,
+                        error: `Failed to start search process: ${error.message}`
+                    });
+                });
+
+            } catch (error) {
+                this.removeRunConfig(runConfigDir);
+                resolve({
+                    success: false,
+                    error: error.message
+                });
             }
+        });
+    }
 
-            console.log('Parsed CSV rows from stdout:', rows.length);
-            return rows;
+    killProcessTree(childProcess) {
+        if (!childProcess || childProcess.exitCode !== null || childProcess.signalCode !== null) {
+            return;
+        }
+
+        if (process.platform === 'win32') {
+            // taskkill /T takes down the whole tree (e.g. curl helpers) in one go
+            spawn('taskkill', ['/pid', childProcess.pid.toString(), '/T', '/F'], { windowsHide: true })
+                .on('error', (error) => {
+                    console.warn('taskkill failed, killing CLI process only:', error.message);
+                    childProcess.kill();
+                });
+            return;
+        }
 
+        // Negative pid signals the whole process group created by the detached spawn
+        try {
+            process.kill(-childProcess.pid, 'SIGTERM');
         } catch (error) {
-            console.error('Error extracting CSV data from stdout:', error);
-            return null;
+            console.warn('Failed to signal process group, killing CLI process only:', error.message);
+            childProcess.kill('SIGTERM');
         }
+
+        // Escalate if the CLI ignores SIGTERM
+        const forceKillTimer = setTimeout(() => {
+            if (childProcess.exitCode === null && childProcess.signalCode === null) {
+                try {
+                    process.kill(-childProcess.pid, 'SIGKILL');
+                } catch (error) {
+                    childProcess.kill('SIGKILL');
+                }
+            }
+        }, 3000);
+        forceKillTimer.unref();
+        childProcess.once('close', () => clearTimeout(forceKillTimer));
     }
 
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+    // Returns the file's final path, or null when the CLI could not save it
+    finalizeSearchOutput(outputFile, naming, csvData) {
+        if (!fs.existsSync(outputFile)) {
+            console.warn('CLI did not write an output file:', outputFile);
+            return null;
+        }
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+        try {
+            const finalFile = finalizeOutputFile(outputFile, {
+                template: naming.template,
+                context: { ...naming.context, count: csvData ? csvData.length : 0 }
+            });
+            this.logger.log('Saved results as:', finalFile);
+            return finalFile;
+        } catch (error) {
+            console.warn('Could not rename output file, keeping', outputFile, error.message);
+            return outputFile;
+        }
+    }
 
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+    removePartialOutput(outputFile) {
+        try {
+            if (outputFile && fs.existsSync(outputFile)) {
+                fs.unlinkSync(outputFile);
+                this.logger.log('Removed partial output file:', outputFile);
             }
+        } catch (error) {
+            console.warn('Could not remove partial output file:', outputFile, error.message);
         }
+    }
 
-        result.push(current.trim());
-        return result;
+    extractCSVData(stdout) {
+        try {
+            const startMarker = '--- CSV_DATA_START ---';
+            const endMarker = '--- CSV_DATA_END ---';
+
+            const startIndex = stdout.indexOf(startMarker);
+            const endIndex = stdout.indexOf(endMarker);
+
+            if (startIndex === -1 || endIndex === -1) {
+                this.logger.log('CSV data markers not found in output');
+                return null;
+            }
+
+            const csvContent = stdout.substring(startIndex + startMarker.length, endIndex).trim();
+            this.logger.log('Extracted CSV content length:', csvContent.length);
+
+            if (!csvContent) {
+                return null;
+            }
+
+            const { headers, rows, issues } = parseCSV(csvContent);
+            this.logger.log('CSV headers from stdout:', headers);
+            this.logger.log('Parsed CSV rows from stdout:', rows.length, 'issues:', issues.length);
+
+            return { rows, issues };
+
+        } catch (error) {
+            console.error('Error extracting CSV data from stdout:', error);
+            return null;
+        }
     }
 
     getExecutablePath() {
@@ -685,9 +1572,9 @@ google_maps_api_key=${config.apiKey}
                 const releasePath = path.join(__dirname, '../../build/Release', executableName);
                 const buildPath = path.join(__dirname, '../../build', executableName);
 
-                console.log('Development mode - checking paths:');
-                console.log('  Release path:', releasePath, 'exists:', fs.existsSync(releasePath));
-                console.log('  Build path:', buildPath, 'exists:', fs.existsSync(buildPath));
+                this.logger.log('Development mode - checking paths:');
+                this.logger.log('  Release path:', releasePath, 'exists:', fs.existsSync(releasePath));
+                this.logger.log('  Build path:', buildPath, 'exists:', fs.existsSync(buildPath));
 
                 if (fs.existsSync(releasePath)) {
                     return releasePath;
@@ -702,22 +1589,22 @@ google_maps_api_key=${config.apiKey}
         } else {
             // In production, use the bundled executable
             const executablePath = path.join(process.resourcesPath, executableName);
-            console.log('Production mode - checking path:');
-            console.log('  Resources path:', process.resourcesPath);
-            console.log('  Executable path:', executablePath, 'exists:', fs.existsSync(executablePath));
+            this.logger.log('Production mode - checking path:');
+            this.logger.log('  Resources path:', process.resourcesPath);
+            this.logger.log('  Executable path:', executablePath, 'exists:', fs.existsSync(executablePath));
 
             if (!fs.existsSync(executablePath)) {
                 // List files in resources directory for debugging
-                console.log('Files in resources directory:');
+                this.logger.log('Files in resources directory:');
                 try {
                     const files = fs.readdirSync(process.resourcesPath);
                     files.forEach(file => {
                         const filePath = path.join(process.resourcesPath, file);
                         const stats = fs.statSync(filePath);
-                        console.log(`  ${file} ${stats.isDirectory() ? '(directory)' : '(file)'}`);
+                        this.logger.log(`  ${file} ${stats.isDirectory() ? '(directory)' : '(file)'}`);
                     });
                 } catch (err) {
-                    console.log('  Error reading directory:', err.message);
+                    this.logger.log('  Error reading directory:', err.message);
                 }
 
                 throw new Error(`Executable not found at: ${executablePath}`);
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+// Builds result file names from the filename template in the settings, e.g.
+// "{keyword}_{location}_{date}" -> "coffee-shops_berlin_2026-10-19.csv".
+//
+// Every token value is slugged so the name is valid on Windows, macOS and Linux.
+// The result count is only known once the CLI has finished, so searches write to
+// a temporary file that is renamed to its final name afterwards.
+
+const FILENAME_TOKENS = ['keyword', 'location', 'date', 'time', 'timestamp', 'count', 'format'];
+const SUBFOLDER_MODES = ['none', 'keyword', 'location'];
+
+// Characters that are not allowed in file names on at least one supported OS
+const INVALID_FILENAME_CHARS = /[<>:"/\\|?*\x00-\x1f]/g;
+// Device names Windows refuses as file names, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+const MAX_SLUG_LENGTH = 60;
+const MAX_NAME_LENGTH = 180;
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Letters and digits in any script survive; everything else becomes a single dash
+function slugify(value, fallback = '') {
+    const slug = String(value || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/, '');
+    return slug || fallback;
+}
+
+// Cleans a finished name: the template's literal text is user input too
+function sanitizeFilename(name) {
+    let safe = name
+        .replace(INVALID_FILENAME_CHARS, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_NAME_LENGTH)
+        // Windows drops trailing dots and spaces, which breaks the rename later
+        .replace(/[. ]+$/, '');
+
+    if (!safe || /^\.+$/.test(safe)) {
+        safe = 'business-results';
+    }
+    if (RESERVED_NAMES.test(safe)) {
+        safe = `_${safe}`;
+    }
+    return safe;
+}
+
+// Tokens in the template that are not in FILENAME_TOKENS
+function unknownTokens(template) {
+    const tokens = String(template || '').match(/\{[^{}]*\}/g) || [];
+    return tokens
+        .map(token => token.slice(1, -1))
+        .filter(token => !FILENAME_TOKENS.includes(token));
+}
+
+// context: { keyword, location, format, count, startedAt }
+function tokenValues(context) {
+    const startedAt = context.startedAt || new Date();
+    return {
+        keyword: slugify(context.keyword, 'search'),
+        location: slugify(context.location, 'anywhere'),
+        date: `${startedAt.getFullYear()}-${pad(startedAt.getMonth() + 1)}-${pad(startedAt.getDate())}`,
+        time: `${pad(startedAt.getHours())}-${pad(startedAt.getMinutes())}-${pad(startedAt.getSeconds())}`,
+        timestamp: startedAt.toISOString().replace(/[:.]/g, '-').slice(0, -5),
+        count: context.count === undefined || context.count === null ? '0' : String(context.count),
+        format: slugify(context.format, 'csv')
+    };
+}
+
+// File name without the extension
+function renderFilename(template, context) {
+    const values = tokenValues(context);
+    const rendered = String(template).replace(/\{([^{}]*)\}/g, (match, token) => (
+        Object.prototype.hasOwnProperty.call(values, token) ? values[token] : ''
+    ));
+    return sanitizeFilename(rendered);
+}
+
+// The folder a search writes into: the output directory, or a subfolder of it per keyword or location
+function outputDirectoryFor(directory, subfolder, context) {
+    if (subfolder === 'keyword') {
+        return path.join(directory, slugify(context.keyword, 'search'));
+    }
+    if (subfolder === 'location') {
+        return path.join(directory, slugify(context.location, 'anywhere'));
+    }
+    return directory;
+}
+
+// Appends -2, -3, ... until the name is free, so earlier results are never overwritten
+function uniqueFilePath(directory, baseName, extension) {
+    let candidate = path.join(directory, `${baseName}.${extension}`);
+    for (let counter = 2; fs.existsSync(candidate); counter++) {
+        candidate = path.join(directory, `${baseName}-${counter}.${extension}`);
+    }
+    return candidate;
+}
+
+// Where the CLI writes while the search runs; hidden and unique so it never clashes with results
+function temporaryOutputFile(directory, format) {
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    return path.join(directory, `.business-results-${id}.${format}.part`);
+}
+
+// Moves a finished search's temporary file to its final, collision-free name
+function finalizeOutputFile(temporaryFile, { template, context }) {
+    const directory = path.dirname(temporaryFile);
+    const finalFile = uniqueFilePath(directory, renderFilename(template, context), slugify(context.format, 'csv'));
+    fs.renameSync(temporaryFile, finalFile);
+    return finalFile;
+}
+
+module.exports = {
+    FILENAME_TOKENS,
+    SUBFOLDER_MODES,
+    finalizeOutputFile,
+    outputDirectoryFor,
+    renderFilename,
+    slugify,
+    temporaryOutputFile,
+    uniqueFilePath,
+    unknownTokens
+};
@@ -10,19 +10,108 @@ contextBridge.exposeInMainWorld('electronAPI', {
     saveConfig: (config) => ipcRenderer.invoke('save-config', config),
     loadConfig: () => ipcRenderer.invoke('load-config'),
 
+    // API key profiles
+    listProfiles: () => ipcRenderer.invoke('list-profiles'),
+    createProfile: (fields) => ipcRenderer.invoke('create-profile', fields),
+    updateProfile: (id, changes) => ipcRenderer.invoke('update-profile', { id, changes }),
+    deleteProfile: (id) => ipcRenderer.invoke('delete-profile', id),
+    switchProfile: (id) => ipcRenderer.invoke('switch-profile', id),
+
+    // Application settings
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    saveSettings: (changes) => ipcRenderer.invoke('save-settings', changes),
+    resetSettings: () => ipcRenderer.invoke('reset-settings'),
+    regenerateApiToken: () => ipcRenderer.invoke('regenerate-api-token'),
+
     // Business search
     searchBusinesses: (searchParams) => ipcRenderer.invoke('search-businesses', searchParams),
+    cancelSearch: () => ipcRenderer.invoke('cancel-search'),
+
+    // Batch search
+    startBatch: (batchParams) => ipcRenderer.invoke('start-batch', batchParams),
+    retryBatch: (batchId) => ipcRenderer.invoke('retry-batch', batchId),
+    cancelBatch: (batchId) => ipcRenderer.invoke('cancel-batch', batchId),
+    importListFile: () => ipcRenderer.invoke('import-list-file'),
+
+    // Listen for batch progress updates
+    onBatchProgress: (callback) => {
+        ipcRenderer.on('batch-progress', callback);
+        return () => ipcRenderer.removeListener('batch-progress', callback);
+    },
 
-    // Listen for search status updates
-    onSearchStatus: (callback) => {
-        ipcRenderer.on('search-status', callback);
+    // Listen for typed search progress events (see progress-parser.js)
+    onSearchProgress: (callback) => {
+        ipcRenderer.on('search-progress', callback);
         // Return a function to remove the listener
-        return () => ipcRenderer.removeListener('search-status', callback);
+        return () => ipcRenderer.removeListener('search-progress', callback);
+    },
+
+    // Search history
+    listHistory: () => ipcRenderer.invoke('list-history'),
+    getHistoryEntry: (id) => ipcRenderer.invoke('get-history-entry', id),
+    deleteHistoryEntry: (id) => ipcRenderer.invoke('delete-history-entry', id),
+    clearHistory: () => ipcRenderer.invoke('clear-history'),
+
+    // Scheduled searches
+    listSchedules: () => ipcRenderer.invoke('list-schedules'),
+    createSchedule: (fields) => ipcRenderer.invoke('create-schedule', fields),
+    updateSchedule: (id, changes) => ipcRenderer.invoke('update-schedule', { id, changes }),
+    deleteSchedule: (id) => ipcRenderer.invoke('delete-schedule', id),
+    runSchedule: (id) => ipcRenderer.invoke('run-schedule', id),
+    onSchedulesChanged: (callback) => {
+        ipcRenderer.on('schedules-changed', callback);
+        return () => ipcRenderer.removeListener('schedules-changed', callback);
     },
+    onScheduleNotificationClicked: (callback) => {
+        ipcRenderer.on('schedule-notification-clicked', callback);
+        return () => ipcRenderer.removeListener('schedule-notification-clicked', callback);
+    },
+
+    // Lead database
+    listLeads: () => ipcRenderer.invoke('list-leads'),
+    deleteLead: (id) => ipcRenderer.invoke('delete-lead', id),
+    getLeadAnnotations: (businesses) => ipcRenderer.invoke('get-lead-annotations', businesses),
+    updateLeadAnnotation: (update) => ipcRenderer.invoke('update-lead-annotation', update),
+
+    // Merging result sets
+    findDuplicates: (rows) => ipcRenderer.invoke('find-duplicates', rows),
+    applyMerges: (mergeRequest) => ipcRenderer.invoke('apply-merges', mergeRequest),
+
+    // Webhooks
+    listWebhooks: () => ipcRenderer.invoke('list-webhooks'),
+    createWebhook: (fields) => ipcRenderer.invoke('create-webhook', fields),
+    updateWebhook: (id, changes) => ipcRenderer.invoke('update-webhook', { id, changes }),
+    deleteWebhook: (id) => ipcRenderer.invoke('delete-webhook', id),
+    testWebhook: (id) => ipcRenderer.invoke('test-webhook', id),
+    generateWebhookSecret: () => ipcRenderer.invoke('generate-webhook-secret'),
+    clearWebhookDeliveries: () => ipcRenderer.invoke('clear-webhook-deliveries'),
+    onWebhookDeliveriesChanged: (callback) => {
+        ipcRenderer.on('webhook-deliveries-changed', callback);
+        return () => ipcRenderer.removeListener('webhook-deliveries-changed', callback);
+    },
+
+    // Results table layouts
+    listTableLayouts: () => ipcRenderer.invoke('list-table-layouts'),
+    createTableLayout: (fields) => ipcRenderer.invoke('create-table-layout', fields),
+    updateTableLayout: (id, changes) => ipcRenderer.invoke('update-table-layout', { id, changes }),
+    deleteTableLayout: (id) => ipcRenderer.invoke('delete-table-layout', id),
+    switchTableLayout: (id) => ipcRenderer.invoke('switch-table-layout', id),
+
+    // Export templates
+    listExportTemplates: () => ipcRenderer.invoke('list-export-templates'),
+    createExportTemplate: (fields) => ipcRenderer.invoke('create-export-template', fields),
+    updateExportTemplate: (id, changes) => ipcRenderer.invoke('update-export-template', { id, changes }),
+    deleteExportTemplate: (id) => ipcRenderer.invoke('delete-export-template', id),
+
+    // Comparing result sets
+    compareResults: (sets) => ipcRenderer.invoke('compare-results', sets),
+    exportComparison: (exportRequest) => ipcRenderer.invoke('export-comparison', exportRequest),
 
     // File operations
     selectDirectory: () => ipcRenderer.invoke('select-directory'),
-    readCSVFile: (filePath) => ipcRenderer.invoke('read-csv-file', filePath),
+    selectResultsFile: (defaultDirectory, options) => ipcRenderer.invoke('select-results-file', defaultDirectory, options),
+    readResultsFile: (filePath) => ipcRenderer.invoke('read-results-file', filePath),
+    exportResults: (exportRequest) => ipcRenderer.invoke('export-results', exportRequest),
     openFile: (filePath) => ipcRenderer.invoke('open-file', filePath),
     showItemInFolder: (filePath) => ipcRenderer.invoke('show-item-in-folder', filePath)
 });
@@ -0,0 +1,252 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const ValidationError = require('./validation-error');
+
+const PROFILES_KEY = 'profiles';
+const OUTPUT_FORMATS = ['csv', 'json', 'yaml', 'xml'];
+
+// Settings a profile may override; everything else always comes from the app settings
+const PROFILE_OVERRIDES = {
+    search: ['maxResults', 'outputFormat', 'enableWebScraping'],
+    output: ['directory']
+};
+
+// Keeps only known override keys; null, undefined and '' mean "use the app setting"
+function cleanOverrides(overrides) {
+    const cleaned = {};
+    Object.keys(PROFILE_OVERRIDES).forEach(section => {
+        const values = (overrides && overrides[section]) || {};
+        PROFILE_OVERRIDES[section].forEach(key => {
+            if (values[key] !== undefined && values[key] !== null && values[key] !== '') {
+                cleaned[section] = cleaned[section] || {};
+                cleaned[section][key] = values[key];
+            }
+        });
+    });
+    return cleaned;
+}
+
+// Named API keys, one per Google Cloud project, each with optional setting overrides.
+// Exactly one profile is active; its key is the one the CLI uses. Emits 'changed'
+// with the active profile whenever it switches or its key or overrides change.
+//
+// Keys are stored through the given secrets ({ encryptSecret, decryptSecret }) and
+// only decrypted when a search needs them.
+class ProfileStore extends EventEmitter {
+    constructor(store, secrets) {
+        super();
+        this.store = store;
+        this.secrets = secrets;
+    }
+
+    getData() {
+        return this.store.get(PROFILES_KEY, { activeId: null, profiles: [] });
+    }
+
+    setData(data) {
+        this.store.set(PROFILES_KEY, data);
+    }
+
+    // Creates the first profile from the single key earlier versions stored; returns whether it did
+    migrate(legacyApiKey) {
+        const data = this.getData();
+        if (data.profiles.length > 0) {
+            return false;
+        }
+
+        const profile = this.buildProfile({ name: 'Default', apiKey: legacyApiKey || '' });
+        this.setData({ activeId: profile.id, profiles: [profile] });
+        return true;
+    }
+
+    // Encrypted key plus its last four characters, so the key can be recognised without decrypting it
+    keyFields(apiKey) {
+        const value = String(apiKey || '').trim();
+        return {
+            secret: this.secrets.encryptSecret(value),
+            keyHint: value ? value.slice(-4) : ''
+        };
+    }
+
+    buildProfile({ name, apiKey, settings }) {
+        return {
+            id: crypto.randomUUID(),
+            name: String(name || '').trim(),
+            ...this.keyFields(apiKey),
+            settings: cleanOverrides(settings),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // Encrypts keys saved in plain text: by versions before encryption, or while no
+    // keychain was available. Returns how many keys were encrypted.
+    encryptStoredKeys() {
+        const data = this.getData();
+        let encrypted = 0;
+
+        data.profiles = data.profiles.map(profile => {
+            const { apiKey, ...rest } = profile;
+            if (apiKey !== undefined) {
+                const migrated = { ...rest, ...this.keyFields(apiKey) };
+                encrypted += migrated.secret && migrated.secret.encrypted ? 1 : 0;
+                return migrated;
+            }
+            if (profile.secret && !profile.secret.encrypted) {
+                const secret = this.secrets.encryptSecret(profile.secret.data);
+                if (secret.encrypted) {
+                    encrypted++;
+                    return { ...profile, secret };
+                }
+            }
+            return profile;
+        });
+
+        this.setData(data);
+        return encrypted;
+    }
+
+    getApiKey(profile) {
+        return this.secrets.decryptSecret(profile.secret);
+    }
+
+    validate(profile, profiles) {
+        const errors = {};
+        if (!profile.name) {
+            errors.name = 'Profile name cannot be empty';
+        } else if (profiles.some(other => other.id !== profile.id && other.name.toLowerCase() === profile.name.toLowerCase())) {
+            errors.name = `A profile named "${profile.name}" already exists`;
+        }
+
+        const search = profile.settings.search || {};
+        if (search.maxResults !== undefined && !(Number.isInteger(search.maxResults) && search.maxResults >= 1)) {
+            errors['search.maxResults'] = 'Max results must be a whole number of at least 1';
+        }
+        if (search.outputFormat !== undefined && !OUTPUT_FORMATS.includes(search.outputFormat)) {
+            errors['search.outputFormat'] = `Format must be one of ${OUTPUT_FORMATS.join(', ')}`;
+        }
+        if (search.enableWebScraping !== undefined && typeof search.enableWebScraping !== 'boolean') {
+            errors['search.enableWebScraping'] = 'Must be on or off';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    list() {
+        return this.getData().profiles;
+    }
+
+    get(id) {
+        return this.list().find(profile => profile.id === id) || null;
+    }
+
+    getActive() {
+        const data = this.getData();
+        return data.profiles.find(profile => profile.id === data.activeId) || data.profiles[0] || null;
+    }
+
+    create(fields) {
+        const data = this.getData();
+        const profile = this.buildProfile(fields);
+        this.validate(profile, data.profiles);
+
+        data.profiles.push(profile);
+        if (!data.activeId) {
+            data.activeId = profile.id;
+        }
+        this.setData(data);
+        return profile;
+    }
+
+    // changes: { name?, apiKey?, settings? }; a settings object replaces all overrides
+    update(id, changes) {
+        const data = this.getData();
+        const index = data.profiles.findIndex(profile => profile.id === id);
+        if (index === -1) {
+            throw new Error('Profile not found');
+        }
+
+        const profile = { ...data.profiles[index] };
+        if (changes.name !== undefined) {
+            profile.name = String(changes.name).trim();
+        }
+        if (changes.apiKey !== undefined) {
+            Object.assign(profile, this.keyFields(changes.apiKey));
+        }
+        if (changes.settings !== undefined) {
+            profile.settings = cleanOverrides(changes.settings);
+        }
+        this.validate(profile, data.profiles);
+
+        data.profiles[index] = profile;
+        this.setData(data);
+        if (profile.id === this.getActive().id) {
+            this.emit('changed', profile);
+        }
+        return profile;
+    }
+
+    remove(id) {
+        const data = this.getData();
+        if (data.profiles.length <= 1) {
+            throw new Error('The last profile cannot be deleted');
+        }
+
+        const remaining = data.profiles.filter(profile => profile.id !== id);
+        if (remaining.length === data.profiles.length) {
+            return false;
+        }
+
+        const wasActive = data.activeId === id;
+        this.setData({ activeId: wasActive ? remaining[0].id : data.activeId, profiles: remaining });
+        if (wasActive) {
+            this.emit('changed', remaining[0]);
+        }
+        return true;
+    }
+
+    activate(id) {
+        const data = this.getData();
+        const profile = data.profiles.find(candidate => candidate.id === id);
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+
+        data.activeId = id;
+        this.setData(data);
+        this.emit('changed', profile);
+        return profile;
+    }
+}
+
+// App settings with the profile's overrides applied
+function applyProfileSettings(settings, profile) {
+    const effective = JSON.parse(JSON.stringify(settings));
+    const overrides = (profile && profile.settings) || {};
+    Object.keys(overrides).forEach(section => {
+        Object.assign(effective[section], overrides[section]);
+    });
+    if (effective.search.maxResults > effective.limits.maxResultsLimit) {
+        effective.search.maxResults = effective.limits.maxResultsLimit;
+    }
+    return effective;
+}
+
+// What the renderer sees: never the key itself, just enough to recognise it
+function describeProfile(profile, activeId) {
+    return {
+        id: profile.id,
+        name: profile.name,
+        active: profile.id === activeId,
+        hasApiKey: !!profile.secret,
+        keyHint: profile.keyHint ? `…${profile.keyHint}` : '',
+        encrypted: !!(profile.secret && profile.secret.encrypted),
+        settings: profile.settings,
+        createdAt: profile.createdAt
+    };
+}
+
+module.exports = ProfileStore;
+module.exports.applyProfileSettings = applyProfileSettings;
+module.exports.describeProfile = describeProfile;
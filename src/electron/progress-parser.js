@@ -0,0 +1,242 @@
+// Turns the CLI's output into typed progress events for the renderer.
+//
+// The CLI may emit structured lines of the form `@@progress {"type": "...", ...}`;
+// those are passed through as-is. Everything else is matched against the
+// human-readable messages the CLI prints today, so older builds keep working.
+
+const STRUCTURED_PREFIX = '@@progress ';
+const CSV_START_MARKER = '--- CSV_DATA_START ---';
+const CSV_END_MARKER = '--- CSV_DATA_END ---';
+
+const EVENT_TYPES = [
+    'stage-change',   // { stage: initializing | map-search | web-scraping | saving }
+    'business-found', // { count }
+    'enhancing',      // { name, current, total }
+    'enhanced',       // { count }
+    'warning',        // { message }
+    'error',          // { message }
+    'done'            // { success, cancelled, count, outputFile, exitCode }
+];
+
+class ProgressParser {
+    constructor() {
+        this.stdoutBuffer = '';
+        this.stderrBuffer = '';
+        this.inCsvBlock = false;
+        this.totalFound = 0;
+        this.foundReported = false;
+        this.enhancingCount = 0;
+        this.enhancedCount = null;
+        this.stage = null;
+        this.outputFile = null;
+    }
+
+    // Feed a raw stdout chunk; returns the events for every complete line in it
+    parseStdout(chunk) {
+        this.stdoutBuffer += chunk;
+        const lines = this.stdoutBuffer.split(/\r?\n/);
+        this.stdoutBuffer = lines.pop();
+        return lines.map(line => this.parseLine(line)).filter(Boolean);
+    }
+
+    // stderr carries diagnostics; anything not flagged as an error is only a warning
+    parseStderr(chunk) {
+        this.stderrBuffer += chunk;
+        const lines = this.stderrBuffer.split(/\r?\n/);
+        this.stderrBuffer = lines.pop();
+        return lines.map(line => this.parseStderrLine(line)).filter(Boolean);
+    }
+
+    // Flush partial lines and produce the final event for the run
+    finish({ exitCode, cancelled = false, count = null }) {
+        const events = [];
+        if (this.stdoutBuffer) {
+            events.push(this.parseLine(this.stdoutBuffer));
+            this.stdoutBuffer = '';
+        }
+        if (this.stderrBuffer) {
+            events.push(this.parseStderrLine(this.stderrBuffer));
+            this.stderrBuffer = '';
+        }
+
+        events.push({
+            type: 'done',
+            success: exitCode === 0 && !cancelled,
+            cancelled: cancelled,
+            count: count !== null ? count : this.totalFound,
+            outputFile: this.outputFile,
+            exitCode: exitCode
+        });
+
+        return events.filter(Boolean);
+    }
+
+    parseLine(rawLine) {
+        const line = rawLine.trim();
+        if (!line) {
+            return null;
+        }
+
+        // The CSV block at the end of the output is data, not status
+        if (line === CSV_START_MARKER) {
+            this.inCsvBlock = true;
+            return this.dropRepeats({ type: 'stage-change', stage: 'saving' });
+        }
+        if (line === CSV_END_MARKER) {
+            this.inCsvBlock = false;
+            return null;
+        }
+        if (this.inCsvBlock) {
+            return null;
+        }
+
+        const event = line.startsWith(STRUCTURED_PREFIX)
+            ? this.parseStructuredLine(line.slice(STRUCTURED_PREFIX.length))
+            : this.parseLegacyLine(line);
+
+        return this.dropRepeats(event);
+    }
+
+    // Several messages are printed by both the engine and the CLI wrapper
+    dropRepeats(event) {
+        if (!event) {
+            return null;
+        }
+
+        if (event.type === 'stage-change' && event.stage && !event.message && !event.outputFile) {
+            if (event.stage === this.stage) {
+                return null;
+            }
+        }
+        if (event.type === 'stage-change' && event.stage) {
+            this.stage = event.stage;
+        }
+
+        if (event.type === 'enhanced') {
+            if (event.count === this.enhancedCount) {
+                return null;
+            }
+            this.enhancedCount = event.count;
+        }
+
+        return event;
+    }
+
+    parseStructuredLine(payload) {
+        try {
+            const event = JSON.parse(payload);
+            if (!event || !EVENT_TYPES.includes(event.type)) {
+                return { type: 'warning', message: `Unknown progress event: ${payload}` };
+            }
+            this.trackState(event);
+            return event;
+        } catch (error) {
+            return { type: 'warning', message: `Malformed progress event: ${payload}` };
+        }
+    }
+
+    // Fallback for the CLI's human-readable output
+    parseLegacyLine(line) {
+        let match;
+
+        if (line === 'Initializing search...') {
+            return { type: 'stage-change', stage: 'initializing' };
+        }
+
+        if ((match = line.match(/^Searching for '(.*)' in '(.*)'\.\.\.$/))) {
+            return { type: 'stage-change', stage: 'map-search', keyword: match[1], location: match[2] };
+        }
+
+        if (line === 'Searching for businesses...' || line === 'Querying Google Maps' || line === 'Waiting for next page...') {
+            return { type: 'stage-change', stage: 'map-search', message: line };
+        }
+
+        if (line.startsWith('Max results:') || line.startsWith('Web scraping:')) {
+            return null;
+        }
+
+        // Both messages are printed once after the map search and again in the final summary
+        if (/^No businesses found\.?$/.test(line)) {
+            return this.trackFound(0);
+        }
+
+        if ((match = line.match(/^Found (\d+) businesses\.?$/))) {
+            return this.trackFound(parseInt(match[1], 10));
+        }
+
+        if (line === 'Enhancing business data from websites...') {
+            return { type: 'stage-change', stage: 'web-scraping' };
+        }
+
+        if ((match = line.match(/^Processing:\s*(.+?)\.{3}$/))) {
+            return this.track({
+                type: 'enhancing',
+                name: match[1].trim(),
+                current: this.enhancingCount + 1,
+                total: this.totalFound
+            });
+        }
+
+        if ((match = line.match(/^Enhanced (\d+) businesses with website data\.?$/))) {
+            return this.track({ type: 'enhanced', count: parseInt(match[1], 10) });
+        }
+
+        if ((match = line.match(/^Results saved to:\s*(.+)$/))) {
+            this.outputFile = match[1].trim();
+            return { type: 'stage-change', stage: 'saving', outputFile: this.outputFile };
+        }
+
+        if (line === 'Search completed successfully') {
+            return null;
+        }
+
+        if ((match = line.match(/^Search failed:\s*(.*)$/))) {
+            return { type: 'error', message: match[1] || line };
+        }
+
+        if (line.startsWith('Error saving results to file:')) {
+            return { type: 'warning', message: line };
+        }
+
+        // Anything else is passed along as stage detail without changing state
+        return { type: 'stage-change', stage: null, message: line };
+    }
+
+    parseStderrLine(rawLine) {
+        const line = rawLine.trim();
+        if (!line) {
+            return null;
+        }
+
+        if (/^(Error:|Search failed:|Config error:)/.test(line)) {
+            return { type: 'error', message: line };
+        }
+
+        return { type: 'warning', message: line };
+    }
+
+    trackFound(count) {
+        if (this.foundReported && count === this.totalFound) {
+            return null;
+        }
+        return this.track({ type: 'business-found', count: count });
+    }
+
+    track(event) {
+        this.trackState(event);
+        return event;
+    }
+
+    trackState(event) {
+        if (event.type === 'business-found' && typeof event.count === 'number') {
+            this.totalFound = event.count;
+            this.foundReported = true;
+            this.enhancingCount = 0;
+        } else if (event.type === 'enhancing') {
+            this.enhancingCount = typeof event.current === 'number' ? event.current : this.enhancingCount + 1;
+        }
+    }
+}
+
+module.exports = ProgressParser;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,168 @@
+const { identityKeys } = require('./lead-database');
+const { normalizePhone, normalizeText } = require('./dedupe');
+const { escapeCSVField, splitMultiValue } = require('./exporters');
+
+// Compares two result sets, e.g. last month's and this month's run of a search.
+//
+// Businesses are matched on the same identity keys as the lead database (phone
+// number, name + address, website domain + name), so a business whose listing
+// changed is still recognised as the same one. Rows use the renderer's business
+// shape.
+
+// Fields compared between matched businesses, with their labels for the view and exports
+const DIFF_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'address', label: 'Address' },
+    { key: 'phone', label: 'Phone Number' },
+    { key: 'email', label: 'Email' },
+    { key: 'website', label: 'Website' },
+    { key: 'rating', label: 'Rating' },
+    { key: 'reviews', label: 'Total Ratings' },
+    { key: 'additional_numbers', label: 'Additional Numbers' },
+    { key: 'additional_emails', label: 'Additional Emails' },
+    { key: 'social_media_links', label: 'Social Media Links' }
+];
+
+const MULTI_VALUE_FIELDS = ['additional_numbers', 'additional_emails', 'social_media_links'];
+
+// Listings with neither a phone number, an address nor a website fall back to their name
+function matchKeys(business) {
+    const keys = identityKeys(business);
+    const name = normalizeText(business.name);
+    return keys.length === 0 && name ? [`name:${name}`] : keys;
+}
+
+// Pairs up the businesses found in both sets; each business is matched at most once
+function matchBusinesses(previous, current) {
+    const previousByKey = new Map();
+    previous.forEach((business, index) => {
+        matchKeys(business).forEach(key => {
+            if (!previousByKey.has(key)) {
+                previousByKey.set(key, index);
+            }
+        });
+    });
+
+    const matched = new Set();
+    const pairs = [];
+    const added = [];
+
+    current.forEach(business => {
+        const match = matchKeys(business)
+            .map(key => previousByKey.get(key))
+            .find(index => index !== undefined && !matched.has(index));
+        if (match === undefined) {
+            added.push(business);
+            return;
+        }
+        matched.add(match);
+        pairs.push({ before: previous[match], after: business });
+    });
+
+    const removed = previous.filter((business, index) => !matched.has(index));
+    return { pairs, added, removed };
+}
+
+// New and gone businesses only, for the scheduler's notifications
+function diffBusinesses(previous, current) {
+    const { pairs, added, removed } = matchBusinesses(previous, current);
+    return { added, removed, unchanged: pairs.length };
+}
+
+// Value used to decide whether a field changed; formatting differences do not count
+function comparableValue(key, value) {
+    if (key === 'phone') {
+        return normalizePhone(value) || String(value || '').trim();
+    }
+    if (key === 'rating' || key === 'reviews') {
+        const number = parseFloat(value);
+        return isNaN(number) ? '' : String(number);
+    }
+    if (key === 'website') {
+        return String(value || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+    }
+    if (MULTI_VALUE_FIELDS.includes(key)) {
+        return splitMultiValue(value).map(item => item.toLowerCase()).sort().join('\n');
+    }
+    return normalizeText(value);
+}
+
+function changedFields(before, after) {
+    return DIFF_FIELDS
+        .filter(({ key }) => comparableValue(key, before[key]) !== comparableValue(key, after[key]))
+        .map(({ key }) => ({ field: key, before: before[key] || '', after: after[key] || '' }));
+}
+
+// Every business of both sets as { status, before, after, changes }, where status is
+// added, removed, modified or unchanged. Matched rows keep the order of the newer set.
+function compareResultSets(previous, current) {
+    const { pairs, added, removed } = matchBusinesses(previous, current);
+    const changesByAfter = new Map(pairs.map(pair => [pair.after, pair]));
+    const addedSet = new Set(added);
+
+    const rows = current.map(business => {
+        if (addedSet.has(business)) {
+            return { status: 'added', before: null, after: business, changes: [] };
+        }
+        const { before } = changesByAfter.get(business);
+        const changes = changedFields(before, business);
+        return { status: changes.length > 0 ? 'modified' : 'unchanged', before, after: business, changes };
+    });
+    removed.forEach(business => {
+        rows.push({ status: 'removed', before: business, after: null, changes: [] });
+    });
+
+    const counts = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+    rows.forEach(row => {
+        counts[row.status]++;
+    });
+    return { rows, counts };
+}
+
+// One line per business with its current values and, for changed fields, the previous ones
+function formatDiffAsCSV(comparison) {
+    const headers = ['Change', 'Changed Fields'];
+    DIFF_FIELDS.forEach(({ label }) => headers.push(label, `Previous ${label}`));
+
+    const lines = [headers.map(escapeCSVField).join(',')];
+    comparison.rows.forEach(row => {
+        const business = row.after || row.before;
+        const changed = new Set(row.changes.map(change => change.field));
+        const fields = [
+            row.status,
+            DIFF_FIELDS.filter(({ key }) => changed.has(key)).map(({ label }) => label).join(', ')
+        ];
+        DIFF_FIELDS.forEach(({ key }) => {
+            fields.push(business[key] || '', changed.has(key) ? row.before[key] || '' : '');
+        });
+        lines.push(fields.map(escapeCSVField).join(','));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function formatDiffAsJSON(comparison, sources = {}) {
+    return JSON.stringify({
+        before: sources.before || null,
+        after: sources.after || null,
+        counts: comparison.counts,
+        changes: comparison.rows.map(row => ({
+            change: row.status,
+            business: row.after || row.before,
+            ...(row.status === 'modified' && { fields: row.changes })
+        }))
+    }, null, 2);
+}
+
+const DIFF_EXPORT_FORMATS = {
+    csv: { label: 'CSV Spreadsheet', extension: 'csv', render: formatDiffAsCSV },
+    json: { label: 'JSON', extension: 'json', render: formatDiffAsJSON }
+};
+
+module.exports = {
+    DIFF_EXPORT_FORMATS,
+    DIFF_FIELDS,
+    compareResultSets,
+    diffBusinesses,
+    matchBusinesses
+};
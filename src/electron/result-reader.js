@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSVFile } = require('./csv-parser');
+const { toBusiness } = require('../shared/business');
+
+// Loads result files written by the CLI (or re-exported by the app) in any of
+// the Formatter's four formats and returns them as CSV-style rows, i.e. keyed by
+// the normalized CSV headers with multi-value fields joined by ", ". That is the
+// shape the renderer already gets from a search, so every results action works
+// the same on a loaded file.
+//
+// The YAML and XML readers only understand the Formatter's layout, not the full
+// languages. Anything they cannot place is reported as an issue, like the CSV
+// parser does.
+
+const RESULT_FORMATS = ['csv', 'json', 'yaml', 'xml'];
+const RESULT_EXTENSIONS = ['csv', 'json', 'yaml', 'yml', 'xml'];
+
+const MULTI_VALUE_FIELDS = ['additional_numbers', 'additional_emails', 'social_media_links', 'tags'];
+const SCALAR_FIELDS = ['name', 'address', 'phone_number', 'email', 'website', 'rating', 'total_ratings', 'status', 'notes'];
+
+function detectFormat(filePath, text) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    if (extension === 'yml') {
+        return 'yaml';
+    }
+    if (RESULT_FORMATS.includes(extension)) {
+        return extension;
+    }
+
+    // Unknown extension: look at the content instead
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('{') || start.startsWith('[')) {
+        return 'json';
+    }
+    if (start.startsWith('<')) {
+        return 'xml';
+    }
+    if (/^businesses:/.test(start)) {
+        return 'yaml';
+    }
+    return 'csv';
+}
+
+// Converts a Formatter record (arrays, numbers) into a CSV-style row
+function toResultRow(record) {
+    const row = {};
+
+    SCALAR_FIELDS.forEach(field => {
+        const value = record[field];
+        if (value === undefined || value === null) {
+            row[field] = '';
+        } else if (field === 'rating' && typeof value === 'number') {
+            row[field] = value.toFixed(1);
+        } else {
+            row[field] = String(value).trim();
+        }
+    });
+
+    MULTI_VALUE_FIELDS.forEach(field => {
+        const value = record[field];
+        if (Array.isArray(value)) {
+            row[field] = value.map(item => String(item).trim()).filter(item => item).join(', ');
+        } else {
+            row[field] = value ? String(value).trim() : '';
+        }
+    });
+
+    return row;
+}
+
+function makeIssue(line, type, message, text) {
+    return { line: line, type: type, message: message, skipped: true, fields: [text] };
+}
+
+function readJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const records = Array.isArray(data) ? data : (data && data.businesses);
+    if (!Array.isArray(records)) {
+        throw new Error('JSON file has no "businesses" list');
+    }
+
+    const rows = [];
+    const issues = [];
+    records.forEach((record, index) => {
+        if (record && typeof record === 'object' && !Array.isArray(record)) {
+            rows.push(toResultRow(record));
+        } else {
+            issues.push(makeIssue(index + 1, 'invalid-record', `Business #${index + 1} is not an object`, JSON.stringify(record)));
+        }
+    });
+
+    return { rows, issues };
+}
+
+// The Formatter wraps YAML strings in double quotes without escaping them, while
+// the app's own exporter writes proper JSON-style escapes. Accept both.
+function parseYAMLScalar(raw) {
+    const value = raw.trim();
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+    if (value.length >= 2 && value.startsWith('\'') && value.endsWith('\'')) {
+        return value.slice(1, -1).replace(/''/g, '\'');
+    }
+    return value;
+}
+
+function readYAML(text) {
+    const rows = [];
+    const issues = [];
+    let current = null;
+    let currentList = null;
+
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    lines.forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        if (!rawLine.trim() || rawLine.trim().startsWith('#')) {
+            return;
+        }
+        if (/^businesses:\s*(\[\])?\s*$/.test(rawLine)) {
+            return;
+        }
+
+        let match;
+        if ((match = rawLine.match(/^\s{0,3}-\s+([a-z_]+):\s*(.*)$/))) {
+            // "  - name: ..." starts the next business
+            current = {};
+            rows.push(current);
+            currentList = null;
+            current[match[1]] = parseYAMLScalar(match[2]);
+        } else if (current && currentList && (match = rawLine.match(/^\s{4,}-\s+(.*)$/))) {
+            current[currentList].push(parseYAMLScalar(match[1]));
+        } else if (current && (match = rawLine.match(/^\s+([a-z_]+):\s*(.*)$/))) {
+            const [, key, value] = match;
+            if (value.trim() === '') {
+                current[key] = [];
+                currentList = key;
+            } else if (value.trim() === '[]') {
+                current[key] = [];
+                currentList = null;
+            } else {
+                current[key] = parseYAMLScalar(value);
+                currentList = null;
+            }
+        } else {
+            issues.push(makeIssue(lineNumber, 'unrecognized-line', 'Line does not match the results layout', rawLine.trim()));
+        }
+    });
+
+    return { rows: rows.map(toResultRow), issues };
+}
+
+function decodeXML(value) {
+    return value
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data)
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+function readXML(text) {
+    const rows = [];
+    const issues = [];
+
+    if (!/<businesses[\s>/]/.test(text)) {
+        throw new Error('XML file has no <businesses> element');
+    }
+
+    const businessPattern = /<business>([\s\S]*?)<\/business>/g;
+    let match;
+    while ((match = businessPattern.exec(text)) !== null) {
+        const body = match[1];
+        const record = {};
+
+        SCALAR_FIELDS.forEach(field => {
+            const fieldMatch = body.match(new RegExp(`<${field}>([\\s\\S]*?)</${field}>`));
+            record[field] = fieldMatch ? decodeXML(fieldMatch[1]) : '';
+        });
+
+        MULTI_VALUE_FIELDS.forEach(field => {
+            const listMatch = body.match(new RegExp(`<${field}>([\\s\\S]*?)</${field}>`));
+            record[field] = [];
+            if (listMatch) {
+                const itemPattern = /<([a-z_]+)>([\s\S]*?)<\/\1>/g;
+                let item;
+                while ((item = itemPattern.exec(listMatch[1])) !== null) {
+                    record[field].push(decodeXML(item[2]));
+                }
+            }
+        });
+
+        rows.push(toResultRow(record));
+    }
+
+    // An opening tag without a closing one means the file was cut off
+    const opened = (text.match(/<business>/g) || []).length;
+    if (opened > rows.length) {
+        const lastOpen = text.lastIndexOf('<business>');
+        issues.push(makeIssue(lineAt(text, lastOpen), 'unterminated-element', '<business> element is never closed', text.slice(lastOpen, lastOpen + 200)));
+    }
+
+    return { rows, issues };
+}
+
+// Returns { format, rows, issues } for a results file in any supported format
+async function readResultFile(filePath) {
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const format = detectFormat(filePath, text);
+
+    switch (format) {
+        case 'json':
+            return { format, ...readJSON(text) };
+        case 'yaml':
+            return { format, ...readYAML(text) };
+        case 'xml':
+            return { format, ...readXML(text) };
+        default: {
+            const { rows, issues } = await parseCSVFile(filePath);
+            return { format: 'csv', rows, issues };
+        }
+    }
+}
+
+module.exports = {
+    RESULT_EXTENSIONS,
+    detectFormat,
+    readResultFile,
+    toBusiness,
+    toResultRow
+};
@@ -0,0 +1,330 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { toBusiness } = require('./result-reader');
+const { diffBusinesses } = require('./result-diff');
+const ValidationError = require('./validation-error');
+
+const SCHEDULES_KEY = 'schedules';
+const FREQUENCIES = ['daily', 'weekly'];
+const OUTPUT_FORMATS = ['csv', 'json', 'yaml', 'xml'];
+// Enough of each business to recognise it in the next run
+const SNAPSHOT_FIELDS = ['name', 'address', 'phone', 'website'];
+// The timer is re-armed at least this often, so sleep or a clock change delays a run by minutes at most
+const MAX_TIMER_MS = 5 * 60 * 1000;
+
+function parseTime(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(time || ''));
+    return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+}
+
+// The schedule's first run time after the given date, in local time
+function nextRunAfter(schedule, after) {
+    const { hours, minutes } = parseTime(schedule.time);
+    const next = new Date(after);
+    next.setHours(hours, minutes, 0, 0);
+    if (schedule.frequency === 'weekly') {
+        next.setDate(next.getDate() + ((schedule.dayOfWeek - next.getDay() + 7) % 7));
+    }
+    if (next <= after) {
+        next.setDate(next.getDate() + (schedule.frequency === 'weekly' ? 7 : 1));
+    }
+    return next;
+}
+
+function snapshotOf(business) {
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+        snapshot[field] = business[field] || '';
+    });
+    return snapshot;
+}
+
+// Recurring searches, run daily or weekly at a time of day through the app's
+// SearchQueue like any other search.
+//
+// Each schedule keeps a snapshot of its last successful run, and every run is
+// compared against it. Emits 'run-finished' with the schedule and the run
+// ({ status, added, removed, ... }) and 'changed' whenever the list or a
+// schedule's state changes. Runs missed while the app was closed are made up
+// once, when start() is called.
+class Scheduler extends EventEmitter {
+    // queue: the app's SearchQueue
+    constructor(store, { queue }) {
+        super();
+        this.store = store;
+        this.queue = queue;
+        this.timer = null;
+        this.started = false;
+        this.running = new Map(); // schedule id -> queue job
+    }
+
+    list() {
+        return this.store.get(SCHEDULES_KEY, []);
+    }
+
+    get(id) {
+        return this.list().find(schedule => schedule.id === id) || null;
+    }
+
+    saveAll(schedules) {
+        this.store.set(SCHEDULES_KEY, schedules);
+        this.emit('changed');
+    }
+
+    // Applies changes to the stored schedule; returns the updated schedule, or null if it was deleted
+    patch(id, changes) {
+        const schedules = this.list();
+        const index = schedules.findIndex(schedule => schedule.id === id);
+        if (index === -1) {
+            return null;
+        }
+        schedules[index] = { ...schedules[index], ...changes };
+        this.saveAll(schedules);
+        return schedules[index];
+    }
+
+    isRunning(id) {
+        return this.running.has(id);
+    }
+
+    validate(schedule) {
+        const errors = {};
+        const search = schedule.searchParams;
+        if (!schedule.name) {
+            errors.name = 'Name cannot be empty';
+        }
+        if (!search.keyword) {
+            errors.keyword = 'Keyword cannot be empty';
+        }
+        if (!search.location) {
+            errors.location = 'Location cannot be empty';
+        }
+        if (!(Number.isInteger(search.maxResults) && search.maxResults >= 1)) {
+            errors.maxResults = 'Max results must be a whole number of at least 1';
+        }
+        if (!OUTPUT_FORMATS.includes(search.outputFormat)) {
+            errors.outputFormat = `Format must be one of ${OUTPUT_FORMATS.join(', ')}`;
+        }
+        if (!FREQUENCIES.includes(schedule.frequency)) {
+            errors.frequency = `Frequency must be one of ${FREQUENCIES.join(', ')}`;
+        }
+        if (schedule.frequency === 'weekly' && !(Number.isInteger(schedule.dayOfWeek) && schedule.dayOfWeek >= 0 && schedule.dayOfWeek <= 6)) {
+            errors.dayOfWeek = 'Choose a day of the week';
+        }
+        if (!parseTime(schedule.time)) {
+            errors.time = 'Time must be HH:MM';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    // fields: { name, keyword, location, maxResults, outputFormat, outputDirectory,
+    //           enableWebScraping, profileId, frequency, dayOfWeek, time, enabled }
+    buildSchedule(fields, existing = {}) {
+        const merged = { ...existing, ...existing.searchParams, ...fields };
+        const keyword = String(merged.keyword || '').trim();
+        const location = String(merged.location || '').trim();
+        const frequency = merged.frequency || 'weekly';
+        return {
+            ...existing,
+            name: String(merged.name || '').trim() || (keyword && location ? `${keyword} · ${location}` : ''),
+            searchParams: {
+                keyword: keyword,
+                location: location,
+                maxResults: Number(merged.maxResults),
+                outputFormat: merged.outputFormat || 'csv',
+                outputDirectory: merged.outputDirectory || '',
+                enableWebScraping: merged.enableWebScraping !== false
+            },
+            // null runs with whichever profile is active at the time
+            profileId: merged.profileId || null,
+            frequency: frequency,
+            dayOfWeek: frequency === 'weekly' ? Number(merged.dayOfWeek) : null,
+            time: merged.time,
+            enabled: merged.enabled !== false
+        };
+    }
+
+    create(fields) {
+        const schedule = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            lastRun: null,
+            snapshot: null,
+            ...this.buildSchedule(fields)
+        };
+        this.validate(schedule);
+        schedule.nextRunAt = nextRunAfter(schedule, new Date()).toISOString();
+
+        this.saveAll([...this.list(), schedule]);
+        this.arm();
+        return schedule;
+    }
+
+    update(id, fields) {
+        const existing = this.get(id);
+        if (!existing) {
+            throw new Error('Schedule not found');
+        }
+
+        const schedule = this.buildSchedule(fields, existing);
+        this.validate(schedule);
+        schedule.nextRunAt = nextRunAfter(schedule, new Date()).toISOString();
+
+        // Results for another search say nothing about what is new in this one
+        const before = existing.searchParams;
+        const after = schedule.searchParams;
+        if (before.keyword !== after.keyword || before.location !== after.location) {
+            schedule.snapshot = null;
+            schedule.lastRun = null;
+        }
+
+        const updated = this.patch(id, schedule);
+        this.arm();
+        return updated;
+    }
+
+    remove(id) {
+        const schedules = this.list();
+        const remaining = schedules.filter(schedule => schedule.id !== id);
+        if (remaining.length === schedules.length) {
+            return false;
+        }
+
+        const job = this.running.get(id);
+        if (job) {
+            this.queue.cancel(candidate => candidate === job);
+        }
+        this.saveAll(remaining);
+        this.arm();
+        return true;
+    }
+
+    start() {
+        this.started = true;
+        this.runDue('missed');
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Runs every enabled schedule whose time has come, then waits for the next one
+    runDue(reason = 'scheduled') {
+        const now = new Date();
+        this.list()
+            .filter(schedule => schedule.enabled && !this.isRunning(schedule.id) && new Date(schedule.nextRunAt) <= now)
+            .forEach(schedule => {
+                this.run(schedule.id, reason).catch(error => {
+                    console.warn(`Scheduled search "${schedule.name}" failed:`, error.message);
+                });
+            });
+        this.arm();
+    }
+
+    arm() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.started) {
+            return;
+        }
+
+        const upcoming = this.list()
+            .filter(schedule => schedule.enabled && !this.isRunning(schedule.id))
+            .map(schedule => new Date(schedule.nextRunAt).getTime());
+        if (upcoming.length === 0) {
+            return;
+        }
+
+        const delay = Math.max(0, Math.min(...upcoming) - Date.now());
+        this.timer = setTimeout(() => this.runDue(), Math.min(delay, MAX_TIMER_MS));
+    }
+
+    // reason: 'scheduled', 'missed' (made up at startup) or 'manual'. Resolves with the run.
+    async run(id, reason = 'manual') {
+        const schedule = this.get(id);
+        if (!schedule) {
+            throw new Error('Schedule not found');
+        }
+        if (this.isRunning(id)) {
+            throw new Error(`"${schedule.name}" is already running`);
+        }
+
+        let job = null;
+        try {
+            if (reason !== 'manual') {
+                // Counted from now, so a week away from the computer means one catch-up run, not seven
+                this.patch(id, { nextRunAt: nextRunAfter(schedule, new Date()).toISOString() });
+            }
+
+            job = this.queue.enqueue({ ...schedule.searchParams }, { source: 'schedule', profileId: schedule.profileId });
+            this.running.set(id, job);
+            this.emit('changed');
+            await job.done;
+        } finally {
+            // Whatever failed above, the schedule must not stay marked as running or stop the timer
+            this.running.delete(id);
+            this.arm();
+        }
+        return this.recordRun(id, job, reason);
+    }
+
+    recordRun(id, job, reason) {
+        const schedule = this.get(id);
+        const run = {
+            timestamp: job.finishedAt,
+            reason: reason,
+            status: job.status,
+            resultCount: null,
+            historyId: (job.result && job.result.historyId) || null,
+            outputFile: (job.result && job.result.outputFile) || null,
+            // The first successful run only records what is there
+            baseline: false,
+            added: [],
+            removed: [],
+            error: job.status === 'failed' ? job.result.error : null
+        };
+
+        const changes = { lastRun: run };
+        // Edited to another search while this one ran: its results must not become the new baseline
+        const sameSearch = schedule
+            && schedule.searchParams.keyword === job.searchParams.keyword
+            && schedule.searchParams.location === job.searchParams.location;
+        if (job.status === 'done' && sameSearch) {
+            const businesses = (job.result.csvData || []).map(toBusiness).map(snapshotOf);
+            run.resultCount = businesses.length;
+            if (schedule.snapshot) {
+                const diff = diffBusinesses(schedule.snapshot, businesses);
+                run.added = diff.added;
+                run.removed = diff.removed;
+            } else {
+                run.baseline = true;
+            }
+            // A failed run keeps the last good snapshot to compare against
+            changes.snapshot = businesses;
+        }
+
+        const updated = this.patch(id, changes);
+        if (updated) {
+            this.emit('run-finished', updated, run);
+        } else {
+            this.emit('changed');
+        }
+        return run;
+    }
+}
+
+// What the renderer sees: everything but the snapshot
+function describeSchedule(schedule, running) {
+    const { snapshot, ...summary } = schedule;
+    return { ...summary, running: running, knownBusinesses: snapshot ? snapshot.length : null };
+}
+
+module.exports = Scheduler;
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.describeSchedule = describeSchedule;
+module.exports.nextRunAfter = nextRunAfter;
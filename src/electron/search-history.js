@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HISTORY_KEY = 'searchHistory';
+const DEFAULT_LIMIT = 100;
+
+// Keeps completed searches so their results can be reloaded or re-run after a
+// restart. Newest entries come first.
+//
+// The entries live in electron-store, but each entry's result rows are kept in their
+// own file under options.directory: the store is rewritten on every settings change,
+// and a hundred result sets in it would make each of those writes slow.
+class SearchHistory {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.limit = options.limit || DEFAULT_LIMIT;
+        this.directory = options.directory;
+        this.moveStoredRows();
+    }
+
+    getEntries() {
+        return this.store.get(HISTORY_KEY, []);
+    }
+
+    setEntries(entries) {
+        this.store.set(HISTORY_KEY, entries);
+    }
+
+    rowsPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    readRows(id) {
+        try {
+            return JSON.parse(fs.readFileSync(this.rowsPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to read history rows:', this.rowsPath(id), error.message);
+            }
+            return [];
+        }
+    }
+
+    writeRows(id, rows) {
+        // Write to a temporary file first so a crash never leaves half a result set
+        fs.mkdirSync(this.directory, { recursive: true });
+        const tempPath = `${this.rowsPath(id)}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(rows));
+        fs.renameSync(tempPath, this.rowsPath(id));
+    }
+
+    deleteRows(id) {
+        try {
+            fs.rmSync(this.rowsPath(id), { force: true });
+        } catch (error) {
+            console.warn('Failed to delete history rows:', this.rowsPath(id), error.message);
+        }
+    }
+
+    // Earlier versions kept the rows inside the store entries. If a file cannot be
+    // written the entries stay as they are, and the next start tries again.
+    moveStoredRows() {
+        const entries = this.getEntries();
+        if (!entries.some(entry => entry.rows)) {
+            return;
+        }
+
+        try {
+            const moved = entries.map(({ rows, ...entry }) => {
+                if (rows) {
+                    this.writeRows(entry.id, rows);
+                }
+                return entry;
+            });
+            this.setEntries(moved);
+        } catch (error) {
+            console.warn('Failed to move history rows out of the settings store:', error.message);
+        }
+    }
+
+    // Entries without their rows, for listing
+    list() {
+        return this.getEntries();
+    }
+
+    get(id) {
+        const entry = this.getEntries().find(candidate => candidate.id === id);
+        return entry ? { ...entry, rows: this.readRows(id) } : null;
+    }
+
+    add({ params, outputFile, rows, source, profile }) {
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            source: source || 'gui',
+            // Which API key profile ran the search
+            profile: profile || null,
+            params: {
+                keyword: params.keyword,
+                location: params.location,
+                maxResults: params.maxResults,
+                outputFormat: params.outputFormat,
+                outputDirectory: params.outputDirectory,
+                enableWebScraping: params.enableWebScraping
+            },
+            resultCount: rows ? rows.length : 0,
+            outputFile: outputFile || null
+        };
+        this.writeRows(entry.id, rows || []);
+
+        const entries = [entry, ...this.getEntries()];
+        entries.slice(this.limit).forEach(dropped => this.deleteRows(dropped.id));
+        this.setEntries(entries.slice(0, this.limit));
+        return { ...entry, rows: rows || [] };
+    }
+
+    remove(id) {
+        const entries = this.getEntries();
+        const remaining = entries.filter(entry => entry.id !== id);
+        this.setEntries(remaining);
+        this.deleteRows(id);
+        return remaining.length !== entries.length;
+    }
+
+    clear() {
+        this.getEntries().forEach(entry => this.deleteRows(entry.id));
+        this.setEntries([]);
+    }
+}
+
+module.exports = SearchHistory;
@@ -0,0 +1,115 @@
+const { EventEmitter } = require('events');
+
+// Runs searches one at a time. Every search, whether started from the search form
+// or as part of a batch, goes through the same queue so CLI processes never overlap.
+class SearchQueue extends EventEmitter {
+    constructor({ run, cancel }) {
+        super();
+        this.run = run;
+        this.cancelRunning = cancel;
+        this.pending = [];
+        this.activeJob = null;
+        this.nextJobId = 1;
+    }
+
+    enqueue(searchParams, options = {}) {
+        const job = {
+            id: `job-${this.nextJobId++}`,
+            searchParams: searchParams,
+            source: options.source || 'gui',
+            batchId: options.batchId || null,
+            // Profile whose key the search uses; null means whichever is active when it starts
+            profileId: options.profileId || null,
+            status: 'queued', // queued, running, done, failed, cancelled
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            result: null
+        };
+
+        job.done = new Promise((resolve) => {
+            job.resolve = resolve;
+        });
+
+        this.pending.push(job);
+        this.emit('job-queued', job);
+        this.processNext();
+
+        return job;
+    }
+
+    isBusy() {
+        return this.activeJob !== null || this.pending.length > 0;
+    }
+
+    async processNext() {
+        if (this.activeJob || this.pending.length === 0) {
+            return;
+        }
+
+        const job = this.pending.shift();
+        this.activeJob = job;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.emit('job-started', job);
+
+        let result;
+        try {
+            result = await this.run(job);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        this.activeJob = null;
+        this.finishJob(job, result);
+        this.processNext();
+    }
+
+    finishJob(job, result) {
+        job.result = result;
+        job.finishedAt = new Date().toISOString();
+        if (result.success) {
+            job.status = 'done';
+        } else if (result.cancelled) {
+            job.status = 'cancelled';
+        } else {
+            job.status = 'failed';
+        }
+
+        // A failing listener must not leave the job unresolved or stop the queue
+        try {
+            this.emit('job-finished', job);
+        } catch (error) {
+            console.error('A job-finished listener failed:', error.message);
+        } finally {
+            job.resolve(result);
+        }
+    }
+
+    // Cancels every queued or running job the predicate matches.
+    // Returns the number of jobs that were cancelled.
+    cancel(predicate = () => true) {
+        let cancelledCount = 0;
+
+        const stillPending = [];
+        for (const job of this.pending) {
+            if (predicate(job)) {
+                this.finishJob(job, { success: false, cancelled: true });
+                cancelledCount++;
+            } else {
+                stillPending.push(job);
+            }
+        }
+        this.pending = stillPending;
+
+        if (this.activeJob && predicate(this.activeJob)) {
+            // The running job settles through run() once the process exits
+            this.cancelRunning(this.activeJob);
+            cancelledCount++;
+        }
+
+        return cancelledCount;
+    }
+}
+
+module.exports = SearchQueue;
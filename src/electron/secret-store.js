@@ -0,0 +1,63 @@
+const { safeStorage } = require('electron');
+
+// Encrypts API keys with the OS keychain (Keychain on macOS, DPAPI on Windows,
+// libsecret or KWallet on Linux) through Electron's safeStorage.
+//
+// Secrets are stored as { encrypted, data }. When no real encryption backend is
+// available, e.g. a headless Linux machine where Electron would fall back to its
+// hard-coded "basic_text" password, keys are kept as plain text and marked
+// unencrypted so the app can say so instead of pretending they are protected.
+// Only available once the app is ready.
+
+function getEncryptionStatus() {
+    if (!safeStorage.isEncryptionAvailable()) {
+        return { available: false, backend: null, reason: 'No OS encryption service is available' };
+    }
+
+    if (process.platform === 'linux') {
+        const backend = safeStorage.getSelectedStorageBackend();
+        if (backend === 'basic_text' || backend === 'unknown') {
+            return {
+                available: false,
+                backend: backend,
+                reason: 'No keyring (GNOME Keyring or KWallet) was found, so the key cannot be encrypted'
+            };
+        }
+        return { available: true, backend: backend, reason: null };
+    }
+
+    return { available: true, backend: process.platform === 'darwin' ? 'keychain' : 'dpapi', reason: null };
+}
+
+function encryptSecret(plaintext) {
+    const value = String(plaintext || '');
+    if (!value) {
+        return null;
+    }
+    if (!getEncryptionStatus().available) {
+        return { encrypted: false, data: value };
+    }
+    return { encrypted: true, data: safeStorage.encryptString(value).toString('base64') };
+}
+
+function decryptSecret(secret) {
+    if (!secret || !secret.data) {
+        return '';
+    }
+    if (!secret.encrypted) {
+        return secret.data;
+    }
+
+    try {
+        return safeStorage.decryptString(Buffer.from(secret.data, 'base64'));
+    } catch (error) {
+        // Typically the settings were copied from another machine or user account
+        throw new Error(`The saved API key could not be decrypted (${error.message}). Please enter it again.`);
+    }
+}
+
+module.exports = {
+    decryptSecret,
+    encryptSecret,
+    getEncryptionStatus
+};
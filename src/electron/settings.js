@@ -0,0 +1,183 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { FILENAME_TOKENS, SUBFOLDER_MODES, unknownTokens } = require('./output-naming');
+const ValidationError = require('./validation-error');
+
+const SETTINGS_KEY = 'settings';
+
+const OUTPUT_FORMATS = ['csv', 'json', 'yaml', 'xml'];
+
+// Characters that are not allowed in file names on at least one supported OS
+const INVALID_FILENAME_CHARS = /[<>:"/\\|?*\x00-\x1f]/;
+
+const DEFAULT_SETTINGS = {
+    search: {
+        maxResults: 20,
+        outputFormat: 'csv',
+        enableWebScraping: true
+    },
+    output: {
+        // Empty means the user's Documents folder
+        directory: '',
+        filenamePattern: '{keyword}_{location}_{date}_{time}',
+        // none, keyword or location
+        subfolder: 'none'
+    },
+    limits: {
+        maxResultsLimit: 100,
+        historyLimit: 100,
+        // 0 disables the timeout
+        searchTimeoutMinutes: 0
+    },
+    behavior: {
+        recordHistory: true,
+        addToLeadDatabase: true,
+        openFileAfterSearch: false,
+        confirmClearResults: false
+    },
+    api: {
+        // The local HTTP API is off until the user turns it on
+        enabled: false,
+        port: 47615,
+        // Generated the first time the API is enabled
+        token: ''
+    }
+};
+
+function cloneDefaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+// Fills in anything missing (e.g. settings saved by an older version) from the defaults
+function withDefaults(settings) {
+    const merged = cloneDefaults();
+    Object.keys(merged).forEach(section => {
+        const saved = settings && settings[section];
+        if (saved && typeof saved === 'object') {
+            Object.keys(merged[section]).forEach(key => {
+                if (saved[key] !== undefined) {
+                    merged[section][key] = saved[key];
+                }
+            });
+        }
+    });
+    return merged;
+}
+
+function generateApiToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function isInteger(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Returns a map of "section.key" to error message; empty when the settings are valid
+function validateSettings(settings) {
+    const errors = {};
+    const { search, output, limits, behavior, api } = settings;
+
+    if (!isInteger(limits.maxResultsLimit, 1, 500)) {
+        errors['limits.maxResultsLimit'] = 'Result limit must be a whole number between 1 and 500';
+    }
+    if (!isInteger(search.maxResults, 1, isInteger(limits.maxResultsLimit, 1, 500) ? limits.maxResultsLimit : 500)) {
+        errors['search.maxResults'] = `Max results must be a whole number between 1 and ${limits.maxResultsLimit}`;
+    }
+    if (!OUTPUT_FORMATS.includes(search.outputFormat)) {
+        errors['search.outputFormat'] = `Format must be one of ${OUTPUT_FORMATS.join(', ')}`;
+    }
+    if (typeof output.directory !== 'string') {
+        errors['output.directory'] = 'Output directory must be a path';
+    }
+
+    const pattern = typeof output.filenamePattern === 'string' ? output.filenamePattern.trim() : '';
+    if (!pattern) {
+        errors['output.filenamePattern'] = 'Filename pattern cannot be empty';
+    } else if (unknownTokens(pattern).length > 0) {
+        errors['output.filenamePattern'] = `Unknown token {${unknownTokens(pattern)[0]}}; use ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')}`;
+    } else if (INVALID_FILENAME_CHARS.test(pattern.replace(/\{[a-z]+\}/g, ''))) {
+        errors['output.filenamePattern'] = 'Filename pattern contains characters that are not allowed in file names';
+    }
+    if (!SUBFOLDER_MODES.includes(output.subfolder)) {
+        errors['output.subfolder'] = `Subfolder must be one of ${SUBFOLDER_MODES.join(', ')}`;
+    }
+
+    if (!isInteger(limits.historyLimit, 1, 1000)) {
+        errors['limits.historyLimit'] = 'History size must be a whole number between 1 and 1000';
+    }
+    if (!isInteger(limits.searchTimeoutMinutes, 0, 1440)) {
+        errors['limits.searchTimeoutMinutes'] = 'Timeout must be between 0 and 1440 minutes';
+    }
+
+    Object.keys(DEFAULT_SETTINGS.behavior).forEach(key => {
+        if (typeof behavior[key] !== 'boolean') {
+            errors[`behavior.${key}`] = 'Must be on or off';
+        }
+    });
+
+    if (typeof api.enabled !== 'boolean') {
+        errors['api.enabled'] = 'Must be on or off';
+    }
+    if (!isInteger(api.port, 1024, 65535)) {
+        errors['api.port'] = 'Port must be a whole number between 1024 and 65535';
+    }
+    if (typeof api.token !== 'string' || (api.token !== '' && api.token.length < 16)) {
+        errors['api.token'] = 'Token must be at least 16 characters';
+    }
+
+    return errors;
+}
+
+// Application settings kept in electron-store. Emits 'changed' with the new
+// settings after every successful update or reset.
+class Settings extends EventEmitter {
+    constructor(store) {
+        super();
+        this.store = store;
+    }
+
+    get() {
+        return withDefaults(this.store.get(SETTINGS_KEY, {}));
+    }
+
+    getDefaults() {
+        return cloneDefaults();
+    }
+
+    // Applies a partial update ({ section: { key: value } }); throws ValidationError
+    update(changes) {
+        const current = this.get();
+        const merged = {};
+        Object.keys(current).forEach(section => {
+            merged[section] = { ...current[section], ...(changes[section] || {}) };
+        });
+        const next = withDefaults(merged);
+        next.output.filenamePattern = String(next.output.filenamePattern).trim();
+        if (next.api.enabled && !next.api.token) {
+            next.api.token = generateApiToken();
+        }
+
+        const errors = validateSettings(next);
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        this.store.set(SETTINGS_KEY, next);
+        this.emit('changed', next);
+        return next;
+    }
+
+    // Keeps the API token so scripts using it keep working; it can be regenerated separately
+    reset() {
+        const defaults = cloneDefaults();
+        defaults.api.token = this.get().api.token;
+        this.store.set(SETTINGS_KEY, defaults);
+        this.emit('changed', defaults);
+        return defaults;
+    }
+}
+
+module.exports = Settings;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+module.exports.generateApiToken = generateApiToken;
+module.exports.validateSettings = validateSettings;
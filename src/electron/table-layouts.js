@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const ValidationError = require('./validation-error');
+
+const LAYOUTS_KEY = 'tableLayouts';
+const MIN_COLUMN_WIDTH = 40;
+const MAX_COLUMN_WIDTH = 2000;
+
+// Keeps { key, visible, width } for each column once. Which keys exist is up to the
+// renderer, so columns added in later versions fit into saved layouts.
+function cleanColumns(columns) {
+    const seen = new Set();
+    return (Array.isArray(columns) ? columns : [])
+        .filter(column => column && /^[a-z_]+$/.test(column.key) && !seen.has(column.key) && seen.add(column.key))
+        .map(column => {
+            const width = Math.round(Number(column.width));
+            return {
+                key: column.key,
+                visible: column.visible !== false,
+                width: width ? Math.min(Math.max(width, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH) : null
+            };
+        });
+}
+
+// Named results table layouts: which columns show, in what order and how wide.
+// Exactly one layout is active once any exists. An empty column list means the
+// renderer's default columns.
+class TableLayoutStore {
+    constructor(store) {
+        this.store = store;
+    }
+
+    getData() {
+        return this.store.get(LAYOUTS_KEY, { activeId: null, layouts: [] });
+    }
+
+    setData(data) {
+        this.store.set(LAYOUTS_KEY, data);
+    }
+
+    // Creates the first layout, with the default columns
+    ensureDefault() {
+        const data = this.getData();
+        if (data.layouts.length > 0) {
+            return;
+        }
+
+        const layout = this.buildLayout({ name: 'Default', columns: [] });
+        this.setData({ activeId: layout.id, layouts: [layout] });
+    }
+
+    buildLayout({ name, columns }) {
+        return {
+            id: crypto.randomUUID(),
+            name: String(name || '').trim(),
+            columns: cleanColumns(columns),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    validate(layout, layouts) {
+        const errors = {};
+        if (!layout.name) {
+            errors.name = 'Layout name cannot be empty';
+        } else if (layouts.some(other => other.id !== layout.id && other.name.toLowerCase() === layout.name.toLowerCase())) {
+            errors.name = `A layout named "${layout.name}" already exists`;
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    list() {
+        return this.getData().layouts;
+    }
+
+    getActive() {
+        const data = this.getData();
+        return data.layouts.find(layout => layout.id === data.activeId) || data.layouts[0] || null;
+    }
+
+    // New layouts become the active one
+    create(fields) {
+        const data = this.getData();
+        const layout = this.buildLayout(fields);
+        this.validate(layout, data.layouts);
+
+        data.layouts.push(layout);
+        data.activeId = layout.id;
+        this.setData(data);
+        return layout;
+    }
+
+    // changes: { name?, columns? }; a columns list replaces the saved one
+    update(id, changes) {
+        const data = this.getData();
+        const index = data.layouts.findIndex(layout => layout.id === id);
+        if (index === -1) {
+            throw new Error('Layout not found');
+        }
+
+        const layout = { ...data.layouts[index] };
+        if (changes.name !== undefined) {
+            layout.name = String(changes.name).trim();
+        }
+        if (changes.columns !== undefined) {
+            layout.columns = cleanColumns(changes.columns);
+        }
+        this.validate(layout, data.layouts);
+
+        data.layouts[index] = layout;
+        this.setData(data);
+        return layout;
+    }
+
+    remove(id) {
+        const data = this.getData();
+        if (data.layouts.length <= 1) {
+            throw new Error('The last layout cannot be deleted');
+        }
+
+        const remaining = data.layouts.filter(layout => layout.id !== id);
+        if (remaining.length === data.layouts.length) {
+            return false;
+        }
+
+        data.layouts = remaining;
+        if (data.activeId === id) {
+            data.activeId = remaining[0].id;
+        }
+        this.setData(data);
+        return true;
+    }
+
+    activate(id) {
+        const data = this.getData();
+        if (!data.layouts.some(layout => layout.id === id)) {
+            throw new Error('Layout not found');
+        }
+
+        data.activeId = id;
+        this.setData(data);
+    }
+}
+
+module.exports = TableLayoutStore;
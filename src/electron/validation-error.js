@@ -0,0 +1,12 @@
+// Thrown when user input is rejected. errors maps each field (e.g. 'name' or
+// 'search.maxResults') to its message; IPC handlers pass it on as { errors } so the
+// renderer can show each message next to its field.
+class ValidationError extends Error {
+    constructor(errors) {
+        super(Object.values(errors).join('; '));
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+module.exports = ValidationError;
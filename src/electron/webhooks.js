@@ -0,0 +1,451 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { toBusiness } = require('./result-reader');
+const ValidationError = require('./validation-error');
+
+// Sends every completed search to the configured HTTP endpoints, e.g. a CRM's
+// ingestion service.
+//
+// Each delivery is a JSON POST of the search metadata and its businesses:
+//
+//   { "event": "search.completed", "deliveryId", "timestamp", "search": {...}, "businesses": [...] }
+//
+// With a signing secret, X-Webhook-Signature carries "sha256=" plus the hex
+// HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>", so receivers can check that the
+// request came from this app and is not a replay. Failed deliveries are retried
+// with backoff; none of this ever affects the search itself.
+//
+// Tokens, signing secrets and custom headers are stored through the given secrets
+// ({ encryptSecret, decryptSecret }), like API keys. Emits 'deliveries-changed'
+// whenever the delivery log changes.
+
+const WEBHOOKS_KEY = 'webhooks';
+const DELIVERIES_KEY = 'webhookDeliveries';
+const MAX_LOGGED_DELIVERIES = 200;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+// Waits before the second, third, ... attempt; a delivery is given up after the last one
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000];
+// Headers the app sets itself; custom headers may not replace them
+const RESERVED_HEADERS = [
+    'content-type', 'content-length', 'host', 'authorization', 'user-agent',
+    'x-webhook-event', 'x-webhook-delivery', 'x-webhook-timestamp', 'x-webhook-signature'
+];
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// "Name: value" lines, as typed in the webhook form
+function parseHeaderLines(text) {
+    const headers = [];
+    const invalid = [];
+    String(text || '').split(/\r?\n/).forEach(line => {
+        if (!line.trim()) {
+            return;
+        }
+        const separator = line.indexOf(':');
+        const name = separator > 0 ? line.slice(0, separator).trim() : '';
+        if (!HEADER_NAME.test(name) || RESERVED_HEADERS.includes(name.toLowerCase())) {
+            invalid.push(line.trim());
+            return;
+        }
+        headers.push({ name: name, value: line.slice(separator + 1).trim() });
+    });
+    return { headers, invalid };
+}
+
+function formatHeaderLines(headers) {
+    return headers.map(header => `${header.name}: ${header.value}`).join('\n');
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Network errors, timeouts, rate limiting and server errors are worth another try
+function isRetryable(statusCode) {
+    return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function describeJob(job) {
+    const result = job.result || {};
+    return {
+        id: job.id,
+        keyword: job.searchParams.keyword,
+        location: job.searchParams.location,
+        maxResults: job.searchParams.maxResults,
+        outputFormat: job.searchParams.outputFormat,
+        enableWebScraping: job.searchParams.enableWebScraping,
+        source: job.source,
+        profile: result.profile || null,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        resultCount: (result.csvData || []).length,
+        outputFile: result.outputFile || null,
+        historyId: result.historyId || null
+    };
+}
+
+class Webhooks extends EventEmitter {
+    // secrets: { encryptSecret, decryptSecret }; options.fetch: for sending requests
+    constructor(store, secrets, options = {}) {
+        super();
+        this.store = store;
+        this.secrets = secrets;
+        this.fetch = options.fetch || fetch;
+        this.userAgent = options.userAgent || 'BusinessScraper';
+        this.retryTimers = new Set();
+        this.inFlight = new Set();
+    }
+
+    list() {
+        return this.store.get(WEBHOOKS_KEY, []);
+    }
+
+    get(id) {
+        return this.list().find(webhook => webhook.id === id) || null;
+    }
+
+    // Deliveries still pending when the app last quit cannot be resumed: their payload is gone
+    markInterruptedDeliveries() {
+        const deliveries = this.listDeliveries();
+        let changed = false;
+        deliveries.forEach(delivery => {
+            if (delivery.status === 'pending' || delivery.status === 'retrying') {
+                delivery.status = 'failed';
+                delivery.error = 'The app was closed before the delivery finished';
+                delivery.nextAttemptAt = null;
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.store.set(DELIVERIES_KEY, deliveries);
+        }
+    }
+
+    validate(webhook, headerErrors) {
+        const errors = {};
+        if (!webhook.name) {
+            errors.name = 'Name cannot be empty';
+        }
+
+        let url = null;
+        try {
+            url = new URL(webhook.url);
+        } catch (error) {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.url = 'Enter an http:// or https:// URL';
+        }
+
+        if (headerErrors.length > 0) {
+            errors.headers = `Not a valid "Name: value" header, or one the app sets itself: ${headerErrors[0]}`;
+        }
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    // fields: { name, url, enabled, headers ("Name: value" lines), token, signingSecret }.
+    // An omitted token or signing secret keeps the current one; an empty one removes it.
+    build(fields, existing = {}) {
+        const webhook = {
+            ...existing,
+            name: String(fields.name !== undefined ? fields.name : existing.name || '').trim(),
+            url: String(fields.url !== undefined ? fields.url : existing.url || '').trim(),
+            enabled: fields.enabled !== undefined ? fields.enabled !== false : existing.enabled !== false
+        };
+
+        let headerErrors = [];
+        if (fields.headers !== undefined) {
+            const { headers, invalid } = parseHeaderLines(fields.headers);
+            headerErrors = invalid;
+            webhook.headers = headers.length > 0 ? this.secrets.encryptSecret(JSON.stringify(headers)) : null;
+        }
+        if (fields.token !== undefined) {
+            webhook.token = this.secrets.encryptSecret(String(fields.token).trim());
+        }
+        if (fields.signingSecret !== undefined) {
+            webhook.signingSecret = this.secrets.encryptSecret(String(fields.signingSecret).trim());
+        }
+
+        this.validate(webhook, headerErrors);
+        return webhook;
+    }
+
+    create(fields) {
+        const webhook = {
+            id: crypto.randomUUID(),
+            headers: null,
+            token: null,
+            signingSecret: null,
+            createdAt: new Date().toISOString(),
+            ...this.build(fields)
+        };
+        this.store.set(WEBHOOKS_KEY, [...this.list(), webhook]);
+        return webhook;
+    }
+
+    update(id, fields) {
+        const webhooks = this.list();
+        const index = webhooks.findIndex(webhook => webhook.id === id);
+        if (index === -1) {
+            throw new Error('Webhook not found');
+        }
+        webhooks[index] = this.build(fields, webhooks[index]);
+        this.store.set(WEBHOOKS_KEY, webhooks);
+        return webhooks[index];
+    }
+
+    remove(id) {
+        const webhooks = this.list();
+        const remaining = webhooks.filter(webhook => webhook.id !== id);
+        this.store.set(WEBHOOKS_KEY, remaining);
+        return remaining.length !== webhooks.length;
+    }
+
+    // What the renderer sees: the custom headers, but never the token or signing secret
+    describe(webhook) {
+        let headers = '';
+        let headerError = null;
+        try {
+            headers = webhook.headers ? formatHeaderLines(JSON.parse(this.secrets.decryptSecret(webhook.headers))) : '';
+        } catch (error) {
+            headerError = error.message;
+        }
+
+        const secrets = [webhook.headers, webhook.token, webhook.signingSecret].filter(secret => secret);
+        return {
+            id: webhook.id,
+            name: webhook.name,
+            url: webhook.url,
+            enabled: webhook.enabled,
+            headers: headers,
+            headerError: headerError,
+            hasToken: !!webhook.token,
+            hasSigningSecret: !!webhook.signingSecret,
+            encrypted: secrets.every(secret => secret.encrypted),
+            createdAt: webhook.createdAt
+        };
+    }
+
+    listDeliveries() {
+        return this.store.get(DELIVERIES_KEY, []);
+    }
+
+    clearDeliveries() {
+        this.store.set(DELIVERIES_KEY, this.listDeliveries().filter(delivery =>
+            delivery.status === 'pending' || delivery.status === 'retrying'));
+        this.emit('deliveries-changed');
+    }
+
+    saveDelivery(delivery) {
+        const others = this.listDeliveries().filter(entry => entry.id !== delivery.id);
+        this.store.set(DELIVERIES_KEY, [delivery, ...others].slice(0, MAX_LOGGED_DELIVERIES));
+        this.emit('deliveries-changed');
+    }
+
+    // Called for every finished queue job; only completed searches are delivered
+    searchFinished(job) {
+        if (job.status !== 'done') {
+            return;
+        }
+
+        const webhooks = this.list().filter(webhook => webhook.enabled);
+        if (webhooks.length === 0) {
+            return;
+        }
+
+        const search = describeJob(job);
+        const businesses = (job.result.csvData || []).map(toBusiness);
+        webhooks.forEach(webhook => {
+            this.deliver(webhook, 'search.completed', { search, businesses });
+        });
+    }
+
+    // A sample delivery so the receiving end can be checked from the settings
+    sendTest(id) {
+        const webhook = this.get(id);
+        if (!webhook) {
+            throw new Error('Webhook not found');
+        }
+
+        const now = new Date().toISOString();
+        return this.deliver(webhook, 'test', {
+            search: {
+                id: 'test', keyword: 'coffee shops', location: 'Berlin', maxResults: 1, outputFormat: 'csv',
+                enableWebScraping: false, source: 'test', profile: null, startedAt: now, finishedAt: now,
+                resultCount: 1, outputFile: null, historyId: null
+            },
+            businesses: [toBusiness({ name: 'Example Coffee', address: 'Example Street 1, Berlin', phone_number: '+49 30 0000000', website: 'https://example.com', rating: '4.5', total_ratings: '120' })]
+        }, { retry: false });
+    }
+
+    // Resolves with the finished delivery log entry
+    deliver(webhook, event, data, options = {}) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            webhookId: webhook.id,
+            webhookName: webhook.name,
+            url: webhook.url,
+            event: event,
+            search: `${data.search.keyword} · ${data.search.location}`,
+            createdAt: new Date().toISOString(),
+            status: 'pending', // pending, retrying, delivered, failed
+            attempts: [],
+            nextAttemptAt: null,
+            error: null
+        };
+        const body = JSON.stringify({
+            event: event,
+            deliveryId: delivery.id,
+            timestamp: delivery.createdAt,
+            ...data
+        });
+
+        this.saveDelivery(delivery);
+        const settled = this.attempt(webhook, delivery, body, options.retry !== false)
+            .catch(error => {
+                // Never let a delivery problem escape into the search
+                console.warn(`Webhook "${webhook.name}" delivery failed:`, error.message);
+                return delivery;
+            })
+            .finally(() => this.inFlight.delete(settled));
+        this.inFlight.add(settled);
+        return settled;
+    }
+
+    async attempt(webhook, delivery, body, retry) {
+        const attempt = { at: new Date().toISOString(), statusCode: null, durationMs: 0, error: null };
+
+        // Secrets that cannot be decrypted now (e.g. after the OS keychain changed) never
+        // will be, so the delivery fails without retries
+        let headers;
+        try {
+            headers = this.requestHeaders(webhook, delivery, body);
+        } catch (error) {
+            attempt.error = 'The webhook\'s headers, token or signing secret could not be decrypted. Enter them again in its settings.';
+            delivery.attempts.push(attempt);
+            delivery.status = 'failed';
+            delivery.error = attempt.error;
+            delivery.nextAttemptAt = null;
+            this.saveDelivery(delivery);
+            console.warn(`Webhook "${webhook.name}" delivery failed: ${error.message}`);
+            return delivery;
+        }
+
+        const started = Date.now();
+        try {
+            const response = await this.fetch(webhook.url, {
+                method: 'POST',
+                headers: headers,
+                body: body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            attempt.statusCode = response.status;
+            if (!response.ok) {
+                attempt.error = `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+            }
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError'
+                ? `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`
+                : (error.cause && error.cause.message) || error.message;
+        }
+        attempt.durationMs = Date.now() - started;
+        delivery.attempts.push(attempt);
+
+        if (!attempt.error) {
+            delivery.status = 'delivered';
+            delivery.error = null;
+            delivery.nextAttemptAt = null;
+            this.saveDelivery(delivery);
+            return delivery;
+        }
+
+        delivery.error = attempt.error;
+        const delay = RETRY_DELAYS_MS[delivery.attempts.length - 1];
+        if (!retry || delay === undefined || !isRetryable(attempt.statusCode)) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            this.saveDelivery(delivery);
+            console.warn(`Webhook "${webhook.name}" delivery failed: ${attempt.error}`);
+            return delivery;
+        }
+
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.saveDelivery(delivery);
+        await new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.retryTimers.delete(timer);
+                resolve();
+            }, delay);
+            this.retryTimers.add(timer);
+        });
+
+        // The webhook may have been edited or deleted in the meantime
+        const current = this.get(webhook.id);
+        if (!current || !current.enabled) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            delivery.error = current ? 'The webhook was disabled before the retry' : 'The webhook was deleted before the retry';
+            this.saveDelivery(delivery);
+            return delivery;
+        }
+        return this.attempt(current, delivery, body, retry);
+    }
+
+    requestHeaders(webhook, delivery, body) {
+        const headers = {};
+        if (webhook.headers) {
+            JSON.parse(this.secrets.decryptSecret(webhook.headers)).forEach(header => {
+                headers[header.name] = header.value;
+            });
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        Object.assign(headers, {
+            'Content-Type': 'application/json',
+            'User-Agent': this.userAgent,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': timestamp
+        });
+
+        const token = this.secrets.decryptSecret(webhook.token);
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        const signingSecret = this.secrets.decryptSecret(webhook.signingSecret);
+        if (signingSecret) {
+            headers['X-Webhook-Signature'] = signPayload(signingSecret, timestamp, body);
+        }
+        return headers;
+    }
+
+    // Waits for deliveries in progress, up to timeoutMs; used before a headless run exits
+    async settle(timeoutMs) {
+        if (this.inFlight.size === 0) {
+            return;
+        }
+        let timer;
+        await Promise.race([
+            Promise.allSettled(Array.from(this.inFlight)),
+            new Promise(resolve => {
+                timer = setTimeout(resolve, timeoutMs);
+            })
+        ]);
+        clearTimeout(timer);
+    }
+
+    stop() {
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+    }
+}
+
+function generateSigningSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = Webhooks;
+module.exports.generateSigningSecret = generateSigningSecret;
+module.exports.signPayload = signPayload;
@@ -1,18 +1,97 @@
+// Kept in sync with LEAD_STATUSES in the main process lead database
+const LEAD_STATUSES = ['new', 'contacted', 'interested', 'rejected'];
+
+// Columns the results table can show, in their default order. Derived columns are
+// computed from the CLI's fields; hidden ones start out unticked in the Columns menu.
+const RESULT_COLUMNS = [
+    { key: 'name', label: 'Business Name', width: 200 },
+    { key: 'address', label: 'Address', width: 260 },
+    { key: 'phone', label: 'Phone', width: 140 },
+    { key: 'email', label: 'Email', width: 190 },
+    { key: 'website', label: 'Website', width: 180 },
+    { key: 'rating', label: 'Rating', width: 80, sortType: 'number' },
+    { key: 'reviews', label: 'Reviews', width: 90, sortType: 'number' },
+    { key: 'additional_numbers', label: 'Additional Phones', width: 180, hidden: true },
+    { key: 'additional_emails', label: 'Additional Emails', width: 220, hidden: true },
+    { key: 'social_media_links', label: 'Social Links', width: 240, hidden: true },
+    { key: 'domain', label: 'Domain', width: 160, hidden: true, derived: true },
+    { key: 'social_networks', label: 'Social Networks', width: 170, hidden: true, derived: true },
+    { key: 'phone_count', label: 'Phone Count', width: 100, hidden: true, derived: true, sortType: 'number' },
+    { key: 'email_count', label: 'Email Count', width: 100, hidden: true, derived: true, sortType: 'number' },
+    { key: 'status', label: 'Status', width: 130 },
+    { key: 'tags', label: 'Tags', width: 150 },
+    { key: 'notes', label: 'Notes', width: 220 }
+];
+const SELECT_COLUMN_WIDTH = 36;
+const MIN_COLUMN_WIDTH = 40;
+
+const SOCIAL_NETWORKS = {
+    'facebook.com': 'Facebook',
+    'instagram.com': 'Instagram',
+    'linkedin.com': 'LinkedIn',
+    'twitter.com': 'X',
+    'x.com': 'X',
+    'youtube.com': 'YouTube',
+    'tiktok.com': 'TikTok',
+    'pinterest.com': 'Pinterest',
+    'yelp.com': 'Yelp'
+};
+
 class BusinessScraperApp {
     constructor() {
         this.isSearching = false;
         this.lastOutputFile = null;
         this.lastSearchResults = [];
-        this.statusUnsubscribe = null;
-        this.currentStage = 'idle'; // idle, searching, complete, error
+        this.progressUnsubscribe = null;
+        this.progressWarnings = [];
+        this.currentStage = 'idle'; // idle, searching, complete, cancelled, error
         this.scrapingProgress = { current: 0, total: 0 };
+        this.searchMode = 'single'; // single, batch
+        this.activeBatchId = null;
+        this.isBatchRunning = false;
+        this.batchUnsubscribe = null;
+        this.sortState = { key: null, type: 'text', direction: 'asc' };
+        this.filters = this.getDefaultFilters();
+        this.selectedBusiness = null;
+        this.checkedBusinesses = new Set();
+        this.mergeSources = [];
+        this.mergeReview = null;
+        this.compareSources = [];
+        this.comparison = null; // { before, after, result } once two sets are compared
+        this.resultsView = 'search'; // search, leads
+        this.settings = null;
+        this.settingsDefaults = null;
+        this.effectiveSettings = null; // settings with the active profile's defaults applied
+        this.hasSavedApiKey = false; // the key itself stays in the main process
+        this.apiStatus = null;
+        this.profiles = [];
+        this.activeProfileId = null;
+        this.editingProfileId = null; // null while adding a profile
+        this.schedules = [];
+        this.editingScheduleId = null; // null while adding a schedule
+        this.webhooks = [];
+        this.editingWebhookId = null; // null while adding a webhook
+        this.exportTemplates = [];
+        this.templateFields = [];
+        this.templateFormats = {};
+        this.editingTemplateId = null; // null while adding a template
+        this.templateColumns = []; // columns of the template being edited
+        this.tableLayouts = [];
+        this.activeLayoutId = null;
+        this.tableColumns = this.resolveColumns([]); // every column with its visibility and width, in table order
+        this.draggedColumnKey = null;
+        this.suppressHeaderClick = false; // set briefly after a resize so its mouseup does not sort
 
         this.initializeApp();
     }
 
     async initializeApp() {
+        this.renderResultsHeader();
         this.setupEventListeners();
         await this.loadConfiguration();
+        await this.loadProfiles();
+        await this.loadTableLayouts();
+        await this.loadSettings();
         await this.setDefaultOutputDirectory();
     }
 
@@ -21,6 +100,22 @@ class BusinessScraperApp {
         const searchForm = document.getElementById('search-form');
         searchForm.addEventListener('submit', (e) => this.handleSearch(e));
 
+        const cancelSearchBtn = document.getElementById('cancel-search-btn');
+        cancelSearchBtn.addEventListener('click', () => this.cancelSearch());
+
+        // Single / batch mode
+        document.querySelectorAll('.mode-option').forEach(button => {
+            button.addEventListener('click', () => this.setSearchMode(button.dataset.mode));
+        });
+
+        document.querySelectorAll('[data-import-target]').forEach(button => {
+            button.addEventListener('click', () => this.importList(button.dataset.importTarget));
+        });
+
+        document.getElementById('batch-keywords').addEventListener('input', () => this.updateBatchSummary());
+        document.getElementById('batch-locations').addEventListener('input', () => this.updateBatchSummary());
+        document.getElementById('retry-batch-btn').addEventListener('click', () => this.retryBatch());
+
         // Configuration modal
         const configBtn = document.getElementById('config-btn');
         const configModal = document.getElementById('config-modal');
@@ -32,6 +127,18 @@ class BusinessScraperApp {
         closeConfigBtn.addEventListener('click', () => this.hideConfigModal());
         cancelConfigBtn.addEventListener('click', () => this.hideConfigModal());
         configForm.addEventListener('submit', (e) => this.handleConfigSave(e));
+        document.getElementById('reset-settings-btn').addEventListener('click', () => this.resetSettings());
+        document.getElementById('settings-select-directory-btn').addEventListener('click', () => this.selectSettingsDirectory());
+        document.getElementById('settings-clear-directory-btn').addEventListener('click', () => {
+            document.getElementById('settings-output-directory').value = '';
+        });
+        document.getElementById('regenerate-api-token-btn').addEventListener('click', () => this.regenerateApiToken());
+        document.getElementById('copy-api-token-btn').addEventListener('click', (e) => {
+            const token = document.getElementById('settings-api-token').value;
+            if (token) {
+                this.copyToClipboard(token, e.currentTarget);
+            }
+        });
         
         // API key validation on input change
         const apiKeyField = document.getElementById('api-key');
@@ -46,6 +153,192 @@ class BusinessScraperApp {
             }
         });
 
+        // API key profiles
+        const profilesModal = document.getElementById('profiles-modal');
+        document.getElementById('profile-select').addEventListener('change', (e) => this.handleProfileSelect(e.target.value));
+        document.getElementById('close-profiles').addEventListener('click', () => this.hideProfilesModal());
+        document.getElementById('add-profile-btn').addEventListener('click', () => this.editProfile(null));
+        document.getElementById('cancel-profile-btn').addEventListener('click', () => this.hideProfileForm());
+        document.getElementById('profile-form').addEventListener('submit', (e) => this.saveProfile(e));
+        document.getElementById('profile-select-directory-btn').addEventListener('click', async () => {
+            const result = await window.electronAPI.selectDirectory();
+            if (result.success) {
+                document.getElementById('profile-output-directory').value = result.path;
+            }
+        });
+        document.getElementById('profile-clear-directory-btn').addEventListener('click', () => {
+            document.getElementById('profile-output-directory').value = '';
+        });
+        document.getElementById('profile-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-profile-action]');
+            if (button) {
+                this.handleProfileAction(button.dataset.profileAction, button.dataset.profileId);
+            }
+        });
+        profilesModal.addEventListener('click', (e) => {
+            if (e.target === profilesModal) {
+                this.hideProfilesModal();
+            }
+        });
+
+        // Webhooks
+        const webhooksModal = document.getElementById('webhooks-modal');
+        document.getElementById('manage-webhooks-btn').addEventListener('click', () => this.showWebhooksModal());
+        document.getElementById('close-webhooks').addEventListener('click', () => this.hideWebhooksModal());
+        document.getElementById('add-webhook-btn').addEventListener('click', () => this.editWebhook(null));
+        document.getElementById('cancel-webhook-btn').addEventListener('click', () => this.hideWebhookForm());
+        document.getElementById('webhook-form').addEventListener('submit', (e) => this.saveWebhook(e));
+        document.getElementById('generate-webhook-secret-btn').addEventListener('click', () => this.generateWebhookSecret());
+        document.getElementById('clear-webhook-deliveries-btn').addEventListener('click', () => this.clearWebhookDeliveries());
+        document.getElementById('webhook-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-webhook-action]');
+            if (button) {
+                this.handleWebhookAction(button.dataset.webhookAction, button.dataset.webhookId);
+            }
+        });
+        webhooksModal.addEventListener('click', (e) => {
+            if (e.target === webhooksModal) {
+                this.hideWebhooksModal();
+            }
+        });
+        this.webhookDeliveriesUnsubscribe = window.electronAPI.onWebhookDeliveriesChanged(() => {
+            if (webhooksModal.style.display !== 'none') {
+                this.refreshWebhooks();
+            }
+        });
+
+        // Export templates
+        const exportTemplatesModal = document.getElementById('export-templates-modal');
+        document.getElementById('close-export-templates').addEventListener('click', () => this.hideExportTemplatesModal());
+        document.getElementById('add-export-template-btn').addEventListener('click', () => this.editExportTemplate(null));
+        document.getElementById('cancel-export-template-btn').addEventListener('click', () => this.hideExportTemplateForm());
+        document.getElementById('export-template-form').addEventListener('submit', (e) => this.saveExportTemplate(e));
+        document.getElementById('add-template-column-btn').addEventListener('click', () => this.addTemplateColumn('field'));
+        document.getElementById('add-template-constant-btn').addEventListener('click', () => this.addTemplateColumn('constant'));
+        document.getElementById('export-template-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-template-action]');
+            if (button) {
+                this.handleExportTemplateAction(button.dataset.templateAction, button.dataset.templateId);
+            }
+        });
+        const templateColumns = document.getElementById('export-template-columns');
+        templateColumns.addEventListener('input', (e) => this.updateTemplateColumn(e.target));
+        templateColumns.addEventListener('change', (e) => this.updateTemplateColumn(e.target));
+        templateColumns.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-column-action]');
+            if (button) {
+                this.moveTemplateColumn(Number(button.dataset.columnIndex), button.dataset.columnAction);
+            }
+        });
+        exportTemplatesModal.addEventListener('click', (e) => {
+            if (e.target === exportTemplatesModal) {
+                this.hideExportTemplatesModal();
+            }
+        });
+
+        // Scheduled searches
+        const schedulesModal = document.getElementById('schedules-modal');
+        document.getElementById('schedules-btn').addEventListener('click', () => this.showSchedulesModal());
+        document.getElementById('close-schedules').addEventListener('click', () => this.hideSchedulesModal());
+        document.getElementById('add-schedule-btn').addEventListener('click', () => this.editSchedule(null));
+        document.getElementById('cancel-schedule-btn').addEventListener('click', () => this.hideScheduleForm());
+        document.getElementById('schedule-form').addEventListener('submit', (e) => this.saveSchedule(e));
+        document.getElementById('schedule-frequency').addEventListener('change', (e) => {
+            document.getElementById('schedule-day-group').style.display = e.target.value === 'weekly' ? '' : 'none';
+        });
+        document.getElementById('schedule-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-schedule-action]');
+            if (button) {
+                this.handleScheduleAction(button.dataset.scheduleAction, button.dataset.scheduleId);
+            }
+        });
+        schedulesModal.addEventListener('click', (e) => {
+            if (e.target === schedulesModal) {
+                this.hideSchedulesModal();
+            }
+        });
+        this.schedulesUnsubscribe = window.electronAPI.onSchedulesChanged(() => {
+            if (schedulesModal.style.display !== 'none') {
+                this.refreshSchedules();
+            }
+        });
+        this.scheduleNotificationUnsubscribe = window.electronAPI.onScheduleNotificationClicked((event, { historyId }) => {
+            this.openScheduleNotification(historyId);
+        });
+
+        // Search history modal
+        const historyBtn = document.getElementById('history-btn');
+        const historyModal = document.getElementById('history-modal');
+        historyBtn.addEventListener('click', () => this.showHistoryModal());
+        document.getElementById('close-history').addEventListener('click', () => this.hideHistoryModal());
+        document.getElementById('clear-history-btn').addEventListener('click', () => this.clearHistory());
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (button) {
+                this.handleHistoryAction(button.dataset.historyAction, button.dataset.historyId);
+            }
+        });
+        historyModal.addEventListener('click', (e) => {
+            if (e.target === historyModal) {
+                this.hideHistoryModal();
+            }
+        });
+
+        // Lead database
+        document.getElementById('leads-btn').addEventListener('click', () => this.showLeadDatabase());
+
+        // Merging result sets
+        const mergeModal = document.getElementById('merge-modal');
+        document.getElementById('merge-btn').addEventListener('click', () => this.showMergeModal());
+        document.getElementById('close-merge').addEventListener('click', () => this.hideMergeModal());
+        document.getElementById('merge-add-files-btn').addEventListener('click', () => this.addMergeFiles());
+        document.getElementById('merge-find-btn').addEventListener('click', () => this.findMergeDuplicates());
+        document.getElementById('merge-back-btn').addEventListener('click', () => this.showMergeStep('sources'));
+        document.getElementById('merge-apply-btn').addEventListener('click', () => this.applyMergeReview());
+        document.getElementById('merge-accept-all-btn').addEventListener('click', () => this.setAllMergeDecisions(true));
+        document.getElementById('merge-reject-all-btn').addEventListener('click', () => this.setAllMergeDecisions(false));
+        document.getElementById('merge-source-list').addEventListener('change', (e) => {
+            const source = this.mergeSources.find(item => item.id === e.target.dataset.mergeSource);
+            if (source) {
+                source.selected = e.target.checked;
+            }
+        });
+        document.getElementById('merge-proposal-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-merge-decision]');
+            if (button) {
+                this.mergeReview.decisions[button.dataset.proposalId] = button.dataset.mergeDecision === 'accept';
+                this.renderMergeReview();
+            }
+        });
+        mergeModal.addEventListener('click', (e) => {
+            if (e.target === mergeModal) {
+                this.hideMergeModal();
+            }
+        });
+
+        // Compare results modal
+        const compareModal = document.getElementById('compare-modal');
+        document.getElementById('compare-btn').addEventListener('click', () => this.showCompareModal());
+        document.getElementById('close-compare').addEventListener('click', () => this.hideCompareModal());
+        document.getElementById('compare-add-files-btn').addEventListener('click', () => this.addCompareFiles());
+        document.getElementById('compare-run-btn').addEventListener('click', () => this.runComparison());
+        document.getElementById('compare-back-btn').addEventListener('click', () => this.showCompareStep('sources'));
+        document.querySelectorAll('[data-compare-filter]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.renderComparison());
+        });
+        document.querySelectorAll('[data-compare-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportComparison(button.dataset.compareExport));
+        });
+        compareModal.addEventListener('click', (e) => {
+            if (e.target === compareModal) {
+                this.hideCompareModal();
+            }
+        });
+
+        // Opening saved result files, from the header button or by dropping them on the window
+        document.getElementById('open-results-btn').addEventListener('click', () => this.openResultsDialog());
+        this.setupFileDrop();
+
         // Directory selection
         const selectDirBtn = document.getElementById('select-directory-btn');
         selectDirBtn.addEventListener('click', () => this.selectOutputDirectory());
@@ -56,134 +349,2206 @@ class BusinessScraperApp {
         const showInFolderBtn = document.getElementById('show-in-folder-btn');
         const clearResultsBtn = document.getElementById('clear-results-btn');
 
-        exportBtn.addEventListener('click', () => this.exportResults());
+        // Sorting, moving and resizing columns; the header is rebuilt whenever the layout changes
+        const headerRow = document.getElementById('results-header-row');
+        headerRow.addEventListener('click', (e) => {
+            const th = e.target.closest('th[data-sort-key]');
+            if (th && !this.suppressHeaderClick && !e.target.closest('.column-resizer')) {
+                this.toggleSort(th.dataset.sortKey, th.dataset.sortType || 'text');
+            }
+        });
+        headerRow.addEventListener('change', (e) => {
+            if (e.target.id === 'select-all-rows') {
+                this.setAllRowsChecked(e.target.checked);
+            }
+        });
+        headerRow.addEventListener('mousedown', (e) => {
+            const resizer = e.target.closest('.column-resizer');
+            if (resizer) {
+                this.startColumnResize(e, resizer.dataset.resizeKey);
+            }
+        });
+        headerRow.addEventListener('dragstart', (e) => {
+            const th = e.target.closest('th[data-column-key]');
+            if (th) {
+                this.draggedColumnKey = th.dataset.columnKey;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', th.dataset.columnKey);
+            }
+        });
+        headerRow.addEventListener('dragover', (e) => {
+            const th = e.target.closest('th[data-column-key]');
+            if (!th || !this.draggedColumnKey) {
+                return;
+            }
+            e.preventDefault();
+            this.markColumnDropTarget(th, this.isDropAfter(e, th));
+        });
+        headerRow.addEventListener('drop', (e) => {
+            const th = e.target.closest('th[data-column-key]');
+            if (th && this.draggedColumnKey) {
+                e.preventDefault();
+                this.moveColumn(this.draggedColumnKey, th.dataset.columnKey, this.isDropAfter(e, th));
+            }
+        });
+        headerRow.addEventListener('dragend', () => {
+            this.draggedColumnKey = null;
+            this.markColumnDropTarget(null);
+        });
+
+        // Columns menu
+        document.getElementById('columns-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleColumnsMenu();
+        });
+        document.getElementById('table-layout-select').addEventListener('change', (e) => this.switchTableLayout(e.target.value));
+        document.getElementById('save-table-layout-btn').addEventListener('click', () => this.saveTableLayoutAs());
+        document.getElementById('new-table-layout-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveTableLayoutAs();
+            }
+        });
+        document.getElementById('delete-table-layout-btn').addEventListener('click', () => this.deleteTableLayout());
+        document.getElementById('reset-table-layout-btn').addEventListener('click', () => this.resetTableColumns());
+        document.getElementById('column-toggle-list').addEventListener('change', (e) => {
+            if (e.target.dataset.columnToggle) {
+                this.setColumnVisible(e.target.dataset.columnToggle, e.target.checked, e.target);
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#columns-menu')) {
+                this.hideColumnsMenu();
+            }
+        });
+
+        // Filtering
+
+        document.getElementById('filter-query').addEventListener('input', (e) => {
+            this.filters.query = e.target.value;
+            this.renderResultsTable();
+        });
+        document.getElementById('filter-has-email').addEventListener('change', (e) => {
+            this.filters.hasEmail = e.target.checked;
+            this.renderResultsTable();
+        });
+        document.getElementById('filter-has-website').addEventListener('change', (e) => {
+            this.filters.hasWebsite = e.target.checked;
+            this.renderResultsTable();
+        });
+        document.getElementById('filter-min-rating').addEventListener('input', (e) => {
+            this.filters.minRating = e.target.value;
+            this.renderResultsTable();
+        });
+        document.getElementById('filter-min-reviews').addEventListener('input', (e) => {
+            this.filters.minReviews = e.target.value;
+            this.renderResultsTable();
+        });
+        document.getElementById('filter-status').addEventListener('change', (e) => {
+            this.filters.status = e.target.value;
+            this.renderResultsTable();
+        });
+        document.getElementById('filter-tag').addEventListener('input', (e) => {
+            this.filters.tag = e.target.value;
+            this.renderResultsTable();
+        });
+        document.getElementById('reset-filters-btn').addEventListener('click', () => this.resetFilters());
+
+        // Business detail drawer
+        document.getElementById('close-detail').addEventListener('click', () => this.hideBusinessDetail());
+        document.getElementById('detail-body').addEventListener('click', (e) => {
+            const copyButton = e.target.closest('[data-copy-value]');
+            if (copyButton) {
+                this.copyToClipboard(copyButton.dataset.copyValue, copyButton);
+            }
+            if (e.target.closest('[data-lead-action="delete"]')) {
+                this.deleteLead(this.selectedBusiness);
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideBusinessDetail();
+            }
+        });
+
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleExportMenu();
+        });
+        document.querySelectorAll('[data-export-format]').forEach(item => {
+            item.addEventListener('click', () => {
+                this.hideExportMenu();
+                this.exportResults(item.dataset.exportFormat, {
+                    multiValue: item.dataset.multiValue || 'join'
+                }, item.dataset.exportScope || 'visible');
+            });
+        });
+        document.getElementById('export-template-items').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-export-template]');
+            if (item) {
+                this.hideExportMenu();
+                this.exportResults(null, { templateId: item.dataset.exportTemplate });
+            }
+        });
+        document.getElementById('edit-export-templates-btn').addEventListener('click', () => {
+            this.hideExportMenu();
+            this.showExportTemplatesModal();
+        });
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#export-menu')) {
+                this.hideExportMenu();
+            }
+        });
         openFileBtn.addEventListener('click', () => this.openResultFile());
         showInFolderBtn.addEventListener('click', () => this.showResultInFolder());
-        clearResultsBtn.addEventListener('click', () => this.clearResults());
+        clearResultsBtn.addEventListener('click', () => this.confirmClearResults());
+
+        // Progress updates
+        this.progressUnsubscribe = window.electronAPI.onSearchProgress((event, progressEvent) => {
+            this.handleProgressEvent(progressEvent);
+        });
+
+        this.batchUnsubscribe = window.electronAPI.onBatchProgress((event, progress) => {
+            this.updateBatchProgress(progress.batch);
+        });
+    }
+
+    async loadConfiguration() {
+        try {
+            const result = await window.electronAPI.loadConfig();
+            if (result.success && result.config) {
+                this.hasSavedApiKey = result.config.hasApiKey;
+                const apiKeyField = document.getElementById('api-key');
+                apiKeyField.value = '';
+                apiKeyField.placeholder = result.config.hasApiKey
+                    ? `Saved key ending ${result.config.keyHint.slice(1)}. Enter a new key to replace it`
+                    : 'Enter your Google Maps API key';
+                this.showKeyStorage(result.encryption);
+            }
+            // Check API key validity after loading
+            this.validateApiKey();
+        } catch (error) {
+            console.error('Failed to load configuration:', error);
+            this.validateApiKey();
+        }
+    }
+
+    // Tells the user whether the key is protected by the OS keychain
+    showKeyStorage(encryption) {
+        const note = document.getElementById('api-key-storage');
+        if (!encryption) {
+            note.textContent = '';
+            return;
+        }
+
+        note.classList.toggle('warning', !encryption.available);
+        note.textContent = encryption.available
+            ? 'The key is stored encrypted by your operating system.'
+            : `${encryption.reason}. The key is stored unencrypted in the app's settings file; install and unlock a keyring to protect it.`;
+    }
+
+    validateApiKey() {
+        const apiKeyField = document.getElementById('api-key');
+        const searchBtn = document.getElementById('search-btn');
+        const apiKey = apiKeyField ? apiKeyField.value.trim() : '';
+
+        // An empty field keeps the saved key
+        const isValidApiKey = apiKey
+            ? apiKey !== 'YOUR_API_KEY_HERE'
+            : this.hasSavedApiKey;
+        
+        if (!isValidApiKey) {
+            // Show API key error status
+            this.setStatusState('api-key-error');
+            
+            // Disable search button and add tooltip
+            searchBtn.disabled = true;
+            searchBtn.classList.add('disabled');
+            searchBtn.title = 'You must set an API key before you begin searching';
+        } else {
+            // API key is valid, enable search
+            if (this.currentStage === 'api-key-error') {
+                this.setStatusState('idle');
+            }
+            
+            // Enable search button and remove tooltip
+            searchBtn.disabled = false;
+            searchBtn.classList.remove('disabled');
+            searchBtn.title = '';
+        }
+        
+        return isValidApiKey;
+    }
+
+    async setDefaultOutputDirectory() {
+        try {
+            const paths = await window.electronAPI.getAppPaths();
+            const outputDirField = document.getElementById('output-directory');
+            if (!outputDirField.value) {
+                outputDirField.value = paths.documents;
+            }
+        } catch (error) {
+            console.error('Failed to set default output directory:', error);
+        }
+    }
+
+    async loadSettings() {
+        try {
+            const result = await window.electronAPI.getSettings();
+            if (!result.success) {
+                console.error('Failed to load settings:', result.error);
+                return;
+            }
+            this.settings = result.settings;
+            this.settingsDefaults = result.defaults;
+            this.effectiveSettings = result.effective;
+            this.apiStatus = result.apiStatus;
+            this.applySettingsToSearchForm();
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+    }
+
+    // Puts the search defaults (the active profile's where it has its own) into the search form
+    // and caps max results at the configured limit
+    applySettingsToSearchForm() {
+        const { search, output, limits } = this.effectiveSettings;
+
+        const maxResultsField = document.getElementById('max-results');
+        maxResultsField.max = limits.maxResultsLimit;
+        maxResultsField.value = search.maxResults;
+        document.getElementById('output-format').value = search.outputFormat;
+        document.getElementById('enable-web-scraping').checked = search.enableWebScraping;
+
+        if (output.directory) {
+            document.getElementById('output-directory').value = output.directory;
+        }
+    }
+
+    fillSettingsForm(settings) {
+        document.getElementById('settings-max-results').value = settings.search.maxResults;
+        document.getElementById('settings-output-format').value = settings.search.outputFormat;
+        document.getElementById('settings-web-scraping').checked = settings.search.enableWebScraping;
+        document.getElementById('settings-output-directory').value = settings.output.directory;
+        document.getElementById('settings-filename-pattern').value = settings.output.filenamePattern;
+        document.getElementById('settings-subfolder').value = settings.output.subfolder;
+        document.getElementById('settings-max-results-limit').value = settings.limits.maxResultsLimit;
+        document.getElementById('settings-history-limit').value = settings.limits.historyLimit;
+        document.getElementById('settings-search-timeout').value = settings.limits.searchTimeoutMinutes;
+        document.getElementById('settings-record-history').checked = settings.behavior.recordHistory;
+        document.getElementById('settings-add-to-leads').checked = settings.behavior.addToLeadDatabase;
+        document.getElementById('settings-open-file').checked = settings.behavior.openFileAfterSearch;
+        document.getElementById('settings-confirm-clear').checked = settings.behavior.confirmClearResults;
+        document.getElementById('settings-api-enabled').checked = settings.api.enabled;
+        document.getElementById('settings-api-port').value = settings.api.port;
+        document.getElementById('settings-api-token').value = settings.api.token;
+        this.showApiStatus();
+    }
+
+    showApiStatus() {
+        const status = this.apiStatus;
+        const element = document.getElementById('api-status');
+        element.className = 'help-text api-status';
+        if (!status) {
+            element.textContent = '';
+        } else if (status.running) {
+            element.classList.add('running');
+            element.textContent = `Listening on ${status.url}`;
+        } else if (status.error) {
+            element.classList.add('error');
+            element.textContent = `Not running: ${status.error}`;
+        } else {
+            element.textContent = 'Not running';
+        }
+    }
+
+    async regenerateApiToken() {
+        if (this.settings.api.token && !confirm('Create a new API token? Scripts using the current token will stop working.')) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.regenerateApiToken();
+            if (!result.success) {
+                this.showError('Failed to regenerate token: ' + result.error);
+                return;
+            }
+            this.settings = result.settings;
+            this.apiStatus = result.apiStatus;
+            document.getElementById('settings-api-token').value = result.settings.api.token;
+            this.showApiStatus();
+        } catch (error) {
+            this.showError('Failed to regenerate token: ' + error.message);
+        }
+    }
+
+    readSettingsForm() {
+        // Empty or non-numeric fields are sent as NaN so the main process reports them
+        const number = (id) => {
+            const value = document.getElementById(id).value.trim();
+            return value === '' ? NaN : Number(value);
+        };
+
+        return {
+            search: {
+                maxResults: number('settings-max-results'),
+                outputFormat: document.getElementById('settings-output-format').value,
+                enableWebScraping: document.getElementById('settings-web-scraping').checked
+            },
+            output: {
+                directory: document.getElementById('settings-output-directory').value,
+                filenamePattern: document.getElementById('settings-filename-pattern').value,
+                subfolder: document.getElementById('settings-subfolder').value
+            },
+            limits: {
+                maxResultsLimit: number('settings-max-results-limit'),
+                historyLimit: number('settings-history-limit'),
+                searchTimeoutMinutes: number('settings-search-timeout')
+            },
+            behavior: {
+                recordHistory: document.getElementById('settings-record-history').checked,
+                addToLeadDatabase: document.getElementById('settings-add-to-leads').checked,
+                openFileAfterSearch: document.getElementById('settings-open-file').checked,
+                confirmClearResults: document.getElementById('settings-confirm-clear').checked
+            },
+            api: {
+                enabled: document.getElementById('settings-api-enabled').checked,
+                port: number('settings-api-port')
+            }
+        };
+    }
+
+    // errors: { 'section.key': message }; an empty object clears every field error
+    showSettingsErrors(errors) {
+        document.querySelectorAll('#config-form [data-error-for]').forEach(element => {
+            const message = errors[element.dataset.errorFor] || '';
+            element.textContent = message;
+            element.closest('.form-group').classList.toggle('has-error', message !== '');
+        });
+
+        const firstError = document.querySelector('#config-form .form-group.has-error input, #config-form .form-group.has-error select');
+        if (firstError) {
+            firstError.focus();
+        }
+    }
+
+    async selectSettingsDirectory() {
+        try {
+            const result = await window.electronAPI.selectDirectory();
+            if (result.success) {
+                document.getElementById('settings-output-directory').value = result.path;
+            }
+        } catch (error) {
+            this.showError('Failed to select directory: ' + error.message);
+        }
+    }
+
+    async resetSettings() {
+        if (!confirm('Reset all settings except the API key to their defaults?')) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.resetSettings();
+            if (!result.success) {
+                this.showError('Failed to reset settings: ' + result.error);
+                return;
+            }
+            this.settings = result.settings;
+            this.effectiveSettings = result.effective;
+            this.apiStatus = result.apiStatus;
+            this.fillSettingsForm(result.settings);
+            this.showSettingsErrors({});
+            this.applySettingsToSearchForm();
+            await this.setDefaultOutputDirectory();
+        } catch (error) {
+            this.showError('Failed to reset settings: ' + error.message);
+        }
+    }
+
+    async loadProfiles() {
+        try {
+            const result = await window.electronAPI.listProfiles();
+            if (result.success) {
+                this.applyProfilesResult(result);
+            } else {
+                console.error('Failed to load profiles:', result.error);
+            }
+        } catch (error) {
+            console.error('Failed to load profiles:', error);
+        }
+    }
+
+    // Takes the profile list and effective settings every profile handler returns
+    applyProfilesResult(result) {
+        this.profiles = result.profiles;
+        this.activeProfileId = result.activeId;
+        this.renderProfileSelect();
+        if (this.settings) {
+            this.effectiveSettings = result.effective;
+            this.applySettingsToSearchForm();
+        }
 
-        // Status updates
-        this.statusUnsubscribe = window.electronAPI.onSearchStatus((event, message) => {
-            this.updateStatus(message);
+        const active = this.getActiveProfile();
+        document.getElementById('api-key-profile').textContent = active ? `for profile "${active.name}"` : '';
+    }
+
+    getActiveProfile() {
+        return this.profiles.find(profile => profile.id === this.activeProfileId) || null;
+    }
+
+    renderProfileSelect() {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = this.profiles.map(profile => (
+            `<option value="${this.escapeAttribute(profile.id)}">${this.escapeHtml(profile.name)}${profile.hasApiKey ? '' : ' (no key)'}</option>`
+        )).join('') + '<option value="__manage">Manage profiles…</option>';
+        select.value = this.activeProfileId;
+    }
+
+    async handleProfileSelect(value) {
+        if (value === '__manage') {
+            document.getElementById('profile-select').value = this.activeProfileId;
+            this.showProfilesModal();
+            return;
+        }
+        await this.switchProfile(value);
+    }
+
+    async switchProfile(id) {
+        if (this.isSearching) {
+            // Queued searches would pick up the new key halfway through
+            document.getElementById('profile-select').value = this.activeProfileId;
+            this.showError('Wait for the current search to finish before switching profiles');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.switchProfile(id);
+            if (!result.success) {
+                document.getElementById('profile-select').value = this.activeProfileId;
+                this.showError('Failed to switch profile: ' + result.error);
+                return;
+            }
+            this.applyProfilesResult(result);
+            await this.loadConfiguration();
+            if (document.getElementById('profiles-modal').style.display !== 'none') {
+                this.renderProfileList();
+            }
+        } catch (error) {
+            this.showError('Failed to switch profile: ' + error.message);
+        }
+    }
+
+    showProfilesModal() {
+        this.hideProfileForm();
+        this.renderProfileList();
+        document.getElementById('profiles-modal').style.display = 'flex';
+    }
+
+    hideProfilesModal() {
+        document.getElementById('profiles-modal').style.display = 'none';
+    }
+
+    renderProfileList() {
+        const list = document.getElementById('profile-list');
+        list.innerHTML = '';
+        this.profiles.forEach(profile => {
+            const overrides = [];
+            const search = profile.settings.search || {};
+            if (search.maxResults !== undefined) {
+                overrides.push(`${search.maxResults} results`);
+            }
+            if (search.outputFormat) {
+                overrides.push(search.outputFormat.toUpperCase());
+            }
+            if (search.enableWebScraping !== undefined) {
+                overrides.push(search.enableWebScraping ? 'web scraping on' : 'web scraping off');
+            }
+            if (profile.settings.output && profile.settings.output.directory) {
+                overrides.push(profile.settings.output.directory);
+            }
+
+            const item = document.createElement('li');
+            item.className = 'history-entry';
+            item.innerHTML = `
+                <div>
+                    <div class="history-entry-title">
+                        ${this.escapeHtml(profile.name)}${profile.active ? '<span class="profile-badge">Active</span>' : ''}
+                    </div>
+                    <div class="history-entry-meta">
+                        ${profile.hasApiKey ? `Key ${this.escapeHtml(profile.keyHint)}${profile.encrypted ? '' : ' (not encrypted)'}` : 'No API key'}${overrides.length ? ` · ${this.escapeHtml(overrides.join(' · '))}` : ''}
+                    </div>
+                </div>
+                <div class="history-entry-actions">
+                    ${profile.active ? '' : `<button class="action-button" data-profile-action="activate" data-profile-id="${profile.id}">Use</button>`}
+                    <button class="action-button" data-profile-action="edit" data-profile-id="${profile.id}">Edit</button>
+                    <button class="action-button secondary" data-profile-action="delete" data-profile-id="${profile.id}" ${this.profiles.length <= 1 ? 'disabled' : ''}>Delete</button>
+                </div>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    async handleProfileAction(action, id) {
+        switch (action) {
+            case 'activate':
+                await this.switchProfile(id);
+                break;
+            case 'edit':
+                this.editProfile(id);
+                break;
+            case 'delete':
+                await this.deleteProfile(id);
+                break;
+        }
+    }
+
+    // Opens the profile form, empty for a new profile
+    editProfile(id) {
+        const profile = id ? this.profiles.find(candidate => candidate.id === id) : null;
+        const search = (profile && profile.settings.search) || {};
+        const output = (profile && profile.settings.output) || {};
+
+        this.editingProfileId = profile ? profile.id : null;
+        document.getElementById('profile-form-title').textContent = profile ? `Edit ${profile.name}` : 'New Profile';
+        document.getElementById('profile-name').value = profile ? profile.name : '';
+        const apiKeyField = document.getElementById('profile-api-key');
+        apiKeyField.value = '';
+        apiKeyField.placeholder = profile && profile.hasApiKey ? `Leave empty to keep the key ending ${profile.keyHint.slice(1)}` : 'Enter the Google Maps API key';
+        document.getElementById('profile-max-results').value = search.maxResults !== undefined ? search.maxResults : '';
+        document.getElementById('profile-output-format').value = search.outputFormat || '';
+        document.getElementById('profile-web-scraping').value = search.enableWebScraping === undefined ? '' : (search.enableWebScraping ? 'on' : 'off');
+        document.getElementById('profile-output-directory').value = output.directory || '';
+
+        this.showProfileErrors({});
+        document.getElementById('profile-form').style.display = 'flex';
+        document.getElementById('profile-name').focus();
+    }
+
+    hideProfileForm() {
+        this.editingProfileId = null;
+        document.getElementById('profile-form').style.display = 'none';
+    }
+
+    showProfileErrors(errors) {
+        document.querySelectorAll('#profile-form [data-error-for]').forEach(element => {
+            const message = errors[element.dataset.errorFor] || '';
+            element.textContent = message;
+            element.closest('.form-group').classList.toggle('has-error', message !== '');
+        });
+    }
+
+    async saveProfile(event) {
+        event.preventDefault();
+
+        const maxResults = document.getElementById('profile-max-results').value.trim();
+        const webScraping = document.getElementById('profile-web-scraping').value;
+        const fields = {
+            name: document.getElementById('profile-name').value,
+            settings: {
+                search: {
+                    maxResults: maxResults === '' ? null : Number(maxResults),
+                    outputFormat: document.getElementById('profile-output-format').value,
+                    enableWebScraping: webScraping === '' ? null : webScraping === 'on'
+                },
+                output: {
+                    directory: document.getElementById('profile-output-directory').value
+                }
+            }
+        };
+
+        // An empty key field keeps the current key when editing
+        const apiKey = document.getElementById('profile-api-key').value.trim();
+        if (apiKey || !this.editingProfileId) {
+            fields.apiKey = apiKey;
+        }
+
+        try {
+            const wasActive = this.editingProfileId === this.activeProfileId;
+            const result = this.editingProfileId
+                ? await window.electronAPI.updateProfile(this.editingProfileId, fields)
+                : await window.electronAPI.createProfile(fields);
+
+            if (!result.success) {
+                if (result.errors) {
+                    this.showProfileErrors(result.errors);
+                } else {
+                    this.showError('Failed to save profile: ' + result.error);
+                }
+                return;
+            }
+
+            this.applyProfilesResult(result);
+            this.hideProfileForm();
+            this.renderProfileList();
+            if (wasActive) {
+                await this.loadConfiguration();
+            }
+        } catch (error) {
+            this.showError('Failed to save profile: ' + error.message);
+        }
+    }
+
+    async deleteProfile(id) {
+        const profile = this.profiles.find(candidate => candidate.id === id);
+        if (!profile || !confirm(`Delete the profile "${profile.name}" and its API key?`)) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.deleteProfile(id);
+            if (!result.success) {
+                this.showError('Failed to delete profile: ' + result.error);
+                return;
+            }
+            this.applyProfilesResult(result);
+            this.hideProfileForm();
+            this.renderProfileList();
+            await this.loadConfiguration();
+        } catch (error) {
+            this.showError('Failed to delete profile: ' + error.message);
+        }
+    }
+
+    async showWebhooksModal() {
+        this.hideWebhookForm();
+        document.getElementById('webhooks-modal').style.display = 'flex';
+        await this.refreshWebhooks();
+    }
+
+    hideWebhooksModal() {
+        document.getElementById('webhooks-modal').style.display = 'none';
+    }
+
+    async refreshWebhooks() {
+        try {
+            this.applyWebhooksResult(await window.electronAPI.listWebhooks(), 'load');
+        } catch (error) {
+            this.showError('Failed to load webhooks: ' + error.message);
+        }
+    }
+
+    // Every webhook call answers with the current webhooks and delivery log
+    applyWebhooksResult(result, verb) {
+        if (!result.success) {
+            this.showError(`Failed to ${verb} webhook: ${result.error}`);
+            return false;
+        }
+        this.webhooks = result.webhooks;
+        this.renderWebhookList();
+        this.renderWebhookDeliveries(result.deliveries);
+        return true;
+    }
+
+    renderWebhookList() {
+        const list = document.getElementById('webhook-list');
+        document.getElementById('webhooks-empty').style.display = this.webhooks.length ? 'none' : 'block';
+
+        list.innerHTML = '';
+        this.webhooks.forEach(webhook => {
+            const details = [
+                webhook.enabled ? null : 'disabled',
+                webhook.hasToken ? 'bearer token' : null,
+                webhook.hasSigningSecret ? 'signed' : null,
+                webhook.headers ? `${webhook.headers.split('\n').length} custom header(s)` : null,
+                (webhook.hasToken || webhook.hasSigningSecret || webhook.headers) && !webhook.encrypted ? 'secrets not encrypted' : null
+            ].filter(detail => detail);
+
+            const item = document.createElement('li');
+            item.className = 'history-entry';
+            item.innerHTML = `
+                <div>
+                    <div class="history-entry-title">${this.escapeHtml(webhook.name)}</div>
+                    <div class="history-entry-meta">${this.escapeHtml(webhook.url)}${details.length ? ` · ${this.escapeHtml(details.join(' · '))}` : ''}</div>
+                </div>
+                <div class="history-entry-actions">
+                    <button class="action-button" data-webhook-action="test" data-webhook-id="${webhook.id}">Send Test</button>
+                    <button class="action-button" data-webhook-action="toggle" data-webhook-id="${webhook.id}">${webhook.enabled ? 'Disable' : 'Enable'}</button>
+                    <button class="action-button" data-webhook-action="edit" data-webhook-id="${webhook.id}">Edit</button>
+                    <button class="action-button secondary" data-webhook-action="delete" data-webhook-id="${webhook.id}">Delete</button>
+                </div>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    renderWebhookDeliveries(deliveries) {
+        const list = document.getElementById('webhook-delivery-list');
+        document.getElementById('webhook-deliveries-empty').style.display = deliveries.length ? 'none' : 'block';
+        document.getElementById('clear-webhook-deliveries-btn').disabled = deliveries.length === 0;
+
+        const statusLabels = { pending: 'Sending', retrying: 'Retrying', delivered: 'Delivered', failed: 'Failed' };
+        list.innerHTML = deliveries.map(delivery => {
+            const codes = delivery.attempts.map(attempt => attempt.statusCode || 'no response').join(', ');
+            const details = [
+                new Date(delivery.createdAt).toLocaleString(),
+                delivery.event === 'test' ? 'test delivery' : delivery.search,
+                delivery.attempts.length ? `${delivery.attempts.length} attempt${delivery.attempts.length !== 1 ? 's' : ''} (${codes})` : null,
+                delivery.status === 'retrying' && delivery.nextAttemptAt ? `next try ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : null,
+                delivery.status !== 'delivered' ? delivery.error : null
+            ].filter(detail => detail);
+
+            return `
+                <li class="history-entry">
+                    <div>
+                        <div class="history-entry-title">
+                            <span class="delivery-status ${delivery.status}">${statusLabels[delivery.status]}</span> · ${this.escapeHtml(delivery.webhookName)}
+                        </div>
+                        <div class="history-entry-meta">${this.escapeHtml(details.join(' · '))}</div>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    async handleWebhookAction(action, id) {
+        const webhook = this.webhooks.find(candidate => candidate.id === id);
+        if (!webhook) {
+            return;
+        }
+
+        try {
+            switch (action) {
+                case 'test': {
+                    const result = await window.electronAPI.testWebhook(id);
+                    if (this.applyWebhooksResult(result, 'test')) {
+                        if (result.delivery.status === 'delivered') {
+                            this.showSuccess(`Test delivery to "${webhook.name}" succeeded`);
+                        } else {
+                            this.showError(`Test delivery to "${webhook.name}" failed: ${result.delivery.error}`);
+                        }
+                    }
+                    break;
+                }
+                case 'toggle':
+                    this.applyWebhooksResult(await window.electronAPI.updateWebhook(id, { enabled: !webhook.enabled }), 'update');
+                    break;
+                case 'edit':
+                    this.editWebhook(id);
+                    break;
+                case 'delete':
+                    if (confirm(`Delete the webhook "${webhook.name}"?`)) {
+                        this.applyWebhooksResult(await window.electronAPI.deleteWebhook(id), 'delete');
+                        this.hideWebhookForm();
+                    }
+                    break;
+            }
+        } catch (error) {
+            this.showError(`Failed to ${action} webhook: ${error.message}`);
+        }
+    }
+
+    // Opens the webhook form, empty for a new webhook
+    editWebhook(id) {
+        const webhook = id ? this.webhooks.find(candidate => candidate.id === id) : null;
+
+        this.editingWebhookId = webhook ? webhook.id : null;
+        document.getElementById('webhook-form-title').textContent = webhook ? `Edit ${webhook.name}` : 'New Webhook';
+        document.getElementById('webhook-name').value = webhook ? webhook.name : '';
+        document.getElementById('webhook-url').value = webhook ? webhook.url : '';
+        document.getElementById('webhook-headers').value = webhook ? webhook.headers : '';
+        document.getElementById('webhook-enabled').checked = webhook ? webhook.enabled : true;
+
+        const tokenField = document.getElementById('webhook-token');
+        tokenField.value = '';
+        tokenField.placeholder = webhook && webhook.hasToken ? 'Leave empty to keep the saved token' : 'Optional';
+        const secretField = document.getElementById('webhook-signing-secret');
+        secretField.value = '';
+        secretField.placeholder = webhook && webhook.hasSigningSecret ? 'Leave empty to keep the saved secret' : 'Optional';
+        document.getElementById('webhook-remove-token').closest('label').style.display = webhook && webhook.hasToken ? '' : 'none';
+        document.getElementById('webhook-remove-token').checked = false;
+        document.getElementById('webhook-remove-secret').closest('label').style.display = webhook && webhook.hasSigningSecret ? '' : 'none';
+        document.getElementById('webhook-remove-secret').checked = false;
+
+        this.showWebhookErrors(webhook && webhook.headerError ? { headers: webhook.headerError } : {});
+        document.getElementById('webhook-form').style.display = 'flex';
+        document.getElementById('webhook-name').focus();
+    }
+
+    hideWebhookForm() {
+        this.editingWebhookId = null;
+        document.getElementById('webhook-form').style.display = 'none';
+    }
+
+    showWebhookErrors(errors) {
+        document.querySelectorAll('#webhook-form [data-error-for]').forEach(element => {
+            const message = errors[element.dataset.errorFor] || '';
+            element.textContent = message;
+            element.closest('.form-group').classList.toggle('has-error', message !== '');
+        });
+    }
+
+    async generateWebhookSecret() {
+        const result = await window.electronAPI.generateWebhookSecret();
+        if (result.success) {
+            document.getElementById('webhook-signing-secret').value = result.secret;
+            document.getElementById('webhook-remove-secret').checked = false;
+        }
+    }
+
+    async saveWebhook(event) {
+        event.preventDefault();
+
+        const fields = {
+            name: document.getElementById('webhook-name').value,
+            url: document.getElementById('webhook-url').value,
+            headers: document.getElementById('webhook-headers').value,
+            enabled: document.getElementById('webhook-enabled').checked
+        };
+
+        // Empty fields keep the saved token and secret unless removing them is ticked
+        const token = document.getElementById('webhook-token').value.trim();
+        if (token || document.getElementById('webhook-remove-token').checked) {
+            fields.token = token;
+        }
+        const signingSecret = document.getElementById('webhook-signing-secret').value.trim();
+        if (signingSecret || document.getElementById('webhook-remove-secret').checked) {
+            fields.signingSecret = signingSecret;
+        }
+
+        try {
+            const result = this.editingWebhookId
+                ? await window.electronAPI.updateWebhook(this.editingWebhookId, fields)
+                : await window.electronAPI.createWebhook(fields);
+
+            if (!result.success && result.errors) {
+                this.showWebhookErrors(result.errors);
+                return;
+            }
+            if (this.applyWebhooksResult(result, 'save')) {
+                this.hideWebhookForm();
+            }
+        } catch (error) {
+            this.showError('Failed to save webhook: ' + error.message);
+        }
+    }
+
+    async clearWebhookDeliveries() {
+        try {
+            this.applyWebhooksResult(await window.electronAPI.clearWebhookDeliveries(), 'clear the log of');
+        } catch (error) {
+            this.showError('Failed to clear the delivery log: ' + error.message);
+        }
+    }
+
+    async showExportTemplatesModal() {
+        this.hideExportTemplateForm();
+        document.getElementById('export-templates-modal').style.display = 'flex';
+        await this.loadExportTemplates();
+    }
+
+    hideExportTemplatesModal() {
+        document.getElementById('export-templates-modal').style.display = 'none';
+    }
+
+    async loadExportTemplates() {
+        try {
+            this.applyExportTemplatesResult(await window.electronAPI.listExportTemplates(), 'load');
+        } catch (error) {
+            this.showError('Failed to load export templates: ' + error.message);
+        }
+    }
+
+    // Every template call answers with the full list, the mappable fields and the formats
+    applyExportTemplatesResult(result, verb) {
+        if (!result.success) {
+            this.showError(`Failed to ${verb} export template: ${result.error}`);
+            return false;
+        }
+        this.exportTemplates = result.templates;
+        this.templateFields = result.fields;
+        this.templateFormats = result.formats;
+        this.renderExportTemplateList();
+        this.renderExportTemplateItems();
+        return true;
+    }
+
+    renderExportTemplateList() {
+        const list = document.getElementById('export-template-list');
+        list.innerHTML = '';
+
+        this.exportTemplates.forEach(template => {
+            const item = document.createElement('li');
+            item.className = 'history-entry';
+            const headers = this.expandTemplateHeaders(template.columns);
+            item.innerHTML = `
+                <div class="history-entry-info">
+                    <div class="history-entry-title">${this.escapeHtml(template.name)}${template.builtIn ? '<span class="profile-badge">Built-in</span>' : ''}</div>
+                    <div class="history-entry-meta">${this.escapeHtml(this.templateFormats[template.format].label)} · ${this.escapeHtml(headers.join(', '))}</div>
+                </div>
+                <div class="history-entry-actions">
+                    ${template.builtIn ? '' : `<button class="action-button" data-template-action="edit" data-template-id="${template.id}">Edit</button>`}
+                    <button class="action-button" data-template-action="duplicate" data-template-id="${template.id}">Duplicate</button>
+                    ${template.builtIn ? '' : `<button class="action-button secondary" data-template-action="delete" data-template-id="${template.id}">Delete</button>`}
+                </div>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    // The file's column headers, with split columns numbered as the main process does
+    expandTemplateHeaders(columns) {
+        const headers = [];
+        columns.forEach(column => {
+            const split = Number(column.split) || 0;
+            if (column.source === 'constant' || !this.isMultiValueField(column.field) || split === 0) {
+                headers.push(column.header);
+                return;
+            }
+            for (let i = 1; i <= split; i++) {
+                headers.push(column.header.includes('{n}') ? column.header.replace(/\{n\}/g, String(i)) : `${column.header} ${i}`);
+            }
+        });
+        return headers;
+    }
+
+    isMultiValueField(key) {
+        const field = this.templateFields.find(candidate => candidate.key === key);
+        return Boolean(field && field.multi);
+    }
+
+    async handleExportTemplateAction(action, id) {
+        const template = this.exportTemplates.find(candidate => candidate.id === id);
+        if (!template) {
+            return;
+        }
+
+        try {
+            switch (action) {
+                case 'edit':
+                    this.editExportTemplate(id);
+                    break;
+                case 'duplicate':
+                    this.editExportTemplate(id, true);
+                    break;
+                case 'delete':
+                    if (confirm(`Delete the export template "${template.name}"?`)) {
+                        this.applyExportTemplatesResult(await window.electronAPI.deleteExportTemplate(id), 'delete');
+                        this.hideExportTemplateForm();
+                    }
+                    break;
+            }
+        } catch (error) {
+            this.showError(`Failed to ${action} export template: ${error.message}`);
+        }
+    }
+
+    // Opens the template form, empty for a new template; a duplicate starts as a copy of the given one
+    editExportTemplate(id, duplicate = false) {
+        const template = id ? this.exportTemplates.find(candidate => candidate.id === id) : null;
+
+        this.editingTemplateId = template && !duplicate ? template.id : null;
+        document.getElementById('export-template-form-title').textContent = template && !duplicate ? `Edit ${template.name}` : 'New Template';
+        document.getElementById('export-template-name').value = template ? (duplicate ? `${template.name} (copy)` : template.name) : '';
+        document.getElementById('export-template-format').innerHTML = Object.entries(this.templateFormats)
+            .map(([key, format]) => `<option value="${key}">${this.escapeHtml(format.label)}</option>`)
+            .join('');
+        document.getElementById('export-template-format').value = template ? template.format : 'csv';
+
+        this.templateColumns = template
+            ? template.columns.map(column => ({ ...column }))
+            : [{ header: 'Name', source: 'field', field: 'name', value: '', split: 0 }];
+        this.renderTemplateColumns();
+        this.showExportTemplateErrors({});
+
+        document.getElementById('export-template-form').style.display = 'flex';
+        document.getElementById('export-template-name').focus();
+    }
+
+    hideExportTemplateForm() {
+        this.editingTemplateId = null;
+        document.getElementById('export-template-form').style.display = 'none';
+    }
+
+    renderTemplateColumns() {
+        const fieldOptions = this.templateFields
+            .map(field => `<option value="${field.key}">${this.escapeHtml(field.label)}</option>`)
+            .join('');
+        const last = this.templateColumns.length - 1;
+
+        document.getElementById('export-template-columns').innerHTML = this.templateColumns.map((column, index) => `
+            <div class="template-column" data-column-index="${index}">
+                <input type="text" data-column-prop="header" value="${this.escapeAttribute(column.header)}" placeholder="Column header">
+                <span class="template-column-arrow">←</span>
+                ${column.source === 'constant'
+                    ? `<input type="text" data-column-prop="value" value="${this.escapeAttribute(column.value)}" placeholder="Value on every row">`
+                    : `<select data-column-prop="field">${fieldOptions}</select>`}
+                <label class="template-column-split" style="${column.source === 'field' && this.isMultiValueField(column.field) ? '' : 'display: none;'}">
+                    <input type="number" data-column-prop="split" min="0" max="20" value="${Number(column.split) || 0}"> columns
+                </label>
+                <div class="template-column-actions">
+                    <button type="button" class="directory-btn secondary" data-column-action="up" data-column-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="directory-btn secondary" data-column-action="down" data-column-index="${index}" title="Move down" ${index === last ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="directory-btn secondary" data-column-action="remove" data-column-index="${index}" title="Remove">&times;</button>
+                </div>
+                <small class="field-error" data-error-for="columns.${index}"></small>
+            </div>
+        `).join('');
+
+        document.querySelectorAll('#export-template-columns [data-column-prop="field"]').forEach(select => {
+            select.value = this.templateColumns[Number(select.closest('.template-column').dataset.columnIndex)].field;
+        });
+        this.updateTemplatePreview();
+    }
+
+    updateTemplatePreview() {
+        const headers = this.expandTemplateHeaders(this.templateColumns).map(header => header || '(no header)');
+        document.getElementById('export-template-preview').textContent = headers.length ? headers.join(', ') : 'no columns';
+    }
+
+    addTemplateColumn(source) {
+        this.templateColumns.push(source === 'constant'
+            ? { header: 'Lead Source', source: 'constant', field: '', value: 'Business Scraper', split: 0 }
+            : { header: '', source: 'field', field: 'name', value: '', split: 0 });
+        this.renderTemplateColumns();
+        const headers = document.querySelectorAll('#export-template-columns [data-column-prop="header"]');
+        headers[headers.length - 1].focus();
+    }
+
+    updateTemplateColumn(input) {
+        const row = input.closest('.template-column');
+        if (!row || !input.dataset.columnProp) {
+            return;
+        }
+
+        const column = this.templateColumns[Number(row.dataset.columnIndex)];
+        const prop = input.dataset.columnProp;
+        column[prop] = prop === 'split' ? Number(input.value) || 0 : input.value;
+
+        if (prop === 'field') {
+            const field = this.templateFields.find(candidate => candidate.key === input.value);
+            // Picking a field names an empty column after it
+            const header = row.querySelector('[data-column-prop="header"]');
+            if (!header.value.trim()) {
+                header.value = column.header = field.label;
+            }
+            row.querySelector('.template-column-split').style.display = field.multi ? '' : 'none';
+        }
+        this.updateTemplatePreview();
+    }
+
+    moveTemplateColumn(index, action) {
+        if (action === 'remove') {
+            this.templateColumns.splice(index, 1);
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= this.templateColumns.length) {
+                return;
+            }
+            [this.templateColumns[index], this.templateColumns[target]] = [this.templateColumns[target], this.templateColumns[index]];
+        }
+        this.renderTemplateColumns();
+    }
+
+    showExportTemplateErrors(errors) {
+        document.querySelectorAll('#export-template-form [data-error-for]').forEach(element => {
+            const message = errors[element.dataset.errorFor] || '';
+            element.textContent = message;
+            element.closest('.form-group, .template-column').classList.toggle('has-error', message !== '');
+        });
+    }
+
+    async saveExportTemplate(event) {
+        event.preventDefault();
+
+        const fields = {
+            name: document.getElementById('export-template-name').value,
+            format: document.getElementById('export-template-format').value,
+            columns: this.templateColumns
+        };
+
+        try {
+            const result = this.editingTemplateId
+                ? await window.electronAPI.updateExportTemplate(this.editingTemplateId, fields)
+                : await window.electronAPI.createExportTemplate(fields);
+
+            if (!result.success && result.errors) {
+                this.showExportTemplateErrors(result.errors);
+                return;
+            }
+            if (this.applyExportTemplatesResult(result, 'save')) {
+                this.hideExportTemplateForm();
+            }
+        } catch (error) {
+            this.showError('Failed to save export template: ' + error.message);
+        }
+    }
+
+    async showSchedulesModal() {
+        this.hideScheduleForm();
+        document.getElementById('schedules-modal').style.display = 'flex';
+        await this.refreshSchedules();
+    }
+
+    hideSchedulesModal() {
+        document.getElementById('schedules-modal').style.display = 'none';
+    }
+
+    async refreshSchedules() {
+        try {
+            const result = await window.electronAPI.listSchedules();
+            if (!result.success) {
+                this.showError('Failed to load scheduled searches: ' + result.error);
+                return;
+            }
+            this.schedules = result.schedules;
+            this.renderScheduleList();
+        } catch (error) {
+            this.showError('Failed to load scheduled searches: ' + error.message);
+        }
+    }
+
+    describeScheduleTiming(schedule) {
+        const day = document.querySelector(`#schedule-day option[value="${schedule.dayOfWeek}"]`);
+        const repeat = schedule.frequency === 'weekly' && day ? `Every ${day.textContent}` : 'Every day';
+        return `${repeat} at ${schedule.time}`;
+    }
+
+    describeScheduleRun(run) {
+        if (!run) {
+            return 'Not run yet';
+        }
+
+        const date = new Date(run.timestamp).toLocaleString();
+        if (run.status === 'failed') {
+            return `Last run ${date} failed: ${run.error}`;
+        }
+        if (run.status === 'cancelled') {
+            return `Last run ${date} was cancelled`;
+        }
+        if (run.baseline) {
+            return `First run ${date}: ${run.resultCount} businesses to compare future runs with`;
+        }
+
+        const names = (businesses) => businesses.slice(0, 5).map(business => business.name).join(', ')
+            + (businesses.length > 5 ? ` and ${businesses.length - 5} more` : '');
+        const changes = [];
+        if (run.added.length > 0) {
+            changes.push(`${run.added.length} new (${names(run.added)})`);
+        }
+        if (run.removed.length > 0) {
+            changes.push(`${run.removed.length} gone (${names(run.removed)})`);
+        }
+        return `Last run ${date}: ${changes.length ? changes.join(' · ') : 'no changes'}`;
+    }
+
+    renderScheduleList() {
+        const list = document.getElementById('schedule-list');
+        document.getElementById('schedules-empty').style.display = this.schedules.length ? 'none' : 'block';
+
+        list.innerHTML = '';
+        this.schedules.forEach(schedule => {
+            const profile = schedule.profileId ? this.profiles.find(candidate => candidate.id === schedule.profileId) : null;
+            const timing = [
+                this.describeScheduleTiming(schedule),
+                schedule.enabled ? `next ${new Date(schedule.nextRunAt).toLocaleString()}` : 'paused',
+                profile ? profile.name : null
+            ].filter(part => part);
+
+            const item = document.createElement('li');
+            item.className = 'history-entry';
+            item.innerHTML = `
+                <div>
+                    <div class="history-entry-title">
+                        ${this.escapeHtml(schedule.name)}${schedule.running ? '<span class="profile-badge">Running</span>' : ''}
+                    </div>
+                    <div class="history-entry-meta">${this.escapeHtml(timing.join(' · '))}</div>
+                    <div class="history-entry-meta">${this.escapeHtml(this.describeScheduleRun(schedule.lastRun))}</div>
+                </div>
+                <div class="history-entry-actions">
+                    ${schedule.lastRun && schedule.lastRun.historyId ? `<button class="action-button" data-schedule-action="load" data-schedule-id="${schedule.id}">Load</button>` : ''}
+                    <button class="action-button" data-schedule-action="run" data-schedule-id="${schedule.id}" ${schedule.running ? 'disabled' : ''}>Run Now</button>
+                    <button class="action-button" data-schedule-action="toggle" data-schedule-id="${schedule.id}">${schedule.enabled ? 'Pause' : 'Resume'}</button>
+                    <button class="action-button" data-schedule-action="edit" data-schedule-id="${schedule.id}">Edit</button>
+                    <button class="action-button secondary" data-schedule-action="delete" data-schedule-id="${schedule.id}">Delete</button>
+                </div>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    async handleScheduleAction(action, id) {
+        const schedule = this.schedules.find(candidate => candidate.id === id);
+        if (!schedule) {
+            return;
+        }
+
+        switch (action) {
+            case 'load':
+                this.hideSchedulesModal();
+                await this.loadHistoryEntry(schedule.lastRun.historyId);
+                break;
+            case 'run':
+                await this.runScheduleAction(() => window.electronAPI.runSchedule(id), 'start');
+                break;
+            case 'toggle':
+                await this.runScheduleAction(() => window.electronAPI.updateSchedule(id, { enabled: !schedule.enabled }), 'update');
+                break;
+            case 'edit':
+                this.editSchedule(id);
+                break;
+            case 'delete':
+                if (confirm(`Delete the scheduled search "${schedule.name}"?`)) {
+                    await this.runScheduleAction(() => window.electronAPI.deleteSchedule(id), 'delete');
+                    this.hideScheduleForm();
+                }
+                break;
+        }
+    }
+
+    async runScheduleAction(invoke, verb) {
+        try {
+            const result = await invoke();
+            if (!result.success) {
+                this.showError(`Failed to ${verb} scheduled search: ${result.error}`);
+                return;
+            }
+            this.schedules = result.schedules;
+            this.renderScheduleList();
+        } catch (error) {
+            this.showError(`Failed to ${verb} scheduled search: ${error.message}`);
+        }
+    }
+
+    // Opens the schedule form, for a new schedule filled in from the search form
+    editSchedule(id) {
+        const schedule = id ? this.schedules.find(candidate => candidate.id === id) : null;
+        const defaults = (this.effectiveSettings && this.effectiveSettings.search) || {};
+        const search = schedule ? schedule.searchParams : {
+            keyword: document.getElementById('keyword').value.trim(),
+            location: document.getElementById('location').value.trim(),
+            maxResults: parseInt(document.getElementById('max-results').value, 10) || defaults.maxResults,
+            outputFormat: document.getElementById('output-format').value,
+            enableWebScraping: document.getElementById('enable-web-scraping').checked
+        };
+
+        this.editingScheduleId = schedule ? schedule.id : null;
+        document.getElementById('schedule-form-title').textContent = schedule ? `Edit ${schedule.name}` : 'New Schedule';
+        document.getElementById('schedule-keyword').value = search.keyword || '';
+        document.getElementById('schedule-location').value = search.location || '';
+        document.getElementById('schedule-name').value = schedule ? schedule.name : '';
+        document.getElementById('schedule-frequency').value = schedule ? schedule.frequency : 'weekly';
+        document.getElementById('schedule-day').value = schedule && schedule.dayOfWeek !== null ? schedule.dayOfWeek : 1;
+        document.getElementById('schedule-day-group').style.display = !schedule || schedule.frequency === 'weekly' ? '' : 'none';
+        document.getElementById('schedule-time').value = schedule ? schedule.time : '08:00';
+        document.getElementById('schedule-max-results').value = search.maxResults || '';
+        document.getElementById('schedule-output-format').value = search.outputFormat || 'csv';
+        document.getElementById('schedule-web-scraping').checked = search.enableWebScraping !== false;
+        document.getElementById('schedule-enabled').checked = schedule ? schedule.enabled : true;
+
+        const profileSelect = document.getElementById('schedule-profile');
+        profileSelect.innerHTML = '<option value="">Active profile</option>' + this.profiles
+            .map(profile => `<option value="${this.escapeAttribute(profile.id)}">${this.escapeHtml(profile.name)}</option>`)
+            .join('');
+        profileSelect.value = (schedule && schedule.profileId) || '';
+
+        this.showScheduleErrors({});
+        document.getElementById('schedule-form').style.display = 'flex';
+        document.getElementById('schedule-keyword').focus();
+    }
+
+    hideScheduleForm() {
+        this.editingScheduleId = null;
+        document.getElementById('schedule-form').style.display = 'none';
+    }
+
+    showScheduleErrors(errors) {
+        document.querySelectorAll('#schedule-form [data-error-for]').forEach(element => {
+            const message = errors[element.dataset.errorFor] || '';
+            element.textContent = message;
+            element.closest('.form-group').classList.toggle('has-error', message !== '');
+        });
+    }
+
+    async saveSchedule(event) {
+        event.preventDefault();
+
+        const fields = {
+            name: document.getElementById('schedule-name').value,
+            keyword: document.getElementById('schedule-keyword').value,
+            location: document.getElementById('schedule-location').value,
+            maxResults: Number(document.getElementById('schedule-max-results').value),
+            outputFormat: document.getElementById('schedule-output-format').value,
+            enableWebScraping: document.getElementById('schedule-web-scraping').checked,
+            profileId: document.getElementById('schedule-profile').value || null,
+            frequency: document.getElementById('schedule-frequency').value,
+            dayOfWeek: Number(document.getElementById('schedule-day').value),
+            time: document.getElementById('schedule-time').value,
+            enabled: document.getElementById('schedule-enabled').checked
+        };
+
+        try {
+            const result = this.editingScheduleId
+                ? await window.electronAPI.updateSchedule(this.editingScheduleId, fields)
+                : await window.electronAPI.createSchedule(fields);
+
+            if (!result.success) {
+                if (result.errors) {
+                    this.showScheduleErrors(result.errors);
+                } else {
+                    this.showError('Failed to save scheduled search: ' + result.error);
+                }
+                return;
+            }
+
+            this.schedules = result.schedules;
+            this.hideScheduleForm();
+            this.renderScheduleList();
+        } catch (error) {
+            this.showError('Failed to save scheduled search: ' + error.message);
+        }
+    }
+
+    // A clicked notification shows that run's results, or the schedules when history is off
+    async openScheduleNotification(historyId) {
+        if (historyId && !this.isSearching) {
+            await this.loadHistoryEntry(historyId);
+            return;
+        }
+        await this.showSchedulesModal();
+    }
+
+    showConfigModal() {
+        const modal = document.getElementById('config-modal');
+        if (this.settings) {
+            this.fillSettingsForm(this.settings);
+        }
+        this.showSettingsErrors({});
+        modal.style.display = 'flex';
+        document.getElementById('api-key').focus();
+    }
+
+    hideConfigModal() {
+        const modal = document.getElementById('config-modal');
+        modal.style.display = 'none';
+    }
+
+    async handleConfigSave(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const config = {
+            apiKey: formData.get('apiKey').trim()
+        };
+
+        if (!config.apiKey && !this.hasSavedApiKey) {
+            this.showSettingsErrors({ apiKey: 'Please enter a valid API key' });
+            return;
+        }
+
+        try {
+            const settingsResult = await window.electronAPI.saveSettings(this.readSettingsForm());
+            if (!settingsResult.success) {
+                if (settingsResult.errors) {
+                    this.showSettingsErrors(settingsResult.errors);
+                } else {
+                    this.showError('Failed to save settings: ' + settingsResult.error);
+                }
+                return;
+            }
+            this.showSettingsErrors({});
+            this.settings = settingsResult.settings;
+            this.effectiveSettings = settingsResult.effective;
+            this.apiStatus = settingsResult.apiStatus;
+            this.applySettingsToSearchForm();
+            await this.setDefaultOutputDirectory();
+
+            // Leaving the key field empty keeps the saved key
+            const result = config.apiKey ? await window.electronAPI.saveConfig(config) : { success: true };
+
+            if (result.success) {
+                if (this.apiStatus && this.apiStatus.error) {
+                    // Keep the dialog open so another port can be picked
+                    this.fillSettingsForm(this.settings);
+                    this.showError(`Settings saved, but the local API could not start: ${this.apiStatus.error}`);
+                } else {
+                    this.hideConfigModal();
+                    this.showSuccess('Settings saved successfully.');
+                }
+                await this.loadProfiles();
+                
+                // Reloading clears the typed key and validates the saved one
+                await this.loadConfiguration();
+                
+                // Reset to idle after a brief moment
+                setTimeout(() => {
+                    if (this.currentStage === 'complete') {
+                        this.setStatusState('idle');
+                    }
+                }, 2000);
+            } else {
+                // Provide more helpful error messages for permission issues
+                let errorMessage = result.error;
+                if (errorMessage.includes('EPERM') || errorMessage.includes('operation not permitted')) {
+                    errorMessage = `Permission denied when saving configuration. This can happen with MSI installations. 
+                    Try one of these solutions:
+                    • Run the application as administrator
+                    • Check that your Documents folder is writable
+                    • Contact support if the issue persists
+                    
+                    Technical details: ${result.error}`;
+                }
+                this.showError('Failed to save configuration: ' + errorMessage);
+            }
+        } catch (error) {
+            this.showError('Failed to save configuration: ' + error.message);
+        }
+    }
+
+    async showHistoryModal() {
+        document.getElementById('history-modal').style.display = 'flex';
+        await this.refreshHistoryList();
+    }
+
+    hideHistoryModal() {
+        document.getElementById('history-modal').style.display = 'none';
+    }
+
+    async refreshHistoryList() {
+        try {
+            const result = await window.electronAPI.listHistory();
+            if (!result.success) {
+                this.showError('Failed to load search history: ' + result.error);
+                return;
+            }
+            this.renderHistoryList(result.entries);
+        } catch (error) {
+            this.showError('Failed to load search history: ' + error.message);
+        }
+    }
+
+    renderHistoryList(entries) {
+        const list = document.getElementById('history-list');
+        document.getElementById('history-empty').style.display = entries.length ? 'none' : 'block';
+        document.getElementById('clear-history-btn').disabled = entries.length === 0;
+
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'history-entry';
+            const date = new Date(entry.timestamp).toLocaleString();
+            const count = `${entry.resultCount} result${entry.resultCount !== 1 ? 's' : ''}`;
+            const profile = entry.profile ? ` · ${this.escapeHtml(entry.profile.name)}` : '';
+
+            item.innerHTML = `
+                <div>
+                    <div class="history-entry-title">${this.escapeHtml(entry.params.keyword)} · ${this.escapeHtml(entry.params.location)}</div>
+                    <div class="history-entry-meta">${this.escapeHtml(date)} · ${count} · ${this.escapeHtml(entry.params.outputFormat.toUpperCase())}${profile}</div>
+                </div>
+                <div class="history-entry-actions">
+                    <button class="action-button" data-history-action="load" data-history-id="${entry.id}">Load</button>
+                    <button class="action-button" data-history-action="rerun" data-history-id="${entry.id}">Re-run</button>
+                    <button class="action-button secondary" data-history-action="delete" data-history-id="${entry.id}">Delete</button>
+                </div>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    async handleHistoryAction(action, id) {
+        switch (action) {
+            case 'load':
+                await this.loadHistoryEntry(id);
+                break;
+            case 'rerun':
+                await this.rerunHistoryEntry(id);
+                break;
+            case 'delete':
+                await this.deleteHistoryEntry(id);
+                break;
+        }
+    }
+
+    async loadHistoryEntry(id) {
+        if (this.isSearching) {
+            this.showError('Wait for the current search to finish before loading history');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.getHistoryEntry(id);
+            if (!result.success) {
+                this.showError('Failed to load history entry: ' + result.error);
+                return;
+            }
+
+            const { entry } = result;
+            this.hideHistoryModal();
+            this.clearResults();
+            this.showResults(
+                { csvData: entry.rows, outputFile: result.outputFileExists ? entry.outputFile : null },
+                `Loaded search from ${new Date(entry.timestamp).toLocaleString()}`
+            );
+        } catch (error) {
+            this.showError('Failed to load history entry: ' + error.message);
+        }
+    }
+
+    // Offers the current results and every search in the history as merge sources
+    async showMergeModal() {
+        this.mergeSources = [];
+        this.mergeReview = null;
+
+        if (this.lastSearchResults.length > 0) {
+            this.mergeSources.push({
+                id: 'current',
+                label: 'Current results',
+                meta: `${this.lastSearchResults.length} result${this.lastSearchResults.length !== 1 ? 's' : ''}`,
+                rows: this.lastSearchResults,
+                selected: true
+            });
+        }
+
+        try {
+            const result = await window.electronAPI.listHistory();
+            if (result.success) {
+                result.entries.forEach(entry => {
+                    this.mergeSources.push({
+                        id: `history-${entry.id}`,
+                        historyId: entry.id,
+                        label: `${entry.params.keyword} · ${entry.params.location}`,
+                        meta: `${new Date(entry.timestamp).toLocaleString()} · ${entry.resultCount} result${entry.resultCount !== 1 ? 's' : ''}`,
+                        rows: null,
+                        selected: false
+                    });
+                });
+            }
+        } catch (error) {
+            console.warn('Could not load search history for merging:', error.message);
+        }
+
+        this.renderMergeSources();
+        this.showMergeStep('sources');
+        document.getElementById('merge-modal').style.display = 'flex';
+    }
+
+    hideMergeModal() {
+        document.getElementById('merge-modal').style.display = 'none';
+        this.mergeReview = null;
+    }
+
+    showMergeStep(step) {
+        document.getElementById('merge-sources-step').style.display = step === 'sources' ? 'block' : 'none';
+        document.getElementById('merge-review-step').style.display = step === 'review' ? 'block' : 'none';
+    }
+
+    renderMergeSources() {
+        const list = document.getElementById('merge-source-list');
+        if (this.mergeSources.length === 0) {
+            list.innerHTML = '<li class="history-empty">No result sets yet. Add files or run some searches first.</li>';
+            return;
+        }
+
+        list.innerHTML = this.mergeSources.map(source => `
+            <li class="merge-source">
+                <input type="checkbox" data-merge-source="${this.escapeAttribute(source.id)}" ${source.selected ? 'checked' : ''}>
+                <div>
+                    <div>${this.escapeHtml(source.label)}</div>
+                    <div class="merge-source-meta">${this.escapeHtml(source.meta)}</div>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    async addMergeFiles() {
+        try {
+            const selection = await window.electronAPI.selectResultsFile(
+                document.getElementById('output-directory').value,
+                { multiple: true }
+            );
+            if (!selection.success) {
+                if (!selection.canceled) {
+                    this.showError('Failed to add files: ' + selection.error);
+                }
+                return;
+            }
+
+            for (const filePath of selection.filePaths) {
+                const result = await window.electronAPI.readResultsFile(filePath);
+                if (!result.success) {
+                    this.showError(`Failed to read ${filePath}: ${result.error}`);
+                    continue;
+                }
+
+                this.mergeSources.push({
+                    id: `file-${this.mergeSources.length}-${filePath}`,
+                    label: filePath.split(/[\\/]/).pop(),
+                    meta: `${result.format.toUpperCase()} file · ${result.data.length} result${result.data.length !== 1 ? 's' : ''}`,
+                    rows: result.data.map(row => this.normalizeBusiness(row)),
+                    selected: true
+                });
+            }
+
+            this.renderMergeSources();
+        } catch (error) {
+            this.showError('Failed to add files: ' + error.message);
+        }
+    }
+
+    async findMergeDuplicates() {
+        const selected = this.mergeSources.filter(source => source.selected);
+        if (selected.length === 0) {
+            this.showError('Select at least one result set to merge');
+            return;
+        }
+
+        try {
+            // History rows are only fetched once they are needed
+            for (const source of selected) {
+                if (!source.rows) {
+                    const result = await window.electronAPI.getHistoryEntry(source.historyId);
+                    if (!result.success) {
+                        this.showError(`Failed to load "${source.label}": ${result.error}`);
+                        return;
+                    }
+                    source.rows = result.entry.rows.map(row => this.normalizeBusiness(row));
+                }
+            }
+
+            const rows = [];
+            const sourceLabels = [];
+            selected.forEach(source => {
+                source.rows.forEach(row => {
+                    rows.push(row);
+                    sourceLabels.push(source.label);
+                });
+            });
+
+            const result = await window.electronAPI.findDuplicates(rows);
+            if (!result.success) {
+                this.showError('Failed to find duplicates: ' + result.error);
+                return;
+            }
+
+            const decisions = {};
+            result.proposals.forEach(proposal => {
+                decisions[proposal.id] = true;
+            });
+
+            this.mergeReview = {
+                rows: rows,
+                sourceLabels: sourceLabels,
+                sourceCount: selected.length,
+                proposals: result.proposals,
+                decisions: decisions
+            };
+            this.renderMergeReview();
+            this.showMergeStep('review');
+        } catch (error) {
+            this.showError('Failed to find duplicates: ' + error.message);
+        }
+    }
+
+    renderMergeReview() {
+        const { rows, sourceLabels, proposals, decisions } = this.mergeReview;
+        const accepted = proposals.filter(proposal => decisions[proposal.id]);
+        const removedCount = accepted.reduce((sum, proposal) => sum + proposal.indices.length - 1, 0);
+
+        document.getElementById('merge-summary').textContent = proposals.length === 0
+            ? `No duplicates found in ${rows.length} results`
+            : `${accepted.length} of ${proposals.length} merges accepted · ${rows.length - removedCount} businesses after merging`;
+
+        const recordRow = (business, source, className = '') => `
+            <tr class="${className}">
+                <td>${this.escapeHtml(business.name)}</td>
+                <td>${this.escapeHtml(business.address || '-')}</td>
+                <td>${this.escapeHtml(business.phone || '-')}</td>
+                <td>${this.escapeHtml(business.website || '-')}</td>
+                <td class="merge-source-meta">${this.escapeHtml(source)}</td>
+            </tr>
+        `;
+
+        document.getElementById('merge-proposal-list').innerHTML = proposals.map(proposal => {
+            const isAccepted = decisions[proposal.id];
+            return `
+                <li class="merge-proposal ${isAccepted ? '' : 'rejected'}">
+                    <div class="merge-proposal-header">
+                        <div class="merge-reasons">${proposal.reasons.map(reason => this.escapeHtml(reason.message)).join(' · ')}</div>
+                        <div class="merge-decision">
+                            <button type="button" class="action-button ${isAccepted ? '' : 'secondary'}" data-merge-decision="accept" data-proposal-id="${proposal.id}">Accept</button>
+                            <button type="button" class="action-button ${isAccepted ? 'secondary' : ''}" data-merge-decision="reject" data-proposal-id="${proposal.id}">Reject</button>
+                        </div>
+                    </div>
+                    <table class="merge-records">
+                        ${proposal.indices.map(index => recordRow(rows[index], sourceLabels[index])).join('')}
+                        ${isAccepted ? recordRow(proposal.merged, 'Merged', 'merge-result') : ''}
+                    </table>
+                </li>
+            `;
+        }).join('');
+    }
+
+    setAllMergeDecisions(accept) {
+        this.mergeReview.proposals.forEach(proposal => {
+            this.mergeReview.decisions[proposal.id] = accept;
+        });
+        this.renderMergeReview();
+    }
+
+    async applyMergeReview() {
+        const { rows, proposals, decisions, sourceCount } = this.mergeReview;
+        const groups = proposals
+            .filter(proposal => decisions[proposal.id])
+            .map(proposal => proposal.indices);
+
+        try {
+            const result = await window.electronAPI.applyMerges({ rows: rows, groups: groups });
+            if (!result.success) {
+                this.showError('Failed to merge results: ' + result.error);
+                return;
+            }
+
+            const mergedCount = rows.length - result.rows.length;
+            this.hideMergeModal();
+            this.clearResults();
+            this.showResults(
+                { csvData: result.rows },
+                `Combined ${sourceCount} result set${sourceCount !== 1 ? 's' : ''} into ${result.rows.length} businesses (${mergedCount} duplicate${mergedCount !== 1 ? 's' : ''} merged)`
+            );
+        } catch (error) {
+            this.showError('Failed to merge results: ' + error.message);
+        }
+    }
+
+    // Offers the current results and every search in the history, newest first
+    async showCompareModal() {
+        this.compareSources = [];
+        this.comparison = null;
+
+        if (this.lastSearchResults.length > 0) {
+            this.compareSources.push({
+                id: 'current',
+                label: `Current results (${this.lastSearchResults.length})`,
+                rows: this.lastSearchResults
+            });
+        }
+
+        try {
+            const result = await window.electronAPI.listHistory();
+            if (result.success) {
+                result.entries.forEach(entry => {
+                    this.compareSources.push({
+                        id: `history-${entry.id}`,
+                        historyId: entry.id,
+                        searchKey: `${entry.params.keyword}|${entry.params.location}`.toLowerCase(),
+                        label: `${entry.params.keyword} · ${entry.params.location} · ${new Date(entry.timestamp).toLocaleString()} (${entry.resultCount})`,
+                        rows: null
+                    });
+                });
+            }
+        } catch (error) {
+            console.warn('Could not load search history for comparing:', error.message);
+        }
+
+        this.renderCompareSources();
+        this.showCompareStep('sources');
+        document.getElementById('compare-modal').style.display = 'flex';
+    }
+
+    hideCompareModal() {
+        document.getElementById('compare-modal').style.display = 'none';
+        this.comparison = null;
+    }
+
+    showCompareStep(step) {
+        document.getElementById('compare-sources-step').style.display = step === 'sources' ? 'block' : 'none';
+        document.getElementById('compare-review-step').style.display = step === 'review' ? 'block' : 'none';
+    }
+
+    // Defaults to the newest set against the previous run of the same search
+    renderCompareSources(selected = {}) {
+        const options = this.compareSources
+            .map(source => `<option value="${this.escapeAttribute(source.id)}">${this.escapeHtml(source.label)}</option>`)
+            .join('');
+        const beforeSelect = document.getElementById('compare-before');
+        const afterSelect = document.getElementById('compare-after');
+        beforeSelect.innerHTML = options;
+        afterSelect.innerHTML = options;
+        document.getElementById('compare-run-btn').disabled = this.compareSources.length < 2;
+
+        const after = this.compareSources.find(source => source.id === selected.after) || this.compareSources[0];
+        if (!after) {
+            return;
+        }
+        const candidates = this.compareSources.filter(source => source !== after);
+        const before = candidates.find(source => source.id === selected.before)
+            || candidates.find(source => after.searchKey && source.searchKey === after.searchKey)
+            || candidates[0];
+        afterSelect.value = after.id;
+        if (before) {
+            beforeSelect.value = before.id;
+        }
+    }
+
+    async addCompareFiles() {
+        try {
+            const selection = await window.electronAPI.selectResultsFile(
+                document.getElementById('output-directory').value,
+                { multiple: true }
+            );
+            if (!selection.success) {
+                if (!selection.canceled) {
+                    this.showError('Failed to add files: ' + selection.error);
+                }
+                return;
+            }
+
+            const selected = {
+                before: document.getElementById('compare-before').value,
+                after: document.getElementById('compare-after').value
+            };
+            for (const filePath of selection.filePaths) {
+                const result = await window.electronAPI.readResultsFile(filePath);
+                if (!result.success) {
+                    this.showError(`Failed to read ${filePath}: ${result.error}`);
+                    continue;
+                }
+
+                this.compareSources.push({
+                    id: `file-${this.compareSources.length}-${filePath}`,
+                    label: `${filePath.split(/[\\/]/).pop()} (${result.data.length})`,
+                    rows: result.data.map(row => this.normalizeBusiness(row))
+                });
+            }
+
+            this.renderCompareSources(selected);
+        } catch (error) {
+            this.showError('Failed to add files: ' + error.message);
+        }
+    }
+
+    async loadCompareSource(id) {
+        const source = this.compareSources.find(candidate => candidate.id === id);
+        // History rows are only fetched once they are needed
+        if (!source.rows) {
+            const result = await window.electronAPI.getHistoryEntry(source.historyId);
+            if (!result.success) {
+                throw new Error(`Failed to load "${source.label}": ${result.error}`);
+            }
+            source.rows = result.entry.rows.map(row => this.normalizeBusiness(row));
+        }
+        return source;
+    }
+
+    async runComparison() {
+        const beforeId = document.getElementById('compare-before').value;
+        const afterId = document.getElementById('compare-after').value;
+        if (!beforeId || !afterId || beforeId === afterId) {
+            this.showError('Choose two different result sets to compare');
+            return;
+        }
+
+        try {
+            const before = await this.loadCompareSource(beforeId);
+            const after = await this.loadCompareSource(afterId);
+            const result = await window.electronAPI.compareResults({ before: before.rows, after: after.rows });
+            if (!result.success) {
+                this.showError('Failed to compare results: ' + result.error);
+                return;
+            }
+
+            this.comparison = { before, after, result: result.comparison };
+            this.renderComparison();
+            this.showCompareStep('review');
+        } catch (error) {
+            this.showError('Failed to compare results: ' + error.message);
+        }
+    }
+
+    renderComparison() {
+        const { rows, counts } = this.comparison.result;
+        document.getElementById('compare-summary').textContent =
+            `${counts.added} new · ${counts.removed} gone · ${counts.modified} changed · ${counts.unchanged} unchanged`;
+
+        const shown = new Set(Array.from(document.querySelectorAll('[data-compare-filter]:checked'))
+            .map(checkbox => checkbox.dataset.compareFilter));
+        const labels = { added: 'New', removed: 'Gone', modified: 'Changed', unchanged: 'Unchanged' };
+        const columns = ['name', 'address', 'phone', 'email', 'website', 'rating', 'reviews'];
+        const otherLabels = {
+            additional_numbers: 'Additional numbers',
+            additional_emails: 'Additional emails',
+            social_media_links: 'Social links'
+        };
+
+        const visibleRows = rows.filter(row => shown.has(row.status));
+        const tbody = document.getElementById('compare-rows');
+        if (visibleRows.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="${columns.length + 2}" class="compare-empty">No businesses to show</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = visibleRows.map(row => {
+            const business = row.after || row.before;
+            const changes = new Map(row.changes.map(change => [change.field, change]));
+            const cells = columns.map(field => {
+                const change = changes.get(field);
+                if (change) {
+                    return `<td class="diff-changed"><del>${this.escapeHtml(change.before || '—')}</del><ins>${this.escapeHtml(change.after || '—')}</ins></td>`;
+                }
+                return `<td>${this.escapeHtml(business[field] || '')}</td>`;
+            }).join('');
+            const other = Object.keys(otherLabels)
+                .filter(field => changes.has(field))
+                .map(field => `${otherLabels[field]}: <del>${this.escapeHtml(changes.get(field).before || '—')}</del><ins>${this.escapeHtml(changes.get(field).after || '—')}</ins>`)
+                .join('');
+
+            return `
+                <tr class="diff-${row.status}">
+                    <td>${labels[row.status]}</td>
+                    ${cells}
+                    <td class="${other ? 'diff-changed' : ''}">${other}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async exportComparison(format) {
+        if (!this.comparison) {
+            return;
+        }
+
+        const { before, after } = this.comparison;
+        try {
+            const result = await window.electronAPI.exportComparison({
+                before: before.rows,
+                after: after.rows,
+                format: format,
+                sources: { before: before.label, after: after.label },
+                defaultDirectory: document.getElementById('output-directory').value
+            });
+            if (result.success) {
+                this.showSuccess(`Comparison exported to ${result.filePath}`);
+            } else if (!result.canceled) {
+                this.showError('Failed to export comparison: ' + result.error);
+            }
+        } catch (error) {
+            this.showError('Failed to export comparison: ' + error.message);
+        }
+    }
+
+    setResultsView(view) {
+        this.resultsView = view;
+        document.getElementById('results-title').textContent = view === 'leads' ? 'Lead Database' : 'Search Results';
+    }
+
+    // Shows every business the lead database has collected, most recently seen first
+    async showLeadDatabase() {
+        if (this.isSearching) {
+            this.showError('Wait for the current search to finish before opening the lead database');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.listLeads();
+            if (!result.success) {
+                this.showError('Failed to load lead database: ' + result.error);
+                return;
+            }
+
+            this.clearResults();
+            if (result.leads.length === 0) {
+                this.setResultsView('leads');
+                this.displayNoResults('The lead database is empty. Every completed search adds its businesses here.');
+                return;
+            }
+
+            const businesses = result.leads.map(lead => ({
+                ...lead.business,
+                leadId: lead.id,
+                firstSeen: lead.firstSeen,
+                lastSeen: lead.lastSeen,
+                timesSeen: lead.timesSeen,
+                searches: lead.searches,
+                status: lead.status,
+                tags: lead.tags.join(', '),
+                notes: lead.notes
+            }));
+            this.showResults(
+                { businesses: businesses, view: 'leads' },
+                `Lead database: ${businesses.length} business${businesses.length !== 1 ? 'es' : ''}`
+            );
+        } catch (error) {
+            this.showError('Failed to load lead database: ' + error.message);
+        }
+    }
+
+    async deleteLead(business) {
+        if (!business || !business.leadId) {
+            return;
+        }
+        if (!confirm(`Remove "${business.name}" from the lead database?`)) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.deleteLead(business.leadId);
+            if (!result.success) {
+                this.showError('Failed to remove lead' + (result.error ? ': ' + result.error : ''));
+                return;
+            }
+
+            this.hideBusinessDetail();
+            this.checkedBusinesses.delete(business);
+            this.lastSearchResults = this.lastSearchResults.filter(item => item !== business);
+            this.renderResultsTable();
+        } catch (error) {
+            this.showError('Failed to remove lead: ' + error.message);
+        }
+    }
+
+    setupFileDrop() {
+        const overlay = document.getElementById('drop-overlay');
+        // dragenter/dragleave fire for every child element, so count them
+        let dragDepth = 0;
+
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        document.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) {
+                return;
+            }
+            e.preventDefault();
+            dragDepth++;
+            overlay.style.display = 'flex';
+        });
+        document.addEventListener('dragover', (e) => {
+            if (hasFiles(e)) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) {
+                return;
+            }
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                overlay.style.display = 'none';
+            }
+        });
+        document.addEventListener('drop', (e) => {
+            // Without this Electron navigates to the dropped file
+            e.preventDefault();
+            dragDepth = 0;
+            overlay.style.display = 'none';
+
+            const files = e.dataTransfer ? Array.from(e.dataTransfer.files) : [];
+            if (files.length === 0) {
+                return;
+            }
+            if (files.length > 1) {
+                this.showError('Drop one results file at a time');
+                return;
+            }
+            this.openResultsFile(files[0].path);
         });
     }
 
-    async loadConfiguration() {
+    async openResultsDialog() {
         try {
-            const result = await window.electronAPI.loadConfig();
-            if (result.success && result.config) {
-                const apiKeyField = document.getElementById('api-key');
-                if (result.config.apiKey) {
-                    apiKeyField.value = result.config.apiKey;
-                }
+            const result = await window.electronAPI.selectResultsFile(document.getElementById('output-directory').value);
+            if (result.success) {
+                await this.openResultsFile(result.filePath);
+            } else if (!result.canceled) {
+                this.showError('Failed to open results: ' + result.error);
             }
-            // Check API key validity after loading
-            this.validateApiKey();
         } catch (error) {
-            console.error('Failed to load configuration:', error);
-            this.validateApiKey();
+            this.showError('Failed to open results: ' + error.message);
         }
     }
 
-    validateApiKey() {
-        const apiKeyField = document.getElementById('api-key');
-        const searchBtn = document.getElementById('search-btn');
-        const apiKey = apiKeyField ? apiKeyField.value : '';
-        
-        const isValidApiKey = apiKey && 
-                             apiKey.trim() !== '' && 
-                             apiKey.trim() !== 'YOUR_API_KEY_HERE';
-        
-        if (!isValidApiKey) {
-            // Show API key error status
-            this.setStatusState('api-key-error');
-            
-            // Disable search button and add tooltip
-            searchBtn.disabled = true;
-            searchBtn.classList.add('disabled');
-            searchBtn.title = 'You must set an API key before you begin searching';
-        } else {
-            // API key is valid, enable search
-            if (this.currentStage === 'api-key-error') {
-                this.setStatusState('idle');
-            }
-            
-            // Enable search button and remove tooltip
-            searchBtn.disabled = false;
-            searchBtn.classList.remove('disabled');
-            searchBtn.title = '';
+    async openResultsFile(filePath) {
+        if (this.isSearching) {
+            this.showError('Wait for the current search to finish before opening a results file');
+            return;
         }
-        
-        return isValidApiKey;
-    }
 
-    async setDefaultOutputDirectory() {
         try {
-            const paths = await window.electronAPI.getAppPaths();
-            const outputDirField = document.getElementById('output-directory');
-            if (!outputDirField.value) {
-                outputDirField.value = paths.documents;
+            const result = await window.electronAPI.readResultsFile(filePath);
+            if (!result.success) {
+                this.showError('Failed to open results: ' + result.error);
+                return;
+            }
+
+            const fileName = filePath.split(/[\\/]/).pop();
+            this.clearResults();
+
+            if (result.data.length === 0) {
+                this.displayNoResults(`No businesses found in ${fileName}.`);
+                this.showParseIssues(result.issues);
+                return;
             }
+
+            this.showResults(
+                { csvData: result.data, csvIssues: result.issues, outputFile: result.filePath },
+                `Loaded ${result.data.length} result${result.data.length !== 1 ? 's' : ''} from ${fileName}`
+            );
         } catch (error) {
-            console.error('Failed to set default output directory:', error);
+            this.showError('Failed to open results: ' + error.message);
         }
     }
 
-    showConfigModal() {
-        const modal = document.getElementById('config-modal');
-        modal.style.display = 'flex';
-        document.getElementById('api-key').focus();
-    }
+    async rerunHistoryEntry(id) {
+        if (this.isSearching) {
+            this.showError('A search is already running');
+            return;
+        }
 
-    hideConfigModal() {
-        const modal = document.getElementById('config-modal');
-        modal.style.display = 'none';
-    }
+        if (!this.validateApiKey()) {
+            this.hideHistoryModal();
+            return;
+        }
 
-    async handleConfigSave(event) {
-        event.preventDefault();
+        try {
+            const result = await window.electronAPI.getHistoryEntry(id);
+            if (!result.success) {
+                this.showError('Failed to load history entry: ' + result.error);
+                return;
+            }
 
-        const formData = new FormData(event.target);
-        const config = {
-            apiKey: formData.get('apiKey')
-        };
+            const { params } = result.entry;
+
+            // Mirror the parameters in the form so the user sees what is running
+            this.setSearchMode('single');
+            document.getElementById('keyword').value = params.keyword;
+            document.getElementById('location').value = params.location;
+            document.getElementById('max-results').value = params.maxResults;
+            document.getElementById('output-format').value = params.outputFormat;
+            document.getElementById('enable-web-scraping').checked = params.enableWebScraping;
+            if (params.outputDirectory) {
+                document.getElementById('output-directory').value = params.outputDirectory;
+            }
 
-        if (!config.apiKey.trim()) {
-            this.showError('Please enter a valid API key');
-            return;
+            this.hideHistoryModal();
+            this.startSearch({ ...params });
+        } catch (error) {
+            this.showError('Failed to re-run search: ' + error.message);
         }
+    }
 
+    async deleteHistoryEntry(id) {
         try {
-            const result = await window.electronAPI.saveConfig(config);
-
-            if (result.success) {
-                this.hideConfigModal();
-                this.showSuccess('Configuration saved successfully.');
-                
-                // Validate API key after saving
-                this.validateApiKey();
-                
-                // Reset to idle after a brief moment
-                setTimeout(() => {
-                    if (this.currentStage === 'complete') {
-                        this.setStatusState('idle');
-                    }
-                }, 2000);
-            } else {
-                // Provide more helpful error messages for permission issues
-                let errorMessage = result.error;
-                if (errorMessage.includes('EPERM') || errorMessage.includes('operation not permitted')) {
-                    errorMessage = `Permission denied when saving configuration. This can happen with MSI installations. 
-                    Try one of these solutions:
-                    • Run the application as administrator
-                    • Check that your Documents folder is writable
-                    • Contact support if the issue persists
-                    
-                    Technical details: ${result.error}`;
-                }
-                this.showError('Failed to save configuration: ' + errorMessage);
+            const result = await window.electronAPI.deleteHistoryEntry(id);
+            if (!result.success) {
+                this.showError('Failed to delete history entry: ' + result.error);
+                return;
             }
+            await this.refreshHistoryList();
         } catch (error) {
-            this.showError('Failed to save configuration: ' + error.message);
+            this.showError('Failed to delete history entry: ' + error.message);
+        }
+    }
+
+    async clearHistory() {
+        if (!confirm('Delete all saved searches from history?')) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.clearHistory();
+            await this.refreshHistoryList();
+        } catch (error) {
+            this.showError('Failed to clear history: ' + error.message);
         }
     }
 
@@ -213,6 +2578,12 @@ class BusinessScraperApp {
         }
 
         const formData = new FormData(event.target);
+
+        if (this.searchMode === 'batch') {
+            this.handleBatchSearch(formData);
+            return;
+        }
+
         const searchParams = {
             keyword: formData.get('keyword'),
             location: formData.get('location'),
@@ -236,6 +2607,167 @@ class BusinessScraperApp {
         this.startSearch(searchParams);
     }
 
+    setSearchMode(mode) {
+        this.searchMode = mode;
+
+        document.querySelectorAll('.mode-option').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+
+        const isBatch = mode === 'batch';
+        document.getElementById('single-fields').style.display = isBatch ? 'none' : 'flex';
+        document.getElementById('batch-fields').style.display = isBatch ? 'flex' : 'none';
+
+        // Single-search fields are only required in single mode
+        document.getElementById('keyword').required = !isBatch;
+        document.getElementById('location').required = !isBatch;
+
+        document.querySelector('#search-btn .button-text').textContent = isBatch ? 'Start Batch' : 'Start Search';
+        this.updateBatchSummary();
+    }
+
+    getBatchLines(fieldId) {
+        const lines = document.getElementById(fieldId).value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line);
+        return [...new Set(lines)];
+    }
+
+    updateBatchSummary() {
+        const keywords = this.getBatchLines('batch-keywords');
+        const locations = this.getBatchLines('batch-locations');
+        const total = keywords.length * locations.length;
+
+        document.getElementById('batch-summary').textContent =
+            `${total} search${total !== 1 ? 'es' : ''} will be queued (${keywords.length} keyword${keywords.length !== 1 ? 's' : ''} × ${locations.length} location${locations.length !== 1 ? 's' : ''})`;
+    }
+
+    async importList(targetId) {
+        try {
+            const result = await window.electronAPI.importListFile();
+            if (!result.success) {
+                return;
+            }
+
+            const field = document.getElementById(targetId);
+            const existing = field.value.trim();
+            field.value = (existing ? existing + '\n' : '') + result.items.join('\n');
+            this.updateBatchSummary();
+        } catch (error) {
+            this.showError('Failed to import list: ' + error.message);
+        }
+    }
+
+    handleBatchSearch(formData) {
+        const batchParams = {
+            keywords: this.getBatchLines('batch-keywords'),
+            locations: this.getBatchLines('batch-locations'),
+            maxResults: parseInt(formData.get('maxResults')),
+            outputFormat: formData.get('outputFormat'),
+            outputDirectory: formData.get('outputDirectory'),
+            enableWebScraping: formData.has('enableWebScraping')
+        };
+
+        if (batchParams.keywords.length === 0 || batchParams.locations.length === 0) {
+            this.showError('Please enter at least one keyword and one location');
+            return;
+        }
+
+        if (!batchParams.outputDirectory) {
+            this.showError('Please select an output directory');
+            return;
+        }
+
+        this.startBatch(batchParams);
+    }
+
+    async startBatch(batchParams) {
+        await this.runBatch(() => window.electronAPI.startBatch(batchParams));
+    }
+
+    async retryBatch() {
+        if (!this.activeBatchId || this.isSearching) {
+            return;
+        }
+
+        await this.runBatch(() => window.electronAPI.retryBatch(this.activeBatchId));
+    }
+
+    async runBatch(invokeBatch) {
+        this.isSearching = true;
+        this.isBatchRunning = true;
+        this.updateSearchButton(true);
+        this.clearStatus();
+        this.clearResults();
+
+        this.setStatusState('searching');
+        document.getElementById('search-stage').textContent = 'Starting batch...';
+        document.getElementById('search-details').textContent = 'Queueing searches';
+        document.getElementById('batch-card').style.display = 'block';
+
+        try {
+            const result = await invokeBatch();
+
+            if (result.batch) {
+                this.updateBatchProgress(result.batch);
+            }
+
+            if (result.success) {
+                const { done, total, failed } = result.batch;
+                this.showResults(result, `Batch complete: ${done} of ${total} searches succeeded${failed ? `, ${failed} failed` : ''}`);
+            } else if (result.batch && result.batch.cancelled > 0 && result.batch.failed === 0) {
+                this.showCancelled('Batch cancelled before any search completed');
+            } else {
+                this.showError(result.error || 'Batch failed');
+            }
+        } catch (error) {
+            this.showError('Batch failed: ' + error.message);
+        } finally {
+            this.isSearching = false;
+            this.isBatchRunning = false;
+            this.updateSearchButton(false);
+        }
+    }
+
+    updateBatchProgress(batch) {
+        this.activeBatchId = batch.id;
+
+        const finished = batch.done + batch.failed + batch.cancelled;
+        document.getElementById('batch-counts').textContent =
+            `${finished} / ${batch.total} finished` + (batch.failed ? ` · ${batch.failed} failed` : '');
+
+        const statusLabels = {
+            queued: 'Queued',
+            running: 'Running',
+            done: 'Done',
+            failed: 'Failed',
+            cancelled: 'Cancelled'
+        };
+
+        const list = document.getElementById('batch-job-list');
+        list.innerHTML = '';
+        batch.jobs.forEach(job => {
+            const item = document.createElement('li');
+            item.className = `batch-job ${job.status}`;
+            item.title = job.error || job.outputFile || '';
+
+            const statusText = job.status === 'done'
+                ? `${job.resultCount} result${job.resultCount !== 1 ? 's' : ''}`
+                : statusLabels[job.status];
+
+            item.innerHTML = `
+                <span class="batch-job-label">${this.escapeHtml(job.keyword)} · ${this.escapeHtml(job.location)}</span>
+                <span class="batch-job-status">${statusText}</span>
+            `;
+            list.appendChild(item);
+        });
+
+        const retryBtn = document.getElementById('retry-batch-btn');
+        const canRetry = (batch.failed + batch.cancelled) > 0 && batch.queued === 0 && batch.running === 0;
+        retryBtn.style.display = canRetry ? 'flex' : 'none';
+    }
+
     async startSearch(searchParams) {
         this.isSearching = true;
         this.updateSearchButton(true);
@@ -250,31 +2782,14 @@ class BusinessScraperApp {
             const result = await window.electronAPI.searchBusinesses(searchParams);
 
             if (result.success) {
-                this.showResults(result);
-            } else {
-                // Provide more helpful error messages for config-related issues
-                let errorMessage = result.error;
-                if (errorMessage.includes('Configuration file not found')) {
-                    errorMessage = `Configuration file not found. This can happen with MSI installations when permissions are restricted.
-                    
-                    Please try:
-                    • Set your API key using the configuration button (⚙️)
-                    • If that fails, try running the app as administrator
-                    • Check that your Documents folder is writable
-                    
-                    Technical details: ${result.error}`;
-                }
-                
-                this.showError(errorMessage);
-                if (result.output) {
-                    // Still try to parse any partial output for status updates
-                    const lines = result.output.split('\n');
-                    lines.forEach(line => {
-                        if (line.trim()) {
-                            this.updateStatus(line.trim());
-                        }
-                    });
+                this.showResults(result, this.withWarningSummary('Search completed successfully!'));
+                if (this.settings && this.settings.behavior.openFileAfterSearch && this.lastOutputFile) {
+                    await this.openResultFile();
                 }
+            } else if (result.cancelled) {
+                this.showCancelled();
+            } else {
+                this.showError(result.error);
             }
         } catch (error) {
             this.showError('Search failed: ' + error.message);
@@ -284,56 +2799,92 @@ class BusinessScraperApp {
         }
     }
 
+    async cancelSearch() {
+        if (!this.isSearching) {
+            return;
+        }
+
+        const cancelBtn = document.getElementById('cancel-search-btn');
+        cancelBtn.disabled = true;
+        cancelBtn.textContent = 'Cancelling...';
+
+        try {
+            const result = this.isBatchRunning
+                ? await window.electronAPI.cancelBatch(this.activeBatchId)
+                : await window.electronAPI.cancelSearch();
+            if (!result.success) {
+                console.warn('Cancel request rejected:', result.error);
+                cancelBtn.disabled = false;
+                cancelBtn.textContent = 'Cancel Search';
+            }
+        } catch (error) {
+            this.showError('Failed to cancel search: ' + error.message);
+        }
+    }
+
+    withWarningSummary(message) {
+        const count = this.progressWarnings.length;
+        if (count === 0) {
+            return message;
+        }
+        return `${message} (${count} warning${count !== 1 ? 's' : ''}, e.g. websites that could not be fetched)`;
+    }
+
     updateSearchButton(searching) {
         const button = document.getElementById('search-btn');
         const buttonText = button.querySelector('.button-text');
         const buttonSpinner = button.querySelector('.button-spinner');
+        const cancelBtn = document.getElementById('cancel-search-btn');
 
         if (searching) {
             button.disabled = true;
             buttonText.textContent = 'Searching...';
             buttonSpinner.style.display = 'block';
+            cancelBtn.style.display = 'block';
         } else {
             button.disabled = false;
-            buttonText.textContent = 'Start Search';
+            buttonText.textContent = this.searchMode === 'batch' ? 'Start Batch' : 'Start Search';
             buttonSpinner.style.display = 'none';
+            cancelBtn.style.display = 'none';
         }
+
+        cancelBtn.disabled = false;
+        cancelBtn.textContent = this.isBatchRunning ? 'Cancel Batch' : 'Cancel Search';
     }
 
-    updateStatus(message) {
-        console.log('Status update:', message);
+    handleProgressEvent(progressEvent) {
+        console.log('Progress event:', progressEvent);
 
-        // Parse different types of status messages from C++ backend
-        if (message.includes('Searching for') && message.includes('in')) {
-            this.setStatusState('searching');
-            document.getElementById('search-stage').textContent = 'Map Search';
-            // Simple message instead of detailed request info
-            document.getElementById('search-details').textContent = 'searching google maps';
-        }
-        else if (message.includes('Max results:') || message.includes('Web scraping:')) {
-            // Skip configuration display messages during map search
-            // Don't update the details to keep the simple "searching google maps" text
-        }
-        else if (message.includes('Found') && message.includes('businesses')) {
-            // Extract number of businesses found from "Found X businesses."
-            const match = message.match(/Found (\d+) businesses/);
-            if (match) {
-                const count = parseInt(match[1]);
+        switch (progressEvent.type) {
+            case 'stage-change':
+                this.handleStageChange(progressEvent);
+                break;
+
+            case 'business-found': {
+                const count = progressEvent.count;
                 this.scrapingProgress.total = count;
                 this.scrapingProgress.current = 0;
 
-                console.log('Set scraping progress total to:', count);
-
                 this.setStatusState('searching');
                 document.getElementById('search-stage').textContent = 'Map Search Complete';
-                document.getElementById('search-details').textContent = `Found ${count} businesses - starting enhancement`;
+                document.getElementById('search-details').textContent = count > 0
+                    ? `Found ${count} businesses - starting enhancement`
+                    : 'No businesses found for this search';
+                break;
             }
-        }
-        else if (message.includes('Enhanced') && message.includes('businesses with website data')) {
-            // Handle "Enhanced X businesses with website data."
-            const match = message.match(/Enhanced (\d+) businesses/);
-            if (match) {
-                const enhanced = parseInt(match[1]);
+
+            case 'enhancing':
+                this.setStatusState('searching');
+                if (progressEvent.total) {
+                    this.scrapingProgress.total = progressEvent.total;
+                }
+                this.scrapingProgress.current = progressEvent.current || this.scrapingProgress.current + 1;
+                document.getElementById('search-stage').textContent = 'Web Scraping';
+                this.updateScrapingProgress(progressEvent.name);
+                break;
+
+            case 'enhanced': {
+                const enhanced = progressEvent.count;
                 this.setStatusState('searching');
                 document.getElementById('search-stage').textContent = 'Web Scraping Complete';
                 document.getElementById('search-details').innerHTML = `
@@ -344,66 +2895,54 @@ class BusinessScraperApp {
                         </div>
                     </div>
                 `;
+                break;
             }
-        }
-        else if (message.includes('Enhancing') || message.includes('Scraping') || message.includes('Processing:')) {
-            // Handle individual business enhancement messages
-            console.log('Web scraping message detected:', message);
-            this.setStatusState('searching');
-            document.getElementById('search-stage').textContent = 'Web Scraping';
-
-            // Try to extract business name from different message formats
-            let businessName = '';
-
-            // Check for "Processing: BusinessName..." format (from WebScraper)
-            const processingMatch = message.match(/Processing:\s*(.+?)\.{3}/);
-            if (processingMatch) {
-                businessName = processingMatch[1].trim();
-                console.log('Extracted business name from Processing message:', businessName);
-                this.addScrapingProgress(businessName);
-            }
-            // Check for "Enhancing BusinessName" or "Scraping BusinessName" format
-            else {
-                const businessMatch = message.match(/(?:Enhancing|Scraping)\s+["']?([^"'\.]+?)["']?\s*(?:\.\.\.|\.+|$)/);
-                if (businessMatch) {
-                    businessName = businessMatch[1].trim();
-                    console.log('Extracted business name from Enhancing/Scraping message:', businessName);
-                    this.addScrapingProgress(businessName);
-                } else {
-                    // Fallback if we can't extract the business name
-                    console.log('Could not extract business name from message:', message);
-                    // Still increment progress even if we can't get the name
-                    if (this.scrapingProgress.total > 0) {
-                        this.scrapingProgress.current++;
-                        this.updateScrapingProgress(); // Call without business name
-                    } else {
-                        document.getElementById('search-details').textContent = 'Collecting additional business information...';
-                    }
+
+            case 'warning':
+                this.progressWarnings.push(progressEvent.message);
+                console.warn('Search warning:', progressEvent.message);
+                break;
+
+            case 'error':
+                // The final search result decides the status state; this only fills in the details
+                document.getElementById('error-details').textContent = progressEvent.message;
+                break;
+
+            case 'done':
+                if (progressEvent.success && this.currentStage === 'searching') {
+                    document.getElementById('search-details').textContent = 'Finalizing results...';
                 }
-            }
+                break;
         }
-        else if (message.includes('Results saved to:')) {
-            // Handle completion message
-            if (this.currentStage === 'searching') {
-                document.getElementById('search-details').textContent = 'Finalizing results...';
+    }
+
+    handleStageChange(progressEvent) {
+        const stageLabels = {
+            'initializing': ['Initializing search...', 'Preparing to search for businesses'],
+            'map-search': ['Map Search', 'searching google maps'],
+            'web-scraping': ['Web Scraping', 'Collecting additional business information...'],
+            'saving': ['Saving Results', 'Finalizing results...']
+        };
+
+        if (!progressEvent.stage) {
+            // Informational message without a stage change; don't overwrite a progress bar
+            const detailsEl = document.getElementById('search-details');
+            if (this.currentStage === 'searching' && !detailsEl.innerHTML.includes('progress-bar')) {
+                detailsEl.textContent = progressEvent.message;
             }
+            return;
         }
-        else if (message.toLowerCase().includes('error') || message.toLowerCase().includes('failed')) {
-            this.setStatusState('error');
-            document.getElementById('error-details').textContent = message;
-        }
-        else if (message.includes('No businesses found')) {
-            this.setStatusState('complete');
-            document.getElementById('completion-details').textContent = 'No businesses found for this search';
+
+        const labels = stageLabels[progressEvent.stage];
+        if (!labels) {
+            return;
         }
-        else {
-            // General status update during search
-            if (this.currentStage === 'searching') {
-                const detailsEl = document.getElementById('search-details');
-                if (detailsEl && !detailsEl.innerHTML.includes('progress-bar')) {
-                    detailsEl.textContent = message;
-                }
-            }
+
+        this.setStatusState('searching');
+        document.getElementById('search-stage').textContent = labels[0];
+        // Keep the enhancement progress bar visible until the next real stage
+        if (progressEvent.stage !== 'web-scraping' || this.scrapingProgress.total === 0) {
+            document.getElementById('search-details').textContent = labels[1];
         }
     }
 
@@ -423,17 +2962,6 @@ class BusinessScraperApp {
         }
     }
 
-    addScrapingProgress(businessName) {
-        this.scrapingProgress.current++;
-        console.log('Adding scraping progress for:', businessName, `(${this.scrapingProgress.current}/${this.scrapingProgress.total})`);
-
-        const stageEl = document.getElementById('search-stage');
-        stageEl.textContent = 'Web Scraping';
-
-        // Use the improved progress update method
-        this.updateScrapingProgress(businessName);
-    }
-
     updateScrapingProgress(businessName = null) {
         console.log('Updating scraping progress:', this.scrapingProgress.current, '/', this.scrapingProgress.total);
 
@@ -471,13 +2999,15 @@ class BusinessScraperApp {
     clearStatus() {
         this.setStatusState('idle');
         this.scrapingProgress = { current: 0, total: 0 };
+        this.progressWarnings = [];
     }
 
-    showResults(result) {
-        this.lastOutputFile = result.outputFile;
+    showResults(result, message = 'Search completed successfully!') {
+        this.lastOutputFile = result.outputFile || null;
+        this.setResultsView(result.view || 'search');
 
         // Set status to complete
-        this.showSuccess('Search completed successfully!');
+        this.showSuccess(message);
 
         // Parse the results to extract business data
         this.parseAndDisplayResults(result);
@@ -488,62 +3018,50 @@ class BusinessScraperApp {
         const showInFolderBtn = document.getElementById('show-in-folder-btn');
         const clearResultsBtn = document.getElementById('clear-results-btn');
 
+        // Combined batch results have no single output file to open
+        const fileActionsDisplay = this.lastOutputFile ? 'flex' : 'none';
         exportBtn.style.display = 'flex';
-        openFileBtn.style.display = 'flex';
-        showInFolderBtn.style.display = 'flex';
+        openFileBtn.style.display = fileActionsDisplay;
+        showInFolderBtn.style.display = fileActionsDisplay;
         clearResultsBtn.style.display = 'flex';
     }
 
     async parseAndDisplayResults(result) {
         try {
+            // Rows that are already in the table's business shape, e.g. from the lead database
+            if (result.businesses) {
+                this.displayResultsInTable(result.businesses);
+                return;
+            }
+
             // First try to use CSV data from stdout (preferred method)
             if (result.csvData && result.csvData.length > 0) {
                 console.log('Using CSV data from stdout:', result.csvData.length, 'rows');
 
-                const businesses = result.csvData.map(row => {
-                    console.log('Processing CSV row from stdout:', row);
-                    return {
-                        name: row.name || 'Unknown Business',
-                        address: row.address || '',
-                        phone: row.phone_number || row.phonenumber || row.phone || '',
-                        email: row.email || '',
-                        website: row.website || '',
-                        rating: row.rating || '',
-                        reviews: row.total_ratings || row.totalratings || row.reviews || '',
-                        additional_numbers: row.additional_numbers || row.additionalnumbers || '',
-                        additional_emails: row.additional_emails || row.additionalemails || '',
-                        social_media_links: row.social_media_links || row.socialmedialinks || ''
-                    };
-                });
+                const businesses = result.csvData.map(row => this.normalizeBusiness(row));
 
                 console.log('Parsed businesses from stdout:', businesses);
                 this.displayResultsInTable(businesses);
+                this.showParseIssues(result.csvIssues);
                 return;
             }
 
-            // Fallback: try to read CSV file if stdout parsing failed
-            if (result.outputFile && result.outputFile.endsWith('.csv')) {
-                console.log('Fallback: attempting to read CSV file:', result.outputFile);
+            // Fallback: try to read the output file if stdout parsing failed
+            if (result.outputFile) {
+                console.log('Fallback: attempting to read output file:', result.outputFile);
 
-                let csvResult = null;
+                let fileResult = null;
                 for (let attempt = 0; attempt < 3; attempt++) {
                     await new Promise(resolve => setTimeout(resolve, 200 * (attempt + 1)));
 
-                    csvResult = await window.electronAPI.readCSVFile(result.outputFile);
-                    console.log(`CSV file read attempt ${attempt + 1}:`, csvResult);
+                    fileResult = await window.electronAPI.readResultsFile(result.outputFile);
+                    console.log(`Output file read attempt ${attempt + 1}:`, fileResult);
 
-                    if (csvResult.success && csvResult.data.length > 0) {
-                        const businesses = csvResult.data.map(row => ({
-                            name: row.name || 'Unknown Business',
-                            address: row.address || '',
-                            phone: row.phone_number || row.phonenumber || row.phone || '',
-                            email: row.email || '',
-                            website: row.website || '',
-                            rating: row.rating || '',
-                            reviews: row.total_ratings || row.totalratings || row.reviews || ''
-                        }));
+                    if (fileResult.success && (fileResult.data.length > 0 || fileResult.issues.length > 0)) {
+                        const businesses = fileResult.data.map(row => this.normalizeBusiness(row));
 
                         this.displayResultsInTable(businesses);
+                        this.showParseIssues(fileResult.issues);
                         return;
                     }
                 }
@@ -559,8 +3077,43 @@ class BusinessScraperApp {
         }
     }
 
+    // The shared row mapping (src/shared/business.js), with the lead status defaulted for the table
+    normalizeBusiness(row) {
+        const business = toBusiness(row);
+        business.status = LEAD_STATUSES.includes(business.status) ? business.status : 'new';
+        return business;
+    }
+
+    showParseIssues(issues = []) {
+        const container = document.getElementById('parse-issues');
+        if (!issues || issues.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const skippedLines = new Set(issues.filter(issue => issue.skipped).map(issue => issue.line));
+        const summary = skippedLines.size > 0
+            ? `${skippedLines.size} row${skippedLines.size !== 1 ? 's' : ''} could not be parsed and ${skippedLines.size !== 1 ? 'were' : 'was'} left out`
+            : `${issues.length} row${issues.length !== 1 ? 's' : ''} contained formatting problems`;
+
+        container.innerHTML = `
+            <details>
+                <summary>⚠ ${summary}</summary>
+                <ul>
+                    ${issues.map(issue => `
+                        <li>Line ${issue.line}: ${this.escapeHtml(issue.message)}${issue.skipped ? ' (skipped)' : ''}
+                            — <code>${this.escapeHtml(issue.fields.join(' | ').slice(0, 200))}</code></li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+        container.style.display = 'block';
+    }
+
     displayNoResults(message = 'No business data found.') {
         this.lastSearchResults = [];
+        this.checkedBusinesses.clear();
 
         // Show no results message
         const noResults = document.getElementById('no-results');
@@ -570,14 +3123,16 @@ class BusinessScraperApp {
         noResults.innerHTML = `
             <div style="text-align: center; padding: 2rem; color: #666;">
                 <div style="font-size: 1.1em; margin-bottom: 0.5rem;">📋</div>
-                <div>${message}</div>
+                <div>${this.escapeHtml(message)}</div>
             </div>
         `;
         tableContainer.style.display = 'none';
+        document.getElementById('results-filters').style.display = 'none';
     }
 
     displayResultsInTable(businesses) {
         this.lastSearchResults = businesses;
+        this.checkedBusinesses.clear();
 
         // Hide no results message
         const noResults = document.getElementById('no-results');
@@ -585,10 +3140,100 @@ class BusinessScraperApp {
 
         noResults.style.display = 'none';
         tableContainer.style.display = 'block';
+        document.getElementById('results-filters').style.display = 'flex';
+
+        this.renderResultsTable();
+        this.loadLeadAnnotations(businesses);
+    }
+
+    // Fills in status, tags and notes saved in the lead database for the shown businesses
+    async loadLeadAnnotations(businesses) {
+        try {
+            const result = await window.electronAPI.getLeadAnnotations(businesses.map(business => this.toLeadBusiness(business)));
+            // Results may have been replaced while waiting
+            if (!result.success || this.lastSearchResults !== businesses) {
+                return;
+            }
+
+            result.annotations.forEach((annotation, index) => {
+                if (annotation) {
+                    this.applyLeadAnnotation(businesses[index], annotation);
+                }
+            });
+            this.renderResultsTable();
+        } catch (error) {
+            console.warn('Failed to load lead annotations:', error.message);
+        }
+    }
+
+    applyLeadAnnotation(business, annotation) {
+        business.leadId = annotation.leadId;
+        business.status = annotation.status;
+        business.tags = annotation.tags.join(', ');
+        business.notes = annotation.notes;
+    }
+
+    // The fields the lead database identifies a business by, without the table's extras
+    toLeadBusiness(business) {
+        return {
+            leadId: business.leadId || null,
+            name: business.name,
+            address: business.address,
+            phone: business.phone,
+            email: business.email,
+            website: business.website,
+            rating: business.rating,
+            reviews: business.reviews,
+            additional_numbers: business.additional_numbers,
+            additional_emails: business.additional_emails,
+            social_media_links: business.social_media_links
+        };
+    }
+
+    async updateLeadAnnotation(business, changes) {
+        try {
+            const result = await window.electronAPI.updateLeadAnnotation({
+                business: this.toLeadBusiness(business),
+                changes: changes
+            });
+            if (!result.success) {
+                this.showError('Failed to save lead details: ' + result.error);
+                return;
+            }
+
+            // No re-render here: it would take focus away from the next field being edited
+            this.applyLeadAnnotation(business, result.annotation);
+        } catch (error) {
+            this.showError('Failed to save lead details: ' + error.message);
+        }
+    }
+
+    renderResultsTable() {
+        const businesses = this.getVisibleResults();
+        const total = this.lastSearchResults.length;
 
         // Update results count
         const resultsCount = document.getElementById('results-count');
-        resultsCount.textContent = `${businesses.length} result${businesses.length !== 1 ? 's' : ''}`;
+        resultsCount.textContent = businesses.length === total
+            ? `${total} result${total !== 1 ? 's' : ''}`
+            : `${businesses.length} of ${total} result${total !== 1 ? 's' : ''}`;
+
+        const checkedCount = this.getCheckedResults().length;
+        if (checkedCount > 0) {
+            resultsCount.textContent += `, ${checkedCount} selected`;
+        }
+
+        const selectAll = document.getElementById('select-all-rows');
+        selectAll.checked = businesses.length > 0 && checkedCount === businesses.length;
+        selectAll.indeterminate = checkedCount > 0 && checkedCount < businesses.length;
+
+        // Reflect the sort state in the headers
+        document.querySelectorAll('#results-table th[data-sort-key]').forEach(th => {
+            th.classList.remove('sort-asc', 'sort-desc');
+            if (th.dataset.sortKey === this.sortState.key) {
+                th.classList.add(`sort-${this.sortState.direction}`);
+            }
+        });
 
         // Populate table
         const tbody = document.getElementById('results-tbody');
@@ -596,19 +3241,622 @@ class BusinessScraperApp {
 
         businesses.forEach((business, index) => {
             const row = document.createElement('tr');
+            row.classList.toggle('selected', business === this.selectedBusiness);
+            row.classList.toggle('checked', this.checkedBusinesses.has(business));
             row.innerHTML = `
-                <td class="cell-name">${this.escapeHtml(business.name)}</td>
-                <td class="cell-address">${this.escapeHtml(business.address)}</td>
-                <td class="cell-phone">${this.escapeHtml(business.phone)}</td>
-                <td class="cell-email">${business.email ? `<a href="mailto:${business.email}">${this.escapeHtml(business.email)}</a>` : '-'}</td>
-                <td class="cell-website">${business.website ? `<a href="${business.website}" target="_blank" title="${business.website}">${this.escapeHtml(business.website)}</a>` : '-'}</td>
-                <td class="cell-rating">${business.rating ? business.rating + '★' : '-'}</td>
-                <td class="cell-reviews">${business.reviews || '-'}</td>
+                <td class="cell-select"><input type="checkbox" class="row-select" ${this.checkedBusinesses.has(business) ? 'checked' : ''}></td>
+                ${this.getVisibleColumns().map(column => this.renderResultCell(business, column)).join('')}
             `;
+            row.querySelector('.row-select').addEventListener('change', (e) => {
+                this.setRowChecked(business, e.target.checked);
+            });
+            // The lead fields are only there when their columns are shown
+            row.querySelector('.lead-status')?.addEventListener('change', (e) => {
+                e.target.className = `lead-input lead-status status-${e.target.value}`;
+                this.updateLeadAnnotation(business, { status: e.target.value });
+            });
+            row.querySelector('.lead-tags')?.addEventListener('change', (e) => {
+                this.updateLeadAnnotation(business, { tags: e.target.value });
+            });
+            row.querySelector('.lead-notes')?.addEventListener('change', (e) => {
+                e.target.title = e.target.value;
+                this.updateLeadAnnotation(business, { notes: e.target.value });
+            });
+            row.addEventListener('click', (e) => {
+                // Links open externally and form fields edit in place; the rest of the row opens the detail drawer
+                if (!e.target.closest('a, input, select, .cell-select')) {
+                    this.showBusinessDetail(business);
+                }
+            });
             tbody.appendChild(row);
         });
     }
 
+    renderResultCell(business, column) {
+        const value = this.columnValue(business, column.key);
+        const empty = value === undefined || value === null || value === '';
+        const linkList = (values, kind) => values.length
+            ? values.map(item => {
+                const link = this.buildValueLink(item, kind);
+                return link ? `<a href="${this.escapeAttribute(link)}" target="_blank">${this.escapeHtml(item)}</a>` : this.escapeHtml(item);
+            }).join(', ')
+            : '-';
+        let content;
+
+        switch (column.key) {
+            case 'email':
+                content = business.email ? `<a href="${this.escapeAttribute(this.buildValueLink(business.email, 'email'))}" target="_blank">${this.escapeHtml(business.email)}</a>` : '-';
+                break;
+            case 'website':
+                content = business.website ? `<a href="${this.escapeAttribute(this.buildValueLink(business.website, 'url'))}" target="_blank" title="${this.escapeAttribute(business.website)}">${this.escapeHtml(business.website)}</a>` : '-';
+                break;
+            case 'rating':
+                content = business.rating ? this.escapeHtml(String(business.rating)) + '★' : '-';
+                break;
+            case 'reviews':
+                content = business.reviews ? this.escapeHtml(String(business.reviews)) : '-';
+                break;
+            case 'additional_emails':
+                content = linkList(this.splitMultiValue(business.additional_emails), 'email');
+                break;
+            case 'social_media_links':
+                content = linkList(this.splitMultiValue(business.social_media_links), 'url');
+                break;
+            case 'status':
+                content = `
+                    <select class="lead-input lead-status status-${business.status}">
+                        ${LEAD_STATUSES.map(status => `<option value="${status}" ${status === business.status ? 'selected' : ''}>${status.charAt(0).toUpperCase() + status.slice(1)}</option>`).join('')}
+                    </select>
+                `;
+                break;
+            case 'tags':
+                content = `<input type="text" class="lead-input lead-tags" value="${this.escapeAttribute(business.tags || '')}" placeholder="Add tags">`;
+                break;
+            case 'notes':
+                content = `<input type="text" class="lead-input lead-notes" value="${this.escapeAttribute(business.notes || '')}" placeholder="Add notes" title="${this.escapeAttribute(business.notes || '')}">`;
+                break;
+            case 'name':
+            case 'address':
+            case 'phone':
+                content = this.escapeHtml(business[column.key]);
+                break;
+            default:
+                content = empty ? '-' : this.escapeHtml(String(value));
+        }
+
+        return `<td class="cell-${column.key.replace(/_/g, '-')}">${content}</td>`;
+    }
+
+    // A business's value for a column, including the derived ones; also used for sorting
+    columnValue(business, key) {
+        switch (key) {
+            case 'domain':
+                return this.websiteDomain(business.website);
+            case 'social_networks': {
+                const networks = this.splitMultiValue(business.social_media_links)
+                    .map(link => this.websiteDomain(link))
+                    .filter(domain => domain)
+                    .map(domain => SOCIAL_NETWORKS[domain] || domain);
+                return [...new Set(networks)].join(', ');
+            }
+            case 'phone_count':
+                return this.uniqueValues([business.phone, ...this.splitMultiValue(business.additional_numbers)], value => value.replace(/[^\d+]/g, '')).length;
+            case 'email_count':
+                return this.uniqueValues([business.email, ...this.splitMultiValue(business.additional_emails)], value => value.toLowerCase()).length;
+            default:
+                return business[key];
+        }
+    }
+
+    websiteDomain(url) {
+        const match = /^(?:[a-z]+:\/\/)?(?:www\.)?([^/?#:]+)/i.exec(String(url || '').trim());
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    uniqueValues(values, normalize) {
+        const seen = new Set();
+        return values.filter(value => {
+            const key = value ? normalize(String(value)) : '';
+            if (!key || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    setRowChecked(business, checked) {
+        if (checked) {
+            this.checkedBusinesses.add(business);
+        } else {
+            this.checkedBusinesses.delete(business);
+        }
+        this.renderResultsTable();
+    }
+
+    // Applies to the rows the current filters show; hidden rows keep their state
+    setAllRowsChecked(checked) {
+        this.getVisibleResults().forEach(business => {
+            if (checked) {
+                this.checkedBusinesses.add(business);
+            } else {
+                this.checkedBusinesses.delete(business);
+            }
+        });
+        this.renderResultsTable();
+    }
+
+    // Selected rows that are currently shown, in table order
+    getCheckedResults() {
+        return this.getVisibleResults().filter(business => this.checkedBusinesses.has(business));
+    }
+
+    showBusinessDetail(business) {
+        this.selectedBusiness = business;
+
+        const fields = [
+            { label: 'Address', values: [business.address], kind: 'text' },
+            { label: 'Phone', values: [business.phone], kind: 'tel' },
+            { label: 'Additional Numbers', values: this.splitMultiValue(business.additional_numbers), kind: 'tel' },
+            { label: 'Email', values: [business.email], kind: 'email' },
+            { label: 'Additional Emails', values: this.splitMultiValue(business.additional_emails), kind: 'email' },
+            { label: 'Website', values: [business.website], kind: 'url' },
+            { label: 'Social Media', values: this.splitMultiValue(business.social_media_links), kind: 'url' },
+            { label: 'Rating', values: [business.rating ? `${business.rating}★` : ''], kind: 'text' },
+            { label: 'Reviews', values: [business.reviews], kind: 'text' },
+            { label: 'Status', values: [business.status], kind: 'text' },
+            { label: 'Tags', values: this.splitMultiValue(business.tags), kind: 'text' },
+            { label: 'Notes', values: [business.notes], kind: 'text' }
+        ];
+
+        if (business.leadId) {
+            fields.push(
+                { label: 'First Seen', values: [new Date(business.firstSeen).toLocaleString()], kind: 'text' },
+                { label: 'Last Seen', values: [new Date(business.lastSeen).toLocaleString()], kind: 'text' },
+                {
+                    label: `Found By (${business.timesSeen} search${business.timesSeen !== 1 ? 'es' : ''})`,
+                    values: business.searches.map(search => `${search.keyword} · ${search.location} · ${new Date(search.timestamp).toLocaleDateString()}`),
+                    kind: 'text'
+                }
+            );
+        }
+
+        document.getElementById('detail-title').textContent = business.name;
+        document.getElementById('detail-body').innerHTML = fields.map(field => {
+            const values = field.values.filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+            const valuesHtml = values.length > 0
+                ? values.map(value => this.renderDetailValue(String(value).trim(), field.kind)).join('')
+                : '<div class="detail-value detail-empty">-</div>';
+
+            return `
+                <div class="detail-section">
+                    <div class="detail-label">${field.label}</div>
+                    ${valuesHtml}
+                </div>
+            `;
+        }).join('') + (business.leadId ? `
+            <div class="detail-actions">
+                <button type="button" class="action-button secondary" data-lead-action="delete">Remove from lead database</button>
+            </div>
+        ` : '');
+
+        document.getElementById('detail-drawer').style.display = 'flex';
+        this.renderResultsTable();
+    }
+
+    renderDetailValue(value, kind) {
+        const href = this.buildValueLink(value, kind);
+        const content = href
+            ? `<a href="${this.escapeAttribute(href)}" target="_blank">${this.escapeHtml(value)}</a>`
+            : `<span>${this.escapeHtml(value)}</span>`;
+
+        return `
+            <div class="detail-value">
+                ${content}
+                <button type="button" class="copy-button" data-copy-value="${this.escapeAttribute(value)}" title="Copy to clipboard">Copy</button>
+            </div>
+        `;
+    }
+
+    hideBusinessDetail() {
+        const drawer = document.getElementById('detail-drawer');
+        if (drawer.style.display === 'none') {
+            return;
+        }
+
+        drawer.style.display = 'none';
+        this.selectedBusiness = null;
+        this.renderResultsTable();
+    }
+
+    // Multi-value fields come from the CLI joined with ", "
+    splitMultiValue(value) {
+        if (!value) {
+            return [];
+        }
+        return String(value).split(/\s*,\s*/).filter(item => item);
+    }
+
+    // Only hands tel:, mailto: and http(s) links to the window open handler
+    buildValueLink(value, kind) {
+        switch (kind) {
+            case 'tel': {
+                const digits = value.replace(/[^\d+]/g, '');
+                return digits ? `tel:${digits}` : null;
+            }
+            case 'email':
+                return value.includes('@') ? `mailto:${value}` : null;
+            case 'url':
+                if (/^https?:\/\//i.test(value)) {
+                    return value;
+                }
+                return /^[\w.-]+\.[a-z]{2,}(\/.*)?$/i.test(value) ? `https://${value}` : null;
+            default:
+                return null;
+        }
+    }
+
+    async copyToClipboard(value, button) {
+        try {
+            await navigator.clipboard.writeText(value);
+            button.textContent = 'Copied';
+            button.classList.add('copied');
+            setTimeout(() => {
+                button.textContent = 'Copy';
+                button.classList.remove('copied');
+            }, 1500);
+        } catch (error) {
+            this.showError('Failed to copy to clipboard: ' + error.message);
+        }
+    }
+
+    // The filtered and sorted view of lastSearchResults shown in the table
+    getVisibleResults() {
+        const query = this.filters.query.trim().toLowerCase();
+        const minRating = parseFloat(this.filters.minRating);
+        const minReviews = parseInt(this.filters.minReviews, 10);
+        const tagQuery = this.filters.tag.trim().toLowerCase();
+
+        const visible = this.lastSearchResults.filter(business => {
+            if (query) {
+                const haystack = Object.values(business)
+                    .filter(value => typeof value === 'string' || typeof value === 'number')
+                    .join(' ')
+                    .toLowerCase();
+                if (!haystack.includes(query)) {
+                    return false;
+                }
+            }
+            if (this.filters.hasEmail && !business.email) {
+                return false;
+            }
+            if (this.filters.hasWebsite && !business.website) {
+                return false;
+            }
+            if (!isNaN(minRating) && !(parseFloat(business.rating) >= minRating)) {
+                return false;
+            }
+            if (!isNaN(minReviews) && !(parseInt(business.reviews, 10) >= minReviews)) {
+                return false;
+            }
+            if (this.filters.status && business.status !== this.filters.status) {
+                return false;
+            }
+            if (tagQuery && !this.splitMultiValue(business.tags).some(tag => tag.toLowerCase().includes(tagQuery))) {
+                return false;
+            }
+            return true;
+        });
+
+        if (!this.sortState.key) {
+            return visible;
+        }
+
+        const { key, type, direction } = this.sortState;
+        const multiplier = direction === 'asc' ? 1 : -1;
+
+        return visible.sort((a, b) => {
+            const aValue = this.columnValue(a, key);
+            const bValue = this.columnValue(b, key);
+            const aEmpty = aValue === undefined || aValue === null || aValue === '';
+            const bEmpty = bValue === undefined || bValue === null || bValue === '';
+
+            // Empty values always sink to the bottom
+            if (aEmpty || bEmpty) {
+                return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+            }
+
+            if (type === 'number') {
+                return ((parseFloat(aValue) || 0) - (parseFloat(bValue) || 0)) * multiplier;
+            }
+
+            return String(aValue).localeCompare(String(bValue), undefined, { numeric: true, sensitivity: 'base' }) * multiplier;
+        });
+    }
+
+    toggleSort(key, type) {
+        if (this.sortState.key === key) {
+            // asc -> desc -> unsorted
+            if (this.sortState.direction === 'asc') {
+                this.sortState.direction = 'desc';
+            } else {
+                this.sortState = { key: null, type: 'text', direction: 'asc' };
+            }
+        } else {
+            this.sortState = { key, type, direction: 'asc' };
+        }
+
+        this.renderResultsTable();
+    }
+
+    // The layout's columns in its order, followed by any it does not mention (e.g. added since it was saved)
+    resolveColumns(saved) {
+        const columns = [];
+        saved.forEach(column => {
+            const definition = RESULT_COLUMNS.find(candidate => candidate.key === column.key);
+            if (definition) {
+                columns.push({ ...definition, visible: column.visible, width: column.width || definition.width });
+            }
+        });
+        RESULT_COLUMNS.forEach(definition => {
+            if (!columns.some(column => column.key === definition.key)) {
+                columns.push({ ...definition, visible: !definition.hidden });
+            }
+        });
+        return columns;
+    }
+
+    getVisibleColumns() {
+        return this.tableColumns.filter(column => column.visible);
+    }
+
+    async loadTableLayouts() {
+        try {
+            const result = await window.electronAPI.listTableLayouts();
+            if (result.success) {
+                this.applyTableLayoutsResult(result);
+            } else {
+                console.error('Failed to load table layouts:', result.error);
+            }
+        } catch (error) {
+            console.error('Failed to load table layouts:', error);
+        }
+    }
+
+    // Takes the layout list every layout handler returns and shows the active layout
+    applyTableLayoutsResult(result) {
+        this.tableLayouts = result.layouts;
+        this.activeLayoutId = result.activeId;
+        const active = this.tableLayouts.find(layout => layout.id === this.activeLayoutId);
+        this.tableColumns = this.resolveColumns(active ? active.columns : []);
+        this.renderTableLayoutControls();
+        this.applyTableColumns();
+    }
+
+    renderTableLayoutControls() {
+        const select = document.getElementById('table-layout-select');
+        select.innerHTML = this.tableLayouts.map(layout =>
+            `<option value="${this.escapeAttribute(layout.id)}">${this.escapeHtml(layout.name)}</option>`
+        ).join('');
+        select.value = this.activeLayoutId;
+        document.getElementById('delete-table-layout-btn').disabled = this.tableLayouts.length <= 1;
+        this.showTableLayoutError('');
+    }
+
+    renderColumnToggles() {
+        document.getElementById('column-toggle-list').innerHTML = this.tableColumns.map(column => `
+            <label class="checkbox-label">
+                <input type="checkbox" data-column-toggle="${column.key}" ${column.visible ? 'checked' : ''}>
+                ${this.escapeHtml(column.label)}
+            </label>
+        `).join('');
+    }
+
+    renderResultsHeader() {
+        document.getElementById('results-header-row').innerHTML = `
+            <th class="col-select" style="width: ${SELECT_COLUMN_WIDTH}px;"><input type="checkbox" id="select-all-rows" title="Select all shown results"></th>
+            ${this.getVisibleColumns().map(column => `
+                <th class="col-${column.key.replace(/_/g, '-')} sortable" draggable="true" data-column-key="${column.key}" data-sort-key="${column.key}" data-sort-type="${column.sortType || 'text'}" style="width: ${column.width}px;" title="${this.escapeAttribute(column.label)}">
+                    ${this.escapeHtml(column.label)}
+                    <span class="column-resizer" data-resize-key="${column.key}"></span>
+                </th>
+            `).join('')}
+        `;
+        this.updateTableWidth();
+    }
+
+    // Fixed layout: the table is as wide as its columns, or the panel if that is wider
+    updateTableWidth() {
+        const width = this.getVisibleColumns().reduce((total, column) => total + column.width, SELECT_COLUMN_WIDTH);
+        document.getElementById('results-table').style.width = `${width}px`;
+    }
+
+    // Redraws everything that depends on the columns after they changed
+    applyTableColumns() {
+        this.renderColumnToggles();
+        this.renderResultsHeader();
+        if (this.lastSearchResults.length > 0) {
+            this.renderResultsTable();
+        }
+    }
+
+    // Saves the current columns into the active layout
+    async saveTableColumns() {
+        if (!this.activeLayoutId) {
+            return;
+        }
+
+        try {
+            const columns = this.tableColumns.map(({ key, visible, width }) => ({ key, visible, width }));
+            const result = await window.electronAPI.updateTableLayout(this.activeLayoutId, { columns: columns });
+            if (result.success) {
+                this.tableLayouts = result.layouts;
+            } else {
+                this.showError('Failed to save the table layout: ' + result.error);
+            }
+        } catch (error) {
+            this.showError('Failed to save the table layout: ' + error.message);
+        }
+    }
+
+    setColumnVisible(key, visible, checkbox) {
+        if (!visible && this.getVisibleColumns().length <= 1) {
+            checkbox.checked = true;
+            return;
+        }
+
+        this.tableColumns.find(column => column.key === key).visible = visible;
+        // Sorting by a column that is no longer shown would look random
+        if (!visible && this.sortState.key === key) {
+            this.sortState = { key: null, type: 'text', direction: 'asc' };
+        }
+        this.applyTableColumns();
+        this.saveTableColumns();
+    }
+
+    isDropAfter(event, th) {
+        const rect = th.getBoundingClientRect();
+        return event.clientX > rect.left + rect.width / 2;
+    }
+
+    markColumnDropTarget(th, after) {
+        document.querySelectorAll('#results-header-row th').forEach(header => {
+            header.classList.toggle('drop-before', header === th && !after);
+            header.classList.toggle('drop-after', header === th && after);
+        });
+    }
+
+    moveColumn(key, targetKey, after) {
+        this.draggedColumnKey = null;
+        this.markColumnDropTarget(null);
+        if (key === targetKey) {
+            return;
+        }
+
+        const column = this.tableColumns.find(candidate => candidate.key === key);
+        this.tableColumns = this.tableColumns.filter(candidate => candidate !== column);
+        const targetIndex = this.tableColumns.findIndex(candidate => candidate.key === targetKey);
+        this.tableColumns.splice(after ? targetIndex + 1 : targetIndex, 0, column);
+
+        this.applyTableColumns();
+        this.saveTableColumns();
+    }
+
+    startColumnResize(event, key) {
+        // Also stops the header from starting a column drag
+        event.preventDefault();
+
+        const column = this.tableColumns.find(candidate => candidate.key === key);
+        const th = event.target.closest('th');
+        const startX = event.clientX;
+        const startWidth = th.offsetWidth;
+        document.body.classList.add('resizing-column');
+
+        const onMove = (e) => {
+            column.width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + e.clientX - startX));
+            th.style.width = `${column.width}px`;
+            this.updateTableWidth();
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            document.body.classList.remove('resizing-column');
+            this.suppressHeaderClick = true;
+            setTimeout(() => {
+                this.suppressHeaderClick = false;
+            }, 0);
+            this.saveTableColumns();
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    toggleColumnsMenu() {
+        const menu = document.getElementById('columns-menu');
+        menu.style.display = menu.style.display === 'none' ? 'flex' : 'none';
+    }
+
+    hideColumnsMenu() {
+        document.getElementById('columns-menu').style.display = 'none';
+    }
+
+    showTableLayoutError(message) {
+        document.getElementById('table-layout-error').textContent = message;
+    }
+
+    async switchTableLayout(id) {
+        try {
+            const result = await window.electronAPI.switchTableLayout(id);
+            if (result.success) {
+                this.applyTableLayoutsResult(result);
+            } else {
+                this.showError('Failed to switch table layout: ' + result.error);
+                document.getElementById('table-layout-select').value = this.activeLayoutId;
+            }
+        } catch (error) {
+            this.showError('Failed to switch table layout: ' + error.message);
+        }
+    }
+
+    // Saves the columns as they are now under a new name, which becomes the active layout
+    async saveTableLayoutAs() {
+        const nameInput = document.getElementById('new-table-layout-name');
+        try {
+            const result = await window.electronAPI.createTableLayout({
+                name: nameInput.value,
+                columns: this.tableColumns.map(({ key, visible, width }) => ({ key, visible, width }))
+            });
+            if (!result.success) {
+                this.showTableLayoutError(result.errors ? Object.values(result.errors).join('; ') : result.error);
+                return;
+            }
+            nameInput.value = '';
+            this.applyTableLayoutsResult(result);
+        } catch (error) {
+            this.showError('Failed to save table layout: ' + error.message);
+        }
+    }
+
+    async deleteTableLayout() {
+        const layout = this.tableLayouts.find(candidate => candidate.id === this.activeLayoutId);
+        if (!layout || !confirm(`Delete the table layout "${layout.name}"?`)) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.deleteTableLayout(layout.id);
+            if (result.success) {
+                this.applyTableLayoutsResult(result);
+            } else {
+                this.showError('Failed to delete table layout: ' + result.error);
+            }
+        } catch (error) {
+            this.showError('Failed to delete table layout: ' + error.message);
+        }
+    }
+
+    resetTableColumns() {
+        this.tableColumns = this.resolveColumns([]);
+        this.applyTableColumns();
+        this.saveTableColumns();
+    }
+
+    getDefaultFilters() {
+        return { query: '', hasEmail: false, hasWebsite: false, minRating: '', minReviews: '', status: '', tag: '' };
+    }
+
+    resetFilters() {
+        this.filters = this.getDefaultFilters();
+        document.getElementById('filter-query').value = '';
+        document.getElementById('filter-has-email').checked = false;
+        document.getElementById('filter-has-website').checked = false;
+        document.getElementById('filter-min-rating').value = '';
+        document.getElementById('filter-min-reviews').value = '';
+        document.getElementById('filter-status').value = '';
+        document.getElementById('filter-tag').value = '';
+        this.renderResultsTable();
+    }
+
     displayBasicResults(result) {
         // Fallback to basic display if we can't parse detailed results
         const noResults = document.getElementById('no-results');
@@ -638,8 +3886,25 @@ class BusinessScraperApp {
         return div.innerHTML;
     }
 
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    confirmClearResults() {
+        const askFirst = this.settings && this.settings.behavior.confirmClearResults;
+        if (askFirst && this.lastSearchResults.length > 0 && !confirm('Clear the current results?')) {
+            return;
+        }
+        this.clearResults();
+    }
+
     clearResults() {
+        this.hideBusinessDetail();
         this.lastSearchResults = [];
+        this.checkedBusinesses.clear();
+        this.showParseIssues([]);
+        this.setResultsView('search');
+        document.getElementById('results-filters').style.display = 'none';
 
         const noResults = document.getElementById('no-results');
         const tableContainer = document.getElementById('results-table-container');
@@ -656,7 +3921,7 @@ class BusinessScraperApp {
                 <line x1="15" y1="9" x2="9" y2="15"></line>
             </svg>
             <h3>No Results Yet</h3>
-            <p>Run a search to see business results here</p>
+            <p>Run a search or open a saved results file to see business results here</p>
         `;
 
         const resultsCount = document.getElementById('results-count');
@@ -678,11 +3943,52 @@ class BusinessScraperApp {
         clearResultsBtn.style.display = 'none';
     }
 
-    exportResults() {
-        if (this.lastOutputFile) {
-            this.openResultFile();
-        } else {
-            this.showError('No export file available');
+    toggleExportMenu() {
+        const menu = document.getElementById('export-menu');
+        menu.style.display = menu.style.display === 'none' ? 'flex' : 'none';
+        if (menu.style.display !== 'none') {
+            this.loadExportTemplates();
+        }
+    }
+
+    renderExportTemplateItems() {
+        document.getElementById('export-template-items').innerHTML = this.exportTemplates.map(template => `
+            <button type="button" class="dropdown-item" data-export-template="${template.id}">
+                ${this.escapeHtml(template.name)} (${this.escapeHtml(this.templateFormats[template.format].label)})
+            </button>
+        `).join('');
+    }
+
+    hideExportMenu() {
+        document.getElementById('export-menu').style.display = 'none';
+    }
+
+    // Exports exactly what the table shows, including the current filters and sort order.
+    // The 'selected' scope narrows that down to the checked rows.
+    async exportResults(format, options = {}, scope = 'visible') {
+        const rows = scope === 'selected' ? this.getCheckedResults() : this.getVisibleResults();
+        if (rows.length === 0) {
+            this.showError(scope === 'selected'
+                ? 'Select the businesses to export using the checkboxes in the results table'
+                : 'There are no results to export');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.exportResults({
+                rows: rows,
+                format: format,
+                options: options,
+                defaultDirectory: document.getElementById('output-directory').value
+            });
+
+            if (result.success) {
+                this.showSuccess(`Exported ${result.count} result${result.count !== 1 ? 's' : ''} to ${result.filePath}`);
+            } else if (!result.canceled) {
+                this.showError('Failed to export results: ' + result.error);
+            }
+        } catch (error) {
+            this.showError('Failed to export results: ' + error.message);
         }
     }
 
@@ -724,6 +4030,11 @@ class BusinessScraperApp {
         console.error(message);
     }
 
+    showCancelled(message) {
+        this.setStatusState('cancelled');
+        document.getElementById('cancelled-details').textContent = message || 'No results were saved';
+    }
+
     showSuccess(message) {
         this.setStatusState('complete');
         document.getElementById('completion-details').textContent = message || 'Results are ready for review';
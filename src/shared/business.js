@@ -0,0 +1,28 @@
+// Maps a CSV-style row (keys from the C++ Formatter headers) to the business shape
+// used everywhere else. Loaded by the main process with require() and by the
+// renderer with a <script> tag, so both read rows the same way.
+
+// Shown for listings without a name; it identifies nothing
+const UNKNOWN_BUSINESS_NAME = 'Unknown Business';
+
+function toBusiness(row) {
+    return {
+        name: row.name || UNKNOWN_BUSINESS_NAME,
+        address: row.address || '',
+        phone: row.phone_number || row.phonenumber || row.phone || '',
+        email: row.email || '',
+        website: row.website || '',
+        rating: row.rating || '',
+        reviews: row.total_ratings || row.totalratings || row.reviews || '',
+        additional_numbers: row.additional_numbers || row.additionalnumbers || '',
+        additional_emails: row.additional_emails || row.additionalemails || '',
+        social_media_links: row.social_media_links || row.socialmedialinks || '',
+        status: row.status || '',
+        tags: row.tags || '',
+        notes: row.notes || ''
+    };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { UNKNOWN_BUSINESS_NAME, toBusiness };
+}
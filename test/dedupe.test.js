@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePhone } = require('../src/electron/dedupe');
+
+test('international and national spellings of a number match', () => {
+    assert.strictEqual(normalizePhone('+1 (555) 123-4567'), normalizePhone('555-123-4567'));
+    assert.strictEqual(normalizePhone('+49 30 1234567'), normalizePhone('030 1234567'));
+    assert.strictEqual(normalizePhone('0049 30 1234567'), normalizePhone('030 1234567'));
+    assert.strictEqual(normalizePhone('+44 (0)20 7946 0958'), normalizePhone('020 7946 0958'));
+    assert.strictEqual(normalizePhone('+353 1 234 5678'), normalizePhone('01 234 5678'));
+});
+
+test('numbers in different area codes do not match', () => {
+    assert.notStrictEqual(normalizePhone('212-555-1234'), normalizePhone('312-555-1234'));
+    assert.notStrictEqual(normalizePhone('+1 212 555 1234'), normalizePhone('+1 312 555 1234'));
+});
+
+test('numbers too short to identify a business are ignored', () => {
+    assert.strictEqual(normalizePhone('+49 30 1'), '');
+    assert.strictEqual(normalizePhone(''), '');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { UsageError, parseHeadlessArgs } = require('../src/electron/headless');
+
+test('Electron and Chromium switches are passed over', () => {
+    const options = parseHeadlessArgs([
+        '--headless', '--ozone-platform=headless', '--enable-logging', '--disable-dev-shm-usage',
+        '--no-sandbox', '-k', 'bakery', '--location=Berlin'
+    ]);
+
+    assert.deepStrictEqual(options.keywords, ['bakery']);
+    assert.deepStrictEqual(options.locations, ['Berlin']);
+});
+
+test('unknown short options and stray arguments are still rejected', () => {
+    assert.throws(() => parseHeadlessArgs(['-x', '-k', 'bakery']), UsageError);
+    assert.throws(() => parseHeadlessArgs(['-k', 'bakery', 'Berlin']), UsageError);
+});
+
+test('own options still need their value', () => {
+    assert.throws(() => parseHeadlessArgs(['--keyword']), /--keyword needs a value/);
+    assert.throws(() => parseHeadlessArgs(['-k', 'bakery', '--max-results', '--json']), /--max-results needs a value/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LeadDatabase = require('../src/electron/lead-database');
+const { toBusiness } = require('../src/shared/business');
+
+function openDatabase(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'leads-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new LeadDatabase(path.join(directory, 'leads.json'));
+}
+
+test('rows without a name, phone, address or website are skipped', (t) => {
+    const database = openDatabase(t);
+    const rows = [{ email: 'a@example.com' }, { rating: '4.0' }, { name: '', total_ratings: '3' }];
+
+    const result = database.recordSearch(rows.map(toBusiness), { location: 'Berlin' });
+
+    assert.deepStrictEqual(result, { added: 0, updated: 0, skipped: 3, total: 0 });
+});
+
+test('the unknown-name placeholder does not join unnamed listings at one address', (t) => {
+    const database = openDatabase(t);
+    const rows = [{ address: 'Main Street 1' }, { address: 'Main Street 1' }];
+
+    const result = database.recordSearch(rows.map(toBusiness), { location: 'Berlin' });
+
+    assert.deepStrictEqual(result, { added: 0, updated: 0, skipped: 2, total: 0 });
+});
+
+test('named rows without identity keys are recognised within the searched location', (t) => {
+    const database = openDatabase(t);
+    const rows = [{ name: 'Kiosk Ali' }];
+
+    assert.deepStrictEqual(database.recordSearch(rows.map(toBusiness), { location: 'Berlin' }),
+        { added: 1, updated: 0, skipped: 0, total: 1 });
+    assert.deepStrictEqual(database.recordSearch(rows.map(toBusiness), { location: 'berlin' }),
+        { added: 0, updated: 1, skipped: 0, total: 1 });
+    assert.deepStrictEqual(database.recordSearch(rows.map(toBusiness), { location: 'Hamburg' }),
+        { added: 1, updated: 0, skipped: 0, total: 2 });
+});
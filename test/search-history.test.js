@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SearchHistory = require('../src/electron/search-history');
+
+// The part of electron-store the history uses
+class MemoryStore {
+    constructor(data = {}) {
+        this.data = data;
+    }
+
+    get(key, fallback) {
+        return this.data[key] !== undefined ? this.data[key] : fallback;
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+    }
+}
+
+function makeDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('rows kept in the store by earlier versions move to their own files', (t) => {
+    const directory = makeDirectory(t);
+    const store = new MemoryStore({ searchHistory: [{ id: 'a', rows: [{ name: 'Bakery' }] }] });
+
+    const history = new SearchHistory(store, { directory: directory });
+
+    assert.deepStrictEqual(store.get('searchHistory'), [{ id: 'a' }]);
+    assert.deepStrictEqual(history.get('a').rows, [{ name: 'Bakery' }]);
+});
+
+test('a failed move leaves the stored rows in place instead of throwing', (t) => {
+    // A file where the rows folder should be makes every write fail
+    const blocked = path.join(makeDirectory(t), 'history');
+    fs.writeFileSync(blocked, '');
+    const entries = [{ id: 'a', rows: [{ name: 'Bakery' }] }];
+    const store = new MemoryStore({ searchHistory: entries });
+
+    t.mock.method(console, 'warn', () => {});
+    new SearchHistory(store, { directory: blocked });
+
+    assert.strictEqual(store.get('searchHistory'), entries);
+    assert.strictEqual(console.warn.mock.calls.length, 1);
+});
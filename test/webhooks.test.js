@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Webhooks = require('../src/electron/webhooks');
+
+class MemoryStore {
+    constructor(data = {}) {
+        this.data = data;
+    }
+
+    get(key, fallback) {
+        return this.data[key] !== undefined ? this.data[key] : fallback;
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+    }
+}
+
+const search = { keyword: 'bakery', location: 'Berlin' };
+
+test('a token that cannot be decrypted fails the delivery without sending or retrying', async (t) => {
+    const secrets = {
+        encryptSecret: value => ({ encrypted: true, data: value }),
+        decryptSecret: secret => {
+            if (secret && secret.data) {
+                throw new Error('The saved API key could not be decrypted (keychain changed). Please enter it again.');
+            }
+            return '';
+        }
+    };
+    const fetch = t.mock.fn(async () => ({ ok: true, status: 200 }));
+    const webhooks = new Webhooks(new MemoryStore(), secrets, { fetch: fetch });
+    const webhook = { id: 'w', name: 'CRM', url: 'https://example.com/hook', enabled: true, token: { encrypted: true, data: 'x' } };
+
+    t.mock.method(console, 'warn', () => {});
+    const delivery = await webhooks.deliver(webhook, 'search.completed', { search: search, businesses: [] });
+
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.nextAttemptAt, null);
+    assert.strictEqual(delivery.attempts.length, 1);
+    assert.match(delivery.error, /could not be decrypted/);
+    assert.strictEqual(fetch.mock.calls.length, 0);
+    assert.strictEqual(webhooks.retryTimers.size, 0);
+});